@@ -84,6 +84,7 @@ print "Copying files...\n";
 `cp $htdocsPath/images/help/*.* $deployPath/images/help`;
 
 `cp $htdocsPath/help.html $deployPath/help.html`;
+`cp $htdocsPath/docserver.php $deployPath/docserver.php`;
 `mkdir $deployPath/style`;
 `cp $htdocsPath/style/help.css $deployPath/style/help.css`;
 
@@ -0,0 +1,244 @@
+<?php
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * docserver.php
+ * 
+ * Minimal document server for hosting Alberti on an intranet. Saves Alberti
+ * documents to a directory on the server, lists saved documents, and loads
+ * them by name. Each time a document is overwritten, the previous version is
+ * kept as a revision.
+ * 
+ * USAGE
+ * 
+ * Copy this script alongside index.xhtml on a PHP-enabled web server, make
+ * sure the web server can write to $documentDir below, and set 
+ * Alberti.documentServerUrl in Conf.js to the script's URL (e.g. 
+ * "docserver.php").
+ * 
+ * Requests are selected with the 'action' query parameter:
+ * 
+ *    GET  docserver.php?action=list
+ *       Responds with JSON: {"documents": [{"name", "modified", "size",
+ *       "revisions": [{"id", "modified", "size"}, ...]}, ...]}. Times are 
+ *       Unix timestamps, and revisions are listed newest first.
+ * 
+ *    GET  docserver.php?action=load&name=NAME[&revision=ID]
+ *       Responds with the document (or the given revision of it).
+ * 
+ *    POST docserver.php?action=save&name=NAME
+ *       Saves the request body as the document, keeping the previous version
+ *       as a revision. Responds with JSON: {"name", "modified"}.
+ * 
+ * Errors are reported with an HTTP error status and a plain text message.
+ * 
+ * * */
+
+$documentDir = dirname(__FILE__).'/../var/documents';     // Saved documents are written here
+$revisionDir = $documentDir.'/.revisions';               // Previous versions, in one subdirectory per document
+$maxRevisions = 50;                                      // Oldest revisions beyond this number are deleted
+$maxDocumentSize = 64 * 1024 * 1024;                     // Largest accepted document, in bytes
+
+$namePattern = '/^[A-Za-z0-9_\- ().]+\.svg$/i';
+$revisionPattern = '/^\d{8}-\d{6}(-\d+)?$/';
+
+function fail($status, $message) {
+	header('HTTP/1.0 '.$status);
+	header('Content-Type: text/plain; charset=utf-8');
+	echo $message;
+	exit;
+}
+
+function respondJson($value) {
+	header('Content-Type: application/json; charset=utf-8');
+	header('Cache-Control: no-cache');
+	echo json_encode($value);
+	exit;
+}
+
+// Returns the validated 'name' request parameter
+function getDocumentName() {
+	global $namePattern;
+	
+	$name = isset($_GET['name']) ? $_GET['name'] : '';
+	
+	if (!preg_match($namePattern, $name) || $name[0] == '.') {
+		fail('400 Bad Request', "Invalid document name '$name'. Names may contain letters, digits, spaces, and "
+			."the characters _-(). and must end in .svg.");
+	}
+	
+	return $name;
+}
+
+// Returns the revisions of the named document, newest first
+function listRevisions($name) {
+	global $revisionDir;
+	
+	$revisions = array();
+	$paths = glob($revisionDir.'/'.$name.'/*.svg');
+	
+	if ($paths) {
+		foreach ($paths as $path) {
+			$revisions[] = array(
+				'id'       => basename($path, '.svg'),
+				'modified' => filemtime($path),
+				'size'     => filesize($path)
+			);
+		}
+	}
+	
+	usort($revisions, 'compareRevisions');
+	
+	return $revisions;
+}
+
+// Revision ids begin with their timestamps, so sort them in reverse
+function compareRevisions($a, $b) {
+	return strnatcmp($b['id'], $a['id']);
+}
+
+function ensureDirectory($path) {
+	if (!is_dir($path) && !@mkdir($path, 0775, true)) {
+		fail('500 Internal Server Error', 'Could not create directory on server.');
+	}
+}
+
+function listDocuments() {
+	global $documentDir, $namePattern;
+	
+	$documents = array();
+	$paths = is_dir($documentDir) ? glob($documentDir.'/*.svg') : array();
+	
+	if ($paths) {
+		foreach ($paths as $path) {
+			$name = basename($path);
+			
+			if (preg_match($namePattern, $name)) {
+				$documents[] = array(
+					'name'      => $name,
+					'modified'  => filemtime($path),
+					'size'      => filesize($path),
+					'revisions' => listRevisions($name)
+				);
+			}
+		}
+	}
+	
+	respondJson(array('documents' => $documents));
+}
+
+function loadDocument() {
+	global $documentDir, $revisionDir, $revisionPattern;
+	
+	$name = getDocumentName();
+	$path = $documentDir.'/'.$name;
+	
+	if (isset($_GET['revision']) && $_GET['revision'] !== '') {
+		if (!preg_match($revisionPattern, $_GET['revision'])) {
+			fail('400 Bad Request', 'Invalid revision.');
+		}
+		
+		$path = $revisionDir.'/'.$name.'/'.$_GET['revision'].'.svg';
+	}
+	
+	if (!is_file($path)) {
+		fail('404 Not Found', "Document '$name' was not found on the server.");
+	}
+	
+	header('Content-Type: image/svg+xml; charset=utf-8');
+	header('Cache-Control: no-cache');
+	readfile($path);
+	exit;
+}
+
+function saveDocument() {
+	global $documentDir, $revisionDir, $maxRevisions, $maxDocumentSize;
+	
+	if ($_SERVER['REQUEST_METHOD'] != 'POST') {
+		fail('405 Method Not Allowed', 'Documents must be saved with a POST request.');
+	}
+	
+	$name = getDocumentName();
+	$data = file_get_contents('php://input');
+	
+	if (strlen($data) > $maxDocumentSize) {
+		fail('413 Request Entity Too Large', 'Document exceeds the maximum size accepted by the server.');
+	}
+	
+	if (strpos($data, '<svg') === false) {
+		fail('400 Bad Request', 'Request does not contain an Alberti document.');
+	}
+	
+	ensureDirectory($documentDir);
+	
+	$path = $documentDir.'/'.$name;
+	
+	// Keep the previous version as a revision, named for its modification time
+	if (is_file($path)) {
+		$docRevisionDir = $revisionDir.'/'.$name;
+		ensureDirectory($docRevisionDir);
+		
+		$id = date('Ymd-His', filemtime($path));
+		for ($i = 1; file_exists($docRevisionDir.'/'.$id.'.svg'); $i++) {
+			$id = date('Ymd-His', filemtime($path)).'-'.$i;
+		}
+		
+		if (!copy($path, $docRevisionDir.'/'.$id.'.svg')) {
+			fail('500 Internal Server Error', 'Could not create revision on server.');
+		}
+		
+		// Discard the oldest revisions
+		$revisions = listRevisions($name);
+		for ($i = $maxRevisions, $len = count($revisions); $i < $len; $i++) {
+			@unlink($docRevisionDir.'/'.$revisions[$i]['id'].'.svg');
+		}
+	}
+	
+	// Write to a temporary file first so that an interrupted save never
+	// leaves a truncated document behind
+	$tmpPath = tempnam($documentDir, '.save');
+	
+	if ($tmpPath === false || file_put_contents($tmpPath, $data) === false || !@rename($tmpPath, $path)) {
+		@unlink($tmpPath);
+		fail('500 Internal Server Error', 'Could not write document on server.');
+	}
+	
+	@chmod($path, 0664);
+	clearstatcache();
+	
+	respondJson(array('name' => $name, 'modified' => filemtime($path)));
+}
+
+switch (isset($_GET['action']) ? $_GET['action'] : '') {
+	case 'list':
+		listDocuments();
+		break;
+	
+	case 'load':
+		loadDocument();
+		break;
+	
+	case 'save':
+		saveDocument();
+		break;
+	
+	default:
+		fail('400 Bad Request', 'Unrecognized action.');
+}
@@ -41,13 +41,27 @@ function Alberti() {
 	
 	this.clipBoard = new ClipBoard();
 	
+	this.docServer = null;
+	
+	// Save to and open from the document server, if one is configured
+	if (Alberti.documentServerUrl) {
+		this.docServer = new DocumentServer(Alberti.documentServerUrl, this, "handleServerError");
+	}
+	
 	Alberti.svgRoot = document.getElementById("svgroot");
 	
 	// Create the user interface, passing self as application controller
 	this.ui = new UserInterface(
-		this.clipBoard, this, "handleNewDocument", "handleSaveDocument", "handleOpenDocument"
+		this.clipBoard, this, "handleNewDocument", "handleSaveDocument", "handleOpenDocument", this.docServer
 	);
 	
+	// Periodically store unsaved changes in browser storage
+	this.autosave = null;
+	
+	if (Alberti.autosaveInterval > 0) {
+		this.autosave = new Autosave(this, "handleAutosaveReady");
+	}
+	
 	// Open with an empty document by default
 	this.loadDocument(new AlbertiDocument());
 	
@@ -63,37 +77,197 @@ Alberti.prototype.handleNewDocument = function() {
 	this.loadDocument(newDoc);
 };
 
-Alberti.prototype.handleSaveDocument = function(type) {
+Alberti.prototype.handleSaveDocument = function(type, options) {
 	switch (type) {
 		
+		// Export visible layers as PNG
+		case AlbertiDocument.exportTypePng:
+			try {
+				new RasterExporter(this.doc).exportPng(options, this, "handleRasterExport");
+			} catch (e) {
+				alert(e);
+			}
+			break;
+		
+		// Export visible layers as PDF
+		case AlbertiDocument.exportTypePdf:
+			var filename = this.doc.filename ? this.doc.filename : Alberti.defaultFilename;
+			
+			try {
+				new FileExporter("application/pdf").save(
+					new PdfExporter(this.doc).exportPdf(options), Alberti.setFileExtension(filename, AlbertiDocument.exportTypePdf, true)
+				);
+			} catch (e) {
+				alert(e);
+			}
+			break;
+		
+		// Export all layers as DXF
+		case AlbertiDocument.exportTypeDxf:
+			var filename = this.doc.filename ? this.doc.filename : Alberti.defaultFilename;
+			
+			try {
+				new FileExporter("application/dxf").save(
+					new DxfExporter(this.doc, Alberti.exportConstructionLayers).asDxf(), Alberti.setFileExtension(filename, AlbertiDocument.exportTypeDxf, true)
+				);
+			} catch (e) {
+				alert(e);
+			}
+			break;
+		
 		// Save document as SVG
 		case AlbertiDocument.exportTypeSvg:
 		default:
-			// Convert document XML to a base64-encoded data url, giving it a
-			// default filename if it was not loaded by the user.
-			var data = Util.utf8_to_b64(this.doc.asXML());
-			var dataUrl = "data:image/svg+xml;base64,"+data;
+			var filename = this.doc.filename;
+			
+			var packageExtension = new RegExp("\\."+AlbertiDocument.packageExtension+"$", "i");
 			
-			if (Alberti.usePhpSaveScript) {
-				// TODO: Use PHP save script that modifies HTTP headers in order to force "Save as..." dialog
-			} else {
-				window.open(dataUrl);
+			// Prompt for a filename if saving as, if the document has never
+			// been saved or opened, or if it is to be packaged for the first time
+			if ((options && (options.saveAs || options.saveAsPackage)) || !filename) {
+				filename = filename ? filename : Alberti.defaultFilename;
+				
+				if (options && options.saveAsPackage) {
+					filename = Alberti.setFileExtension(filename, AlbertiDocument.packageExtension, true);
+				}
+				
+				filename = prompt("Save document as:", filename);
+				
+				if (!filename) {
+					return;                                  // User cancelled
+				}
+			}
+			
+			if (this.docServer) {
+				this.doc.setFilename(Alberti.setFileExtension(filename, AlbertiDocument.exportTypeSvg, false));
+				this.docServer.save(this.doc.filename, this.doc.asXML(), this, "handleServerSave");
+				break;
+			}
+			
+			// Documents are only packaged when the user asks for it, either by
+			// selecting "Save Package..." or by saving under a package filename
+			var storage = AlbertiDocument.underlayEmbedded;
+			
+			if ((options && options.saveAsPackage) || packageExtension.test(filename)) {
+				storage = AlbertiDocument.underlayPackaged;
+			} else if (this.doc.underlayImage.hasData()) {
+				storage = Alberti.underlayStorage;
+			}
+			
+			// Packages get their own file extension
+			this.doc.setFilename(Alberti.setFileExtension(
+				filename.replace(new RegExp("\\.("+AlbertiDocument.exportTypeSvg+"|"+AlbertiDocument.packageExtension+")$", "i"), ""),
+				storage == AlbertiDocument.underlayPackaged ? AlbertiDocument.packageExtension : AlbertiDocument.exportTypeSvg,
+				false
+			));
+			
+			try {
+				switch (storage) {
+					case AlbertiDocument.underlayPackaged:
+						new FileExporter("application/zip").saveBinary(this.doc.asPackage(), this.doc.filename);
+						break;
+					
+					// Save the underlay image next to the document. This starts a 
+					// second download, so tell the user what the extra file is for.
+					case AlbertiDocument.underlaySidecar:
+						var sidecarName = this.doc.getUnderlaySidecarName();
+						
+						new FileExporter("image/svg+xml").save(this.doc.asXML(sidecarName), this.doc.filename);
+						new FileExporter(this.doc.underlayImage.getMimeType()).saveDataUrl(
+							this.doc.underlayImage.imgNode.src, sidecarName
+						);
+						
+						alert(
+							"The underlay image is saved as a separate file, "+sidecarName+". Keep it next to "
+							+this.doc.filename+" and select \"Import Underlay...\" after opening the document "
+							+"to restore the underlay."
+						);
+						break;
+					
+					default:
+						new FileExporter("image/svg+xml").save(this.doc.asXML(), this.doc.filename);
+						break;
+				}
+			} catch (e) {
+				alert(e);
+				return;
 			}
 			
 			// Mark document as clean to eliminate unsaved-data warning
 			this.doc.undoManager.setCleanState();
+			this.removeAutosaves();
 			break;
 	}
 };
 
-Alberti.prototype.handleOpenDocument = function(documentXml, filename) {
-	var newDoc = new AlbertiDocument(documentXml);
+Alberti.prototype.handleServerSave = function(filename) {
+	// Mark document as clean, unless another document was loaded meanwhile
+	if (this.doc.filename == filename) {
+		this.doc.undoManager.setCleanState();
+		this.removeAutosaves();
+	}
+};
+
+Alberti.prototype.handleServerError = function(message) {
+	alert(message);
+};
+
+Alberti.prototype.handleRasterExport = function(dataUrl) {
+	var filename = this.doc.filename ? this.doc.filename : Alberti.defaultFilename;
+	
+	new FileExporter("image/png").saveDataUrl(dataUrl, Alberti.setFileExtension(filename, AlbertiDocument.exportTypePng, true));
+};
+
+// Open a document, given its XML data or, for packages, its data URL
+Alberti.prototype.handleOpenDocument = function(documentData, filename) {
+	try {
+		if (filename.match(new RegExp("\\."+AlbertiDocument.packageExtension+"$", "i"))) {
+			var newDoc = AlbertiDocument.fromPackage(documentData);
+		} else {
+			var newDoc = new AlbertiDocument(documentData);
+		}
+	} catch (e) {
+		alert("The document could not be opened. "+e);
+		return;
+	}
 	
 	newDoc.setFilename(filename);
 	this.loadDocument(newDoc);
+	
+	// Underlay images saved next to the document must be imported separately
+	if (newDoc.underlayImage.isMissing()) {
+		alert("This document's underlay image is stored in the file '"+newDoc.underlayImage.filename+"'. "
+			+"To restore it, choose Underlay > Import Underlay... and select that file.");
+	}
+};
+
+// Open a DXF drawing as a new document
+Alberti.prototype.handleImportDxf = function(dxfData, filename) {
+	try {
+		var importer = new DxfImporter(dxfData);
+		var newDoc = new AlbertiDocument(importer.importLayers());
+	} catch (e) {
+		alert("The DXF file could not be imported. "+e);
+		return;
+	}
+	
+	newDoc.setFilename(Alberti.setFileExtension(filename, AlbertiDocument.exportTypeSvg, true));
+	this.loadDocument(newDoc);
+	
+	// The drawing has not been saved as an Alberti document yet
+	newDoc.undoManager.clearCleanState();
+	
+	var summary = importer.getSummary();
+	
+	if (summary) {
+		alert(summary);
+	}
 };
 
-Alberti.prototype.loadDocument = function(newDoc) {
+// Load the given AlbertiDocument into the workspace. 'autosaveId' is the 
+// document id of the autosaved snapshot the document was recovered from, if
+// any (see Autosave::setDocument).
+Alberti.prototype.loadDocument = function(newDoc, autosaveId) {
 	var workspaceGroupNode = document.getElementById("workspace");
 	
 	// Replace the current workspace group node with the new document's workspace group node
@@ -108,4 +282,69 @@ Alberti.prototype.loadDocument = function(newDoc) {
 	}
 	
 	this.doc = newDoc;
+	
+	if (this.autosave) {
+		this.autosave.setDocument(newDoc, autosaveId);
+	}
+};
+
+// Once browser storage is available, offer to recover unsaved work from a
+// previous session and begin autosaving.
+Alberti.prototype.handleAutosaveReady = function() {
+	this.autosave.list("handleAutosaveList");
+	
+	setInterval(function() {
+		this.autosave.snapshot();
+	}.bindTo(this), Alberti.autosaveInterval);
+};
+
+Alberti.prototype.handleAutosaveList = function(snapshots) {
+	if (snapshots.length > 0) {
+		this.ui.promptRecovery(snapshots, this, "handleRecoverSnapshot", "handleDiscardSnapshots");
+	}
+};
+
+// The user declined to recover their unsaved work
+Alberti.prototype.handleDiscardSnapshots = function() {
+	this.autosave.removeAllSnapshots();
+};
+
+Alberti.prototype.handleRecoverSnapshot = function(snapshotId) {
+	this.autosave.load(snapshotId, "handleRecoveredDocument");
+};
+
+Alberti.prototype.handleRecoveredDocument = function(documentXml, filename, docId) {
+	try {
+		var newDoc = new AlbertiDocument(documentXml);
+	} catch (e) {
+		alert("The recovered document could not be loaded: "+e);
+		return;
+	}
+	
+	newDoc.setFilename(filename);
+	
+	// Keep the snapshots' document id, so that they are removed once the 
+	// recovered document is saved
+	this.loadDocument(newDoc, docId);
+	
+	// Recovered work has not been saved
+	newDoc.undoManager.clearCleanState();
+};
+
+// Discard autosaved snapshots of the current document once it has been saved
+Alberti.prototype.removeAutosaves = function() {
+	if (this.autosave) {
+		this.autosave.removeSnapshots();
+	}
+};
+
+// Returns the given filename with the given extension. If 'replace' is true,
+// any existing extension is replaced, otherwise the extension is appended
+// unless already present.
+Alberti.setFileExtension = function(filename, extension, replace) {
+	if (filename.match(new RegExp("\\."+extension+"$", "i"))) {
+		return filename;
+	}
+	
+	return (replace ? filename.replace(/\.[^.]*$/, "") : filename)+"."+extension;
 };
@@ -27,8 +27,17 @@
  * USAGE
  * 
  * You may optionally pass XML data to the constructor to load an existing 
- * document. If no arguments are passed to the constructor, a new, empty 
- * document is generated.
+ * document, or an array of layer data to create a document from imported 
+ * shapes (see AlbertiDocument::createFromLayers). If no arguments are passed
+ * to the constructor, a new, empty document is generated.
+ * 
+ * When loading XML data, 'resources' optionally maps file names referenced by
+ * the document to data URLs; this is how an underlay image stored alongside 
+ * the document is resolved. Underlay images may be embedded in the document
+ * (AlbertiDocument::asXML), referenced as a sidecar file 
+ * (AlbertiDocument::getUnderlaySidecarName), or bundled with the document in 
+ * a ZIP-based package (AlbertiDocument::asPackage and 
+ * AlbertiDocument.fromPackage). See Alberti.underlayStorage.
  * 
  * TODO
  * 
@@ -44,8 +53,20 @@
 // Various exportable formats
 AlbertiDocument.exportTypeSvg     = "svg";
 AlbertiDocument.exportTypePng     = "png";
+AlbertiDocument.exportTypeDxf     = "dxf";
+AlbertiDocument.exportTypePdf     = "pdf";
+
+// Ways of storing the underlay image (see Alberti.underlayStorage)
+AlbertiDocument.underlayEmbedded  = "embed";
+AlbertiDocument.underlaySidecar   = "sidecar";
+AlbertiDocument.underlayPackaged  = "package";
+
+// File extension of document packages, and names of the package entries
+AlbertiDocument.packageExtension  = "alberti";
+AlbertiDocument.packageDocument   = "document.svg";
+AlbertiDocument.packageUnderlay   = "underlay";
  
-function AlbertiDocument(xml) {
+function AlbertiDocument(source, resources) {
 	this.workspaceGroup = null;
 	this.undoManager = null;
 	this.layerManager = null;
@@ -59,9 +80,12 @@ function AlbertiDocument(xml) {
 	this.underlayImage.setSource("images/dummy.png");
 	this.underlayImage.hide();
 	
-	if (xml) {
-		// Import existing document if XML data available...
-		this.importFromXML(xml);
+	if (source instanceof Array) {
+		// Create document from imported layer data...
+		this.createFromLayers(source);
+	} else if (source) {
+		// ...or import existing document if XML data available...
+		this.importFromXML(source, resources);
 	} else {
 		// ...otherwise create a new, empty document.
 		this.createEmptyDocument();
@@ -87,7 +111,44 @@ AlbertiDocument.prototype.createEmptyDocument = function() {
 	this.undoManager.enable();
 };
 
-AlbertiDocument.prototype.importFromXML = function(xml) {
+// Create a document from an array of {name, color, hidden, shapes} objects,
+// one per layer in drawing order, such as those returned by SvgImporter and 
+// DxfImporter. Shapes must not have been generated yet.
+AlbertiDocument.prototype.createFromLayers = function(layers) {
+	this.workspaceGroup = new Group().generate().set("id", "workspace");
+	this.undoManager = new UndoManager(Alberti.maxUndos);
+	this.layerManager = new LayerManager(this.workspaceGroup, this.undoManager);
+	
+	// At least one layer must remain visible
+	var allHidden = layers.every(function(layer) {
+		return layer.hidden;
+	});
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		var newLayer = new Layer().generate();
+		newLayer.setName(layers[i].name);
+		newLayer.setColor(layers[i].color ? layers[i].color : Layer.defaultLayerColor);
+		
+		if (layers[i].hidden && !(allHidden && i == len - 1)) {
+			newLayer.hide();
+		}
+		
+		this.layerManager.insertLayer(newLayer);
+		
+		for (var j = 0, numShapes = layers[i].shapes.length; j < numShapes; j++) {
+			this.layerManager.insertShape(layers[i].shapes[j].generate());
+		}
+	}
+	
+	if (layers.length == 0) {
+		this.layerManager.newLayer();
+	}
+	
+	this.layerManager.switchToHighestVisibleLayer();
+	this.undoManager.enable();
+};
+
+AlbertiDocument.prototype.importFromXML = function(xml, resources) {
 	var parser = new DOMParser();
 	var doc = parser.parseFromString(xml, "text/xml");
 	
@@ -95,24 +156,22 @@ AlbertiDocument.prototype.importFromXML = function(xml) {
 		"AlbertiDocument::importFromXML could not parse imported file."
 	);
 	
-	if (Alberti.serializeUnderlayImages) {
-		var ulimg = doc.getElementById("underlayimg");
+	Util.assert(doc.getElementById("workspace"),
+		"This file is not an Alberti document. To open drawings created by other applications, use Import SVG... instead."
+	);
 	
+	// Upgrade documents saved in older file formats
+	DocumentMigrator.migrate(doc);
+	
+	var ulimg = doc.getElementById("underlayimg");
+	
+	// Documents saved without an underlay image have no underlay image element
+	if (ulimg) {
 		Util.assert(ulimg.hasAttributeNS(Alberti.xlinkns, "href") && ulimg.hasAttributeNS(null, "opacity"),
 			"AlbertiDocument::importFromXML encountered malformed underlay image element."
 		);
 		
-		// Extract and load underlay image data
-		this.underlayImage.setSource(ulimg.getAttributeNS(Alberti.xlinkns, "href"));
-		this.underlayImage.opacity = ulimg.getAttributeNS(null, "opacity");
-	
-		if (ulimg.getAttributeNS(null, "display") == "none") {
-			this.underlayImage.hide();
-		} else {
-			this.underlayImage.show();
-		}
-	
-		this.underlayImage.update();
+		this.importUnderlayImage(ulimg, resources || {});
 	}
 	
 	this.workspaceGroup = new Group(doc.getElementById("workspace"));
@@ -120,9 +179,60 @@ AlbertiDocument.prototype.importFromXML = function(xml) {
 	this.layerManager = new LayerManager(this.workspaceGroup, this.undoManager);
 	
 	this.loadLayers();                  // Load layers and shape data
+	
+	// Load the export frame, if present
+	var frameNode = doc.getElementById(ExportFrame.nodeId);
+	if (frameNode) {
+		this.layerManager.exportFrame = ExportFrame.fromNode(frameNode);
+	}
+	
+	// Load the perspective space, if present
+	var spaceNode = doc.getElementById(PerspectiveSpace.nodeId);
+	if (spaceNode) {
+		this.layerManager.perspectiveSpace = PerspectiveSpace.fromNode(spaceNode);
+	}
+	
 	this.undoManager.enable();          // Enable undo manager
 };
 
+// Load the underlay image and its placement from the given <image> node. An
+// image stored in a separate file is looked up in 'resources'; if it is not 
+// found, the underlay remains hidden, but keeps its placement and file name 
+// so that it can be restored once the user imports the file.
+AlbertiDocument.prototype.importUnderlayImage = function(ulimg, resources) {
+	var href = ulimg.getAttributeNS(Alberti.xlinkns, "href");
+	var ul = this.underlayImage;
+	
+	ul.opacity = parseFloat(ulimg.getAttributeNS(null, "opacity"));
+	
+	// Documents saved before underlay placement was stored have their 
+	// underlay centered on the origin at one unit per pixel
+	if (ulimg.hasAttributeNS(Alberti.customns, "scale")) {
+		ul.workspaceCenter = new Coord2D(
+			parseFloat(ulimg.getAttributeNS(Alberti.customns, "cx")),
+			parseFloat(ulimg.getAttributeNS(Alberti.customns, "cy"))
+		);
+		ul.workspaceScale = parseFloat(ulimg.getAttributeNS(Alberti.customns, "scale"));
+	}
+	
+	if (!href.match(/^data:/)) {
+		ul.filename = href;
+		href = resources[href];
+	}
+	
+	if (href) {
+		ul.setSource(href);
+		
+		if (ulimg.getAttributeNS(null, "display") == "none") {
+			ul.hide();
+		} else {
+			ul.show();
+		}
+	}
+	
+	ul.update();
+};
+
 AlbertiDocument.prototype.setFilename = function(filename) {
 	this.filename = filename;
 };
@@ -167,6 +277,14 @@ AlbertiDocument.prototype.loadLayers = function() {
 							shape = new Bezier(curShapeNode);
 							break;
 						
+						case "cbezier":
+							shape = new CubicBezier(curShapeNode);
+							break;
+						
+						case "cline":
+							shape = new ConstructionLine(curShapeNode);
+							break;
+						
 						default:
 							throw "AlbertiDocument::loadLayers encountered path node with missing Alberti type.";
 							break;
@@ -207,36 +325,81 @@ AlbertiDocument.prototype.loadLayers = function() {
 	this.layerManager.switchToHighestVisibleLayer();
 };
 
-// Returns the Alberti document as SVG+XML
-AlbertiDocument.prototype.asXML = function() {
+// Returns a Rect2D describing the region of the workspace to be exported.
+// This is the export frame if the document has one, otherwise the bounding
+// box of the document's visible layers. Construction layers only count 
+// toward the bounding box if 'includeConstruction' is true.
+AlbertiDocument.prototype.getExportBounds = function(includeConstruction) {
+	if (this.layerManager.exportFrame) {
+		return this.layerManager.exportFrame.getRect();
+	}
+	
+	return this.layerManager.getBoundingBox(includeConstruction);
+};
+
+// Returns the Alberti document as SVG+XML. The underlay image is embedded as a
+// data URL, unless 'underlayHref' is passed, in which case the document 
+// references the underlay image by that file name instead.
+AlbertiDocument.prototype.asXML = function(underlayHref) {
 	this.layerManager.serializeAll();
 	
 	var chunks = [];
+	var frame = this.layerManager.exportFrame;
 	
-	// Get the bounding box of the entire document
-	var bbox = this.workspaceGroup.svgNode.getBBox();
+	// Crop the document to the export frame, or its bounding box if it has no frame
+	var bounds = this.getExportBounds();
+	var width = bounds.right - bounds.left;
+	var height = bounds.bottom - bounds.top;
 	
 	chunks[0]  = '<svg\n';
-	chunks[0] += '	width="'+bbox.width+'"\n';
-	chunks[0] += '	height="'+bbox.height+'"\n';
-	chunks[0] += '	viewBox="'+bbox.x+' '+bbox.y+' '+bbox.width+' '+bbox.height+'"\n';
+	chunks[0] += '	width="'+(frame && frame.hasPhysicalSize() ? frame.physicalWidth+frame.units : width)+'"\n';
+	chunks[0] += '	height="'+(frame && frame.hasPhysicalSize() ? frame.physicalHeight+frame.units : height)+'"\n';
+	chunks[0] += '	viewBox="'+bounds.left+' '+bounds.top+' '+width+' '+height+'"\n';
 	chunks[0] += '	xmlns="http://www.w3.org/2000/svg" version="1.1"\n';
 	chunks[0] += '	xmlns:xlink="http://www.w3.org/1999/xlink"\n';
 	chunks[0] += '	xmlns:berti="'+Alberti.customns+'"\n'
 	chunks[0] += '  fill="none"\n';
-	chunks[0] += '  berti:version="'+Alberti.version+'">\n';
+	chunks[0] += '  berti:version="'+Alberti.version+'"\n';
+	chunks[0] += '  berti:format="'+DocumentMigrator.formatVersion+'">\n';
 	
-	// Set the document title. This will be the default filename in the save dialog.
+	// Set the document title to the filename
 	chunks[0] += '<title>'+(this.filename ? this.filename : "Alberti Document")+'</title>\n';
 	
-	if (Alberti.serializeUnderlayImages) {
-		chunks[0] += '<image id="underlayimg" xlink:href="';
+	if (frame) {
+		chunks[0] += frame.asXML()+'\n';
+	}
+	
+	if (this.layerManager.perspectiveSpace) {
+		chunks[0] += this.layerManager.perspectiveSpace.asXML()+'\n';
+	}
 	
-		chunks[1] = this.underlayImage.imgNode.src;               // Serialize underlay image in its own chunk.
+	// Only serialize underlay images imported by the user, or referenced 
+	// underlay images which have yet to be restored
+	var ul = this.underlayImage;
 	
+	if (ul.hasData() || ul.isMissing()) {
+		chunks[0] += '<image id="underlayimg" xlink:href="';
+		
+		// Serialize underlay image in its own chunk
+		if (ul.hasData()) {
+			chunks[1] = underlayHref ? Util.escapeXml(underlayHref) : ul.imgNode.src;
+		} else {
+			chunks[1] = Util.escapeXml(ul.filename);
+		}
+		
 		chunks[2]  = '" ';
-		chunks[2] += 'opacity="'+this.underlayImage.opacity+'" ';
-		chunks[2] += this.underlayImage.isHidden() ? 'display="none"' : '';
+		
+		// Standard placement attributes let other SVG viewers display the image
+		if (ul.hasData()) {
+			var rect = ul.getWorkspaceRect();
+			chunks[2] += 'x="'+rect.left+'" y="'+rect.top+'" ';
+			chunks[2] += 'width="'+(rect.right - rect.left)+'" height="'+(rect.bottom - rect.top)+'" ';
+		}
+		
+		chunks[2] += 'berti:cx="'+ul.workspaceCenter.x+'" berti:cy="'+ul.workspaceCenter.y+'" ';
+		chunks[2] += 'berti:scale="'+ul.workspaceScale+'" ';
+		chunks[2] += 'opacity="'+ul.opacity+'" ';
+		chunks[2] += ul.isHidden() && !ul.isMissing() ? 'display="none"' : '';
 		chunks[2] += '/>\n';
 	}
 	
@@ -249,6 +412,54 @@ AlbertiDocument.prototype.asXML = function() {
 	return chunks.join("");
 };
 
+// Returns the file name under which the underlay image is saved alongside the
+// document, e.g. "Drawing_underlay.png" for "Drawing.svg"
+AlbertiDocument.prototype.getUnderlaySidecarName = function() {
+	var base = (this.filename ? this.filename : Alberti.defaultFilename).replace(/\.[^.]*$/, "");
+	
+	return base+"_"+AlbertiDocument.packageUnderlay+"."+this.underlayImage.getFileExtension();
+};
+
+// Returns the document and its underlay image bundled as a ZIP archive, in 
+// the form of a binary string
+AlbertiDocument.prototype.asPackage = function() {
+	var archive = new ZipArchive();
+	var ul = this.underlayImage;
+	
+	if (ul.hasData()) {
+		var underlayName = AlbertiDocument.packageUnderlay+"."+ul.getFileExtension();
+		
+		archive.addFile(AlbertiDocument.packageDocument, unescape(encodeURIComponent(this.asXML(underlayName))));
+		archive.addFile(underlayName, ul.getBinaryData());
+	} else {
+		archive.addFile(AlbertiDocument.packageDocument, unescape(encodeURIComponent(this.asXML())));
+	}
+	
+	return archive.asBinary();
+};
+
+// Create a document from a package (see AlbertiDocument::asPackage), passed
+// as a data URL
+AlbertiDocument.fromPackage = function(dataUrl) {
+	var files = ZipArchive.read(atob(dataUrl.substring(dataUrl.indexOf(",") + 1)));
+	var resources = {};
+	
+	Util.assert(files[AlbertiDocument.packageDocument] !== undefined, 
+		"The package does not contain an Alberti document."
+	);
+	
+	// Pass the package's images to the document as data URLs
+	for (var name in files) {
+		for (var mimeType in FastImage.fileExtensions) {
+			if (name.match(new RegExp("\\."+FastImage.fileExtensions[mimeType]+"$", "i"))) {
+				resources[name] = "data:"+mimeType+";base64,"+btoa(files[name]);
+			}
+		}
+	}
+	
+	return new AlbertiDocument(decodeURIComponent(escape(files[AlbertiDocument.packageDocument])), resources);
+};
+
 AlbertiDocument.prototype.cleanup = function() {
 	this.underlayImage.killAllListeners();
 };
@@ -0,0 +1,234 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * Autosave.js
+ * 
+ * Periodically stores snapshots of the current document in the browser's 
+ * IndexedDB database, so that unsaved work can be recovered after the 
+ * browser or tab is closed unexpectedly.
+ * 
+ * USAGE
+ * 
+ * The constructor expects a controller object and the name of a controller
+ * method that is invoked once the database is ready (Autosave silently 
+ * disables itself in browsers without IndexedDB). Pass each document that is
+ * loaded to Autosave::setDocument, along with the document id of the snapshot
+ * it was recovered from, if any, and call Autosave::snapshot periodically. 
+ * A snapshot is only taken if the document has unsaved changes that were not
+ * already captured by a previous snapshot. Call Autosave::removeSnapshots 
+ * once the document has been saved; this includes the snapshots of a 
+ * recovered document from before it was recovered. Call 
+ * Autosave::removeAllSnapshots to discard the snapshots of every document, 
+ * e.g. when the user declines to recover them.
+ * 
+ * Autosave::list invokes the given controller method with an array of 
+ * snapshot descriptions ({id, docId, filename, time}), newest first. 
+ * Autosave::load invokes the given controller method with the XML of the 
+ * given snapshot, the filename of its document and its document id.
+ * 
+ * Snapshots older than Autosave.maxAge are discarded when the database is 
+ * opened, and only the newest Autosave.maxSnapshots snapshots of each 
+ * document are kept.
+ * 
+ * * */
+
+Autosave.dbName = "alberti";
+Autosave.dbVersion = 1;
+Autosave.storeName = "snapshots";
+Autosave.maxSnapshots = 5;                        // Snapshots kept per document
+Autosave.maxAge = 7 * 24 * 60 * 60 * 1000;        // Snapshots older than this (in milliseconds) are discarded
+
+function Autosave(controller, readyHandler) {
+	this.controller = controller;
+	this.readyHandler = readyHandler;
+	
+	this.db = null;
+	this.doc = null;
+	this.docId = null;                   // Identifies snapshots of the current document
+	this.lastAction = null;              // Topmost undo action at the time of the last snapshot
+	
+	this.open();
+}
+
+Autosave.prototype.open = function() {
+	var indexedDB = window.indexedDB || window.mozIndexedDB || window.webkitIndexedDB;
+	
+	if (!indexedDB) {
+		return;
+	}
+	
+	try {
+		var request = indexedDB.open(Autosave.dbName, Autosave.dbVersion);
+	} catch (e) {
+		return;                          // Storage is unavailable, e.g. in private browsing mode
+	}
+	
+	request.onupgradeneeded = function(evt) {
+		var store = evt.target.result.createObjectStore(Autosave.storeName, {keyPath: "id", autoIncrement: true});
+		store.createIndex("docId", "docId", {unique: false});
+	};
+	
+	request.onsuccess = function(evt) {
+		this.db = evt.target.result;
+		this.removeExpiredSnapshots();
+		this.controller[this.readyHandler]();
+	}.bindTo(this);
+};
+
+Autosave.prototype.isEnabled = function() {
+	return this.db !== null;
+};
+
+// Begin tracking the given AlbertiDocument. Pass the document id of the 
+// snapshot a document was recovered from (optional) to continue its snapshots.
+Autosave.prototype.setDocument = function(albertiDoc, docId) {
+	this.doc = albertiDoc;
+	this.docId = docId ? docId : new Date().getTime()+"-"+Math.floor(Math.random() * 1e9);
+	this.lastAction = null;
+};
+
+// Store a snapshot of the current document if it has changed since it was 
+// last saved or snapshotted
+Autosave.prototype.snapshot = function() {
+	var undoManager = this.doc.undoManager;
+	var topAction = undoManager.getLastAction();
+	
+	if (!this.isEnabled() || undoManager.stateIsClean() || topAction === this.lastAction) {
+		return;
+	}
+	
+	this.lastAction = topAction;
+	
+	var store = this.db.transaction(Autosave.storeName, "readwrite").objectStore(Autosave.storeName);
+	
+	store.add({
+		docId:    this.docId,
+		filename: this.doc.filename,
+		time:     new Date().getTime(),
+		xml:      this.doc.asXML()
+	});
+	
+	this.removeOldSnapshots(this.docId);
+};
+
+// Invoke the controller's handler with descriptions of all stored snapshots,
+// newest first
+Autosave.prototype.list = function(handler) {
+	var snapshots = [];
+	
+	this.iterate(null, function(cursor) {
+		var snapshot = cursor.value;
+		
+		snapshots.push({
+			id:       snapshot.id,
+			docId:    snapshot.docId,
+			filename: snapshot.filename,
+			time:     new Date(snapshot.time)
+		});
+	}, function() {
+		snapshots.reverse();             // Ids are assigned in increasing order
+		this.controller[handler](snapshots);
+	});
+};
+
+// Invoke the controller's handler with the XML, filename and document id of
+// the given snapshot
+Autosave.prototype.load = function(id, handler) {
+	var request = this.db.transaction(Autosave.storeName, "readonly").objectStore(Autosave.storeName).get(id);
+	
+	request.onsuccess = function(evt) {
+		var snapshot = evt.target.result;
+		
+		if (snapshot) {
+			this.controller[handler](snapshot.xml, snapshot.filename, snapshot.docId);
+		}
+	}.bindTo(this);
+};
+
+// Remove all snapshots of the current document
+Autosave.prototype.removeSnapshots = function() {
+	if (!this.isEnabled()) {
+		return;
+	}
+	
+	this.lastAction = null;
+	
+	this.iterate(this.docId, function(cursor) {
+		cursor["delete"]();
+	});
+};
+
+// Remove the snapshots of all documents
+Autosave.prototype.removeAllSnapshots = function() {
+	if (!this.isEnabled()) {
+		return;
+	}
+	
+	this.lastAction = null;
+	
+	this.iterate(null, function(cursor) {
+		cursor["delete"]();
+	});
+};
+
+// Remove all but the newest Autosave.maxSnapshots snapshots of the given document
+Autosave.prototype.removeOldSnapshots = function(docId) {
+	var ids = [];
+	
+	this.iterate(docId, function(cursor) {
+		ids.push(cursor.primaryKey);
+	}, function() {
+		var store = this.db.transaction(Autosave.storeName, "readwrite").objectStore(Autosave.storeName);
+		
+		for (var i = 0, len = ids.length - Autosave.maxSnapshots; i < len; i++) {
+			store["delete"](ids[i]);
+		}
+	});
+};
+
+Autosave.prototype.removeExpiredSnapshots = function() {
+	var expiry = new Date().getTime() - Autosave.maxAge;
+	
+	this.iterate(null, function(cursor) {
+		if (cursor.value.time < expiry) {
+			cursor["delete"]();
+		}
+	});
+};
+
+// Invoke callback with a cursor for each snapshot, in order of creation, 
+// optionally limited to the snapshots of the given document. Invokes 
+// completeCallback (if given) once all snapshots have been visited. Both 
+// callbacks are bound to this Autosave.
+Autosave.prototype.iterate = function(docId, callback, completeCallback) {
+	var store = this.db.transaction(Autosave.storeName, "readwrite").objectStore(Autosave.storeName);
+	var request = docId ? store.index("docId").openCursor(docId) : store.openCursor();
+	
+	request.onsuccess = function(evt) {
+		var cursor = evt.target.result;
+		
+		if (cursor) {
+			callback.call(this, cursor);
+			cursor["continue"]();
+		} else if (completeCallback) {
+			completeCallback.call(this);
+		}
+	}.bindTo(this);
+};
@@ -74,6 +74,54 @@ Bezier.prototype.clone = function() {
 	return b;
 };
 
+Bezier.prototype.transform = function(matrix) {
+	this.p1 = matrix.transformPoint(this.p1);
+	this.p2 = matrix.transformPoint(this.p2);
+	this.p3 = matrix.transformPoint(this.p3);
+	
+	return this;
+};
+
+// Handles are the endpoints and the control point
+Bezier.prototype.getHandles = function() {
+	return [this.p1.clone(), this.p2.clone(), this.p3.clone()];
+};
+
+Bezier.prototype.moveHandle = function(index, coord) {
+	this["p"+(index + 1)] = coord.clone();
+	
+	return this;
+};
+
+// Returns the point on the curve at parameter t (0-1)
+Bezier.prototype.getPointGivenT = function(t) {
+	var s = 1 - t;
+	var a = s*s, b = 2*s*t, c = t*t;
+	
+	return new Coord2D(
+		a*this.p1.x + b*this.p2.x + c*this.p3.x,
+		a*this.p1.y + b*this.p2.y + c*this.p3.y
+	);
+};
+
+Bezier.prototype.getParameter = function(coord) {
+	return Shape.getNearestParameter(this, coord);
+};
+
+Bezier.prototype.getPiece = function(t0, t1) {
+	var p1 = this.p1, p2 = this.p2, p3 = this.p3;
+	
+	// Evaluate the curve's blossom at the given parameters
+	var blossom = function(u, v) {
+		var a = new Coord2D(p1.x + (p2.x - p1.x) * u, p1.y + (p2.y - p1.y) * u);
+		var b = new Coord2D(p2.x + (p3.x - p2.x) * u, p2.y + (p3.y - p2.y) * u);
+		
+		return new Coord2D(a.x + (b.x - a.x) * v, a.y + (b.y - a.y) * v);
+	};
+	
+	return Bezier.fromPoints(blossom(t0, t0), blossom(t0, t1), blossom(t1, t1));
+};
+
 Bezier.fromPoints = function(p1, p2, p3) {
 	var b = new Bezier();
 	b.p1.x = p1.x;
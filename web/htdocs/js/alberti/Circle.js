@@ -49,6 +49,90 @@ Circle.prototype.pull = function() {
 	this.radius = this.get("r");
 };
 
+// Only similarity transforms are supported, as others do not preserve 
+// circles (see Matrix2D::isSimilarity).
+Circle.prototype.transform = function(matrix) {
+	Util.assert(matrix.isSimilarity(), "Circle::transform requires a similarity transform.");
+	
+	this.center = matrix.transformPoint(this.center);
+	this.radius *= Math.sqrt(Math.abs(matrix.determinant()));
+	
+	return this;
+};
+
+// Handles are the center, which moves the circle, and the point at polar 
+// angle 0, which sets the radius
+Circle.prototype.getHandles = function() {
+	return [this.center.clone(), new Coord2D(this.center.x + this.radius, this.center.y)];
+};
+
+Circle.prototype.moveHandle = function(index, coord) {
+	if (index == 0) {
+		this.center = coord.clone();
+	} else if (!coord.isEqual(this.center)) {
+		this.radius = this.center.distanceTo(coord);
+	}
+	
+	return this;
+};
+
+Circle.prototype.getPointGivenT = function(t) {
+	return new Coord2D(this.center.x + this.radius * cos(t * twoPi), this.center.y + this.radius * sin(t * twoPi));
+};
+
+// Parameters run anti-clockwise (i.e. with increasing polar angle) from 
+// polar angle 0
+Circle.prototype.getParameter = function(coord) {
+	return Util.sweepAngle(0, this.center.angleTo(coord), 1) / twoPi;
+};
+
+// Pieces are CircleArcs
+Circle.prototype.getPiece = function(t0, t1) {
+	var ca = new CircleArc();
+	ca.center = this.center.clone();
+	ca.radius = this.radius;
+	ca.sa = t0 * twoPi;
+	ca.da = (t1 - t0) * twoPi;
+	
+	return ca;
+};
+
+Circle.prototype.isClosed = function() {
+	return true;
+};
+
+// Returns a new, un-generate()'ed Ellipse matching the circle, e.g. so that it
+// can undergo transforms that do not preserve circles
+Circle.prototype.toEllipse = function() {
+	var e = new Ellipse();
+	e.setGeometry(this.center.clone(), this.radius, this.radius, 0);
+	
+	return e;
+};
+
+// Returns a new Circle passing through the given coords, without calling 
+// SvgObject::generate, or null if the coords are collinear
+Circle.fromThreePoints = function(a, b, c) {
+	var bx = b.x - a.x, by = b.y - a.y;
+	var cx = c.x - a.x, cy = c.y - a.y;
+	var det = 2 * (bx * cy - by * cx);
+	
+	if (Util.equals(det, 0)) {
+		return null;
+	}
+	
+	// Circumcenter, relative to a
+	var b2 = bx * bx + by * by, c2 = cx * cx + cy * cy;
+	var ux = (cy * b2 - by * c2) / det;
+	var uy = (bx * c2 - cx * b2) / det;
+	
+	var circle = new Circle();
+	circle.center = new Coord2D(a.x + ux, a.y + uy);
+	circle.radius = Math.sqrt(ux * ux + uy * uy);
+	
+	return circle;
+};
+
 // Clone the circle object, without calling SvgObject::generate
 Circle.prototype.clone = function() {
 	var c = new Circle();
@@ -94,3 +94,99 @@ CircleArc.prototype.clone = function() {
 	
 	return ca;
 };
+
+// Handles are the center, which moves the arc, and the start and end points,
+// which set the radius and the respective angle. The opposite angle and the
+// direction of the arc are kept.
+CircleArc.prototype.getHandles = function() {
+	return [
+		this.center.clone(),
+		new Coord2D(this.center.x + this.radius * cos(this.sa), this.center.y + this.radius * sin(this.sa)),
+		new Coord2D(this.center.x + this.radius * cos(this.sa + this.da), this.center.y + this.radius * sin(this.sa + this.da))
+	];
+};
+
+CircleArc.prototype.moveHandle = function(index, coord) {
+	if (index == 0) {
+		this.center = coord.clone();
+		return this;
+	}
+	
+	if (coord.isEqual(this.center)) {
+		return this;
+	}
+	
+	var a = this.center.angleTo(coord);
+	var ea = this.sa + this.da;
+	var da = index == 1 ? Util.sweepAngle(a, ea, this.da) : Util.sweepAngle(this.sa, a, this.da);
+	
+	if (!Util.equals(da, 0)) {
+		this.radius = this.center.distanceTo(coord);
+		this.sa = index == 1 ? a : this.sa;
+		this.da = da;
+	}
+	
+	return this;
+};
+
+CircleArc.prototype.getPointGivenT = function(t) {
+	var a = this.sa + t * this.da;
+	
+	return new Coord2D(this.center.x + this.radius * cos(a), this.center.y + this.radius * sin(a));
+};
+
+// Parameters run from the start of the arc (0) to its end (1). Points beyond
+// the arc get the parameter of the nearer end.
+CircleArc.prototype.getParameter = function(coord) {
+	return CircleArc.getArcParameter(this, this.center.angleTo(coord));
+};
+
+CircleArc.prototype.getPiece = function(t0, t1) {
+	var ca = this.clone();
+	ca.sa = this.sa + t0 * this.da;
+	ca.da = (t1 - t0) * this.da;
+	
+	return ca;
+};
+
+// Returns the parameter (0-1) of polar angle 'a' along the given arc, which
+// may be any shape defined by start and delta angles 'sa' and 'da' (e.g. an 
+// EllipticalArc). Angles beyond the arc get the parameter of the nearer end.
+CircleArc.getArcParameter = function(arc, a) {
+	var t = Util.sweepAngle(arc.sa, a, arc.da) / arc.da;
+	var end = twoPi / Math.abs(arc.da);
+	
+	if (t > 1) {
+		t = (t - 1 < end - t) ? 1 : 0;
+	}
+	
+	return t;
+};
+
+// Returns a new, un-generate()'ed EllipticalArc matching the arc, e.g. so that
+// it can undergo transforms that do not preserve circles
+CircleArc.prototype.toEllipticalArc = function() {
+	var ea = new EllipticalArc();
+	ea.setGeometry(this.center.clone(), this.radius, this.radius, 0);
+	ea.sa = this.sa;
+	ea.da = this.da;
+	
+	return ea;
+};
+
+// Only similarity transforms are supported, as others do not preserve 
+// circles (see Matrix2D::isSimilarity).
+CircleArc.prototype.transform = function(matrix) {
+	Util.assert(matrix.isSimilarity(), "CircleArc::transform requires a similarity transform.");
+	
+	var start = new Coord2D(this.center.x + this.radius * cos(this.sa), this.center.y + this.radius * sin(this.sa));
+	var end = new Coord2D(this.center.x + this.radius * cos(this.sa + this.da), this.center.y + this.radius * sin(this.sa + this.da));
+	var angles = matrix.transformArc(this.center, start, end, this.da);
+	
+	this.center = matrix.transformPoint(this.center);
+	this.radius *= Math.sqrt(Math.abs(matrix.determinant()));
+	this.sa = angles.sa;
+	this.da = angles.da;
+	
+	return this;
+};
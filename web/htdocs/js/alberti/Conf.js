@@ -30,6 +30,7 @@ Alberti.refreshms = Math.round(1000 / Alberti.fpsMax);      // limit redraw rate
 Alberti.showToolTips = true;                            // Show tool helper tips?
 Alberti.snapRadius = 20;                                 // Snapping takes effect within this radius (in pixels)
 Alberti.selectionPickRadius = 2.5;                       // Radius of selection rect when "picking" shapes w/ single mouse click
+Alberti.handlePickRadius = 5;                            // Radius within which a click grabs an editing handle (in pixels)
 Alberti.maxUndos = 100;                                  // Maximum number of undo actions
 
 // This values is used as the default tolerance when comparing floating point
@@ -53,12 +54,56 @@ Alberti.lineWidthDeltaOptimized = 0.01;
 // implementation does not support "vector-effect: non-scaling-stroke".
 Alberti.nonScalingLinesHack = true;
 
-// Set to true to enable server-side save script. This automatically forces a
-// save dialog when saving Alberti documents.
-Alberti.usePhpSaveScript = false;
+// Default PNG export settings: output pixels per workspace unit, and 
+// resolution in dots per inch (see RasterExporter.js).
+Alberti.pngExportScale = 1;
+Alberti.pngExportDpi = 96;
 
-// Set to true to save underlay image data with Alberti documents. This
-// feature is too unstable across browsers (it crashes Firefox 5 when saving
-// large underlay images) and leads to slow saves, so it is disabled by 
-// default.
-Alberti.serializeUnderlayImages = false;
+// Default PDF export settings (see PdfExporter.js): the physical length of 
+// one workspace unit, the units of all lengths ("in" or "mm"), the page size
+// (an ExportFrame preset), and the page margin and tile overlap.
+Alberti.pdfExportScale = 0.01;
+Alberti.pdfExportUnits = "in";
+Alberti.pdfExportPageSize = "letter";
+Alberti.pdfExportMargin = 0.25;
+Alberti.pdfExportOverlap = 0.5;
+
+// Width, in workspace units, of a new export frame created from the Export
+// Frame dialog when the document is empty.
+Alberti.defaultExportFrameWidth = 1000;
+
+// Number of vanishing lines drawn above and below the horizon for each 
+// vanishing point by the perspective tools, and the color of the layer that
+// receives them (see ToolPerspective.js).
+Alberti.perspectiveGuideCount = 3;
+Alberti.perspectiveLayerColor = "#ffa929";
+
+// Color of the construction layer created by the construction line tool, and
+// whether construction layers are exported by default (see 
+// Layer::setConstruction).
+Alberti.constructionLayerColor = "#44bbaa";
+Alberti.exportConstructionLayers = false;
+
+// Interval in milliseconds between autosaves of the current document to
+// browser storage (see Autosave.js). Set to 0 to disable autosaving.
+Alberti.autosaveInterval = 60 * 1000;
+
+// URL of the document server script (see docserver.php), e.g. 
+// "docserver.php". If set, documents are saved to and opened from the server
+// instead of being downloaded and uploaded.
+Alberti.documentServerUrl = null;
+
+// Filename suggested when saving a document that has never been saved or
+// opened.
+Alberti.defaultFilename = "Untitled.svg";
+
+// How Save stores underlay images with Alberti documents:
+// "embed"   - the underlay image is embedded in the document as a data URL,
+//             which can make documents large and slow to save
+// "sidecar" - the document references the underlay image, which is saved as
+//             a separate file next to it
+// Documents without an underlay image are always saved as plain SVG, and 
+// documents saved to the document server always embed their underlay image.
+// Select "Save Package..." to bundle a document and its underlay image in a 
+// single ZIP-based .alberti file instead.
+Alberti.underlayStorage = "embed";
@@ -0,0 +1,177 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ * 
+ * ConstructionLine.js
+ * extends Shape
+ * 
+ * Construction line, extending infinitely in both directions from an origin
+ * (p1) through a second point (p2), or a ray, extending infinitely from the 
+ * origin through the second point only.
+ * 
+ * NOTES
+ * 
+ * A construction line is rendered as the segment of it lying within 
+ * ConstructionLine.viewport, which Zap keeps up to date with the visible
+ * region of the workspace (see LayerManager::updateConstructionLines). When 
+ * testing for intersections, it stands in for a line segment reaching 
+ * ConstructionLine.extent from its origin (see ConstructionLine::toLine).
+ * 
+ * * */
+
+ConstructionLine.elementTag = "path";
+ConstructionLine.shapeName = "cline";
+
+// Distance from the origin to the far ends of construction lines when testing
+// for intersections, in workspace units
+ConstructionLine.extent = 1e6;
+
+// Rect2D to which rendered construction lines are clipped, or null if they 
+// are rendered to ConstructionLine.extent
+ConstructionLine.viewport = null;
+
+function ConstructionLine(svgNode) {
+	ConstructionLine.baseConstructor.call(this, svgNode ? svgNode : ConstructionLine.elementTag, ConstructionLine.shapeName);
+}
+Util.extend(ConstructionLine, Shape);
+
+ConstructionLine.prototype.initialize = function() {
+	this.p1 = new Coord2D(0, 0);
+	this.p2 = new Coord2D(0, 0);
+	this.ray = false;
+};
+
+ConstructionLine.prototype.push = function() {
+	var l = this.getClippedLine(ConstructionLine.viewport);
+	
+	// Nothing is drawn if the line lies outside of the viewport
+	this.set("d", l ?
+		"M"+l.p1.x+","+l.p1.y+"L"+l.p2.x+","+l.p2.y :
+		"M"+this.p1.x+","+this.p1.y
+	);
+};
+
+ConstructionLine.prototype.serialize = function() {
+	this.set("berti:x1", this.p1.x, Alberti.customns);
+	this.set("berti:y1", this.p1.y, Alberti.customns);
+	this.set("berti:x2", this.p2.x, Alberti.customns);
+	this.set("berti:y2", this.p2.y, Alberti.customns);
+	this.set("berti:ray", this.ray ? "true" : "false", Alberti.customns);
+	this.set("berti:type", ConstructionLine.shapeName, Alberti.customns);
+};
+
+ConstructionLine.prototype.pull = function() {
+	this.p1 = new Coord2D(this.get("x1", Alberti.customns), this.get("y1", Alberti.customns));
+	this.p2 = new Coord2D(this.get("x2", Alberti.customns), this.get("y2", Alberti.customns));
+	this.ray = this.get("ray", Alberti.customns) == "true";
+};
+
+// Create a new ConstructionLine from its origin and a second point, without
+// calling SvgObject::generate. Pass true for 'ray' to create a ray.
+ConstructionLine.fromPoints = function(p1, p2, ray) {
+	var l = new ConstructionLine();
+	l.p1 = p1.clone();
+	l.p2 = p2.clone();
+	l.ray = ray ? true : false;
+	
+	return l;
+};
+
+ConstructionLine.prototype.clone = function() {
+	return ConstructionLine.fromPoints(this.p1, this.p2, this.ray);
+};
+
+ConstructionLine.prototype.transform = function(matrix) {
+	this.p1 = matrix.transformPoint(this.p1);
+	this.p2 = matrix.transformPoint(this.p2);
+	
+	return this;
+};
+
+// Handles are the origin and the second point
+ConstructionLine.prototype.getHandles = function() {
+	return [this.p1.clone(), this.p2.clone()];
+};
+
+ConstructionLine.prototype.moveHandle = function(index, coord) {
+	var p = coord.clone();
+	
+	if (!p.isEqual(index == 0 ? this.p2 : this.p1)) {
+		this[index == 0 ? "p1" : "p2"] = p;
+	}
+	
+	return this;
+};
+
+// Returns a new Line reaching ConstructionLine.extent from the origin in the
+// direction of the second point and, unless this is a ray, in the opposite 
+// direction. The Line has zero length if the two points coincide. Note that
+// SvgObject::generate is not called.
+ConstructionLine.prototype.toLine = function() {
+	var length = this.p1.distanceTo(this.p2);
+	
+	if (length == 0) {
+		return Line.fromPoints(this.p1, this.p1);
+	}
+	
+	var dx = (this.p2.x - this.p1.x) * ConstructionLine.extent / length;
+	var dy = (this.p2.y - this.p1.y) * ConstructionLine.extent / length;
+	
+	return Line.fromPoints(
+		this.ray ? this.p1 : new Coord2D(this.p1.x - dx, this.p1.y - dy),
+		new Coord2D(this.p1.x + dx, this.p1.y + dy)
+	);
+};
+
+// Returns the portion of the line (see ConstructionLine::toLine) lying 
+// within the given Rect2D as a new Line, or null if it misses the rect. If
+// 'rect' is null, the whole line is returned.
+ConstructionLine.prototype.getClippedLine = function(rect) {
+	var l = this.toLine();
+	
+	if (!rect) {
+		return l;
+	}
+	
+	// Clip the line's parameter range [t0, t1] against each side of the rect
+	// in turn (Liang-Barsky)
+	var dx = l.p2.x - l.p1.x, dy = l.p2.y - l.p1.y;
+	var p = [-dx, dx, -dy, dy];
+	var q = [l.p1.x - rect.left, rect.right - l.p1.x, l.p1.y - rect.top, rect.bottom - l.p1.y];
+	var t0 = 0, t1 = 1;
+	
+	for (var i = 0; i < 4; i++) {
+		if (p[i] == 0) {
+			// Parallel to this side, and outside of it
+			if (q[i] < 0) {
+				return null;
+			}
+		} else if (p[i] < 0) {
+			t0 = Math.max(t0, q[i] / p[i]);
+		} else {
+			t1 = Math.min(t1, q[i] / p[i]);
+		}
+	}
+	
+	if (t0 > t1) {
+		return null;
+	}
+	
+	return Line.fromPoints(l.getPointGivenT(t0), l.getPointGivenT(t1));
+};
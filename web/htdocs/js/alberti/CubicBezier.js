@@ -0,0 +1,290 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ * 
+ * CubicBezier.js
+ * 
+ * A cubic bezier curve defined by two endpoints (p1, p4) and two control 
+ * points (p2, p3).
+ * 
+ * * */
+
+CubicBezier.elementTag = "path";
+CubicBezier.shapeName = "cbezier";
+
+// Number of pieces the curve is sampled in when searching for roots (see
+// CubicBezier::findParameters)
+CubicBezier.rootSamples = 32;
+
+// Local minima of |f| no larger than this fraction of the largest sampled 
+// |f| are taken to be roots where f touches zero without changing sign (see
+// CubicBezier::findParameters)
+CubicBezier.tangentTolerance = 1e-9;
+
+// Curves are subdivided when intersecting them with other curves until their
+// control points lie within this distance of their chords, or until they 
+// have been subdivided maxSubdivisions times (see Intersect.cbeziercbezier)
+CubicBezier.flatness = 0.01;
+CubicBezier.maxSubdivisions = 24;
+
+// Intersections of curves whose tangents are parallel to within this sine 
+// of their angle are taken to be overlaps of coincident curves, and ignored
+CubicBezier.parallelTolerance = 1e-6;
+ 
+function CubicBezier(svgNode) {
+	CubicBezier.baseConstructor.call(this, svgNode ? svgNode : CubicBezier.elementTag, CubicBezier.shapeName);
+}
+Util.extend(CubicBezier, Shape);
+
+CubicBezier.prototype.initialize = function() {
+	this.p1 = new Coord2D(0, 0);
+	this.p2 = new Coord2D(0, 0);
+	this.p3 = new Coord2D(0, 0);
+	this.p4 = new Coord2D(0, 0);
+};
+
+CubicBezier.prototype.push = function() {
+	this.set("d",
+		"M"+this.p1.x+","+this.p1.y+
+		"C"+this.p2.x+","+this.p2.y+
+		" "+this.p3.x+","+this.p3.y+
+		" "+this.p4.x+","+this.p4.y
+	);
+};
+
+CubicBezier.prototype.serialize = function() {
+	this.set("berti:x0", this.p1.x, Alberti.customns);
+	this.set("berti:y0", this.p1.y, Alberti.customns);
+	this.set("berti:x1", this.p2.x, Alberti.customns);
+	this.set("berti:y1", this.p2.y, Alberti.customns);
+	this.set("berti:x2", this.p3.x, Alberti.customns);
+	this.set("berti:y2", this.p3.y, Alberti.customns);
+	this.set("berti:x3", this.p4.x, Alberti.customns);
+	this.set("berti:y3", this.p4.y, Alberti.customns);
+	this.set("berti:type", CubicBezier.shapeName, Alberti.customns);
+};
+
+CubicBezier.prototype.pull = function() {
+	this.p1 = new Coord2D(this.get("x0", Alberti.customns), this.get("y0", Alberti.customns));
+	this.p2 = new Coord2D(this.get("x1", Alberti.customns), this.get("y1", Alberti.customns));
+	this.p3 = new Coord2D(this.get("x2", Alberti.customns), this.get("y2", Alberti.customns));
+	this.p4 = new Coord2D(this.get("x3", Alberti.customns), this.get("y3", Alberti.customns));
+};
+
+CubicBezier.prototype.clone = function() {
+	return CubicBezier.fromPoints(this.p1, this.p2, this.p3, this.p4);
+};
+
+CubicBezier.prototype.transform = function(matrix) {
+	this.p1 = matrix.transformPoint(this.p1);
+	this.p2 = matrix.transformPoint(this.p2);
+	this.p3 = matrix.transformPoint(this.p3);
+	this.p4 = matrix.transformPoint(this.p4);
+	
+	return this;
+};
+
+// Handles are the endpoints and the control points
+CubicBezier.prototype.getHandles = function() {
+	return [this.p1.clone(), this.p2.clone(), this.p3.clone(), this.p4.clone()];
+};
+
+CubicBezier.prototype.moveHandle = function(index, coord) {
+	this["p"+(index + 1)] = coord.clone();
+	
+	return this;
+};
+
+CubicBezier.fromPoints = function(p1, p2, p3, p4) {
+	var b = new CubicBezier();
+	b.p1 = p1.clone();
+	b.p2 = p2.clone();
+	b.p3 = p3.clone();
+	b.p4 = p4.clone();
+	
+	return b;
+};
+
+// Returns a CubicBezier tracing the same curve as the given quadratic Bezier,
+// without calling SvgObject::generate
+CubicBezier.fromQuadratic = function(bezier) {
+	var lerp = function(a, b) {
+		return new Coord2D(a.x + (b.x - a.x) * 2 / 3, a.y + (b.y - a.y) * 2 / 3);
+	};
+	
+	return CubicBezier.fromPoints(bezier.p1, lerp(bezier.p1, bezier.p2), lerp(bezier.p3, bezier.p2), bezier.p3);
+};
+
+// Returns the point on the curve at parameter t (0-1)
+CubicBezier.prototype.getPointGivenT = function(t) {
+	var s = 1 - t;
+	var a = s*s*s, b = 3*s*s*t, c = 3*s*t*t, d = t*t*t;
+	
+	return new Coord2D(
+		a*this.p1.x + b*this.p2.x + c*this.p3.x + d*this.p4.x,
+		a*this.p1.y + b*this.p2.y + c*this.p3.y + d*this.p4.y
+	);
+};
+
+// Returns the derivative of the curve at parameter t (0-1), as a Coord2D
+CubicBezier.prototype.getDerivativeGivenT = function(t) {
+	var s = 1 - t;
+	var a = 3*s*s, b = 6*s*t, c = 3*t*t;
+	
+	return new Coord2D(
+		a*(this.p2.x - this.p1.x) + b*(this.p3.x - this.p2.x) + c*(this.p4.x - this.p3.x),
+		a*(this.p2.y - this.p1.y) + b*(this.p3.y - this.p2.y) + c*(this.p4.y - this.p3.y)
+	);
+};
+
+// Returns the Rect2D bounding the curve's control points, which contains the
+// curve
+CubicBezier.prototype.getControlRect = function() {
+	var xs = [this.p1.x, this.p2.x, this.p3.x, this.p4.x];
+	var ys = [this.p1.y, this.p2.y, this.p3.y, this.p4.y];
+	
+	return new Rect2D(Math.min.apply(null, xs), Math.min.apply(null, ys), Math.max.apply(null, xs), Math.max.apply(null, ys));
+};
+
+// Returns true if the control points lie within CubicBezier.flatness of the
+// chord from p1 to p4
+CubicBezier.prototype.isFlat = function() {
+	var dx = this.p4.x - this.p1.x, dy = this.p4.y - this.p1.y;
+	var length = Math.sqrt(dx*dx + dy*dy);
+	
+	if (length < CubicBezier.flatness) {
+		return this.p1.distanceTo(this.p2) < CubicBezier.flatness && this.p1.distanceTo(this.p3) < CubicBezier.flatness;
+	}
+	
+	var d2 = Math.abs((this.p2.x - this.p1.x) * dy - (this.p2.y - this.p1.y) * dx) / length;
+	var d3 = Math.abs((this.p3.x - this.p1.x) * dy - (this.p3.y - this.p1.y) * dx) / length;
+	
+	return d2 < CubicBezier.flatness && d3 < CubicBezier.flatness;
+};
+
+// Returns the parameter (0-1) of the projection of the given Coord2D onto the
+// chord from p1 to p4
+CubicBezier.prototype.getChordParameter = function(coord) {
+	var dx = this.p4.x - this.p1.x, dy = this.p4.y - this.p1.y;
+	var lengthSquared = dx*dx + dy*dy;
+	
+	if (lengthSquared == 0) {
+		return 0;
+	}
+	
+	return Math.min(Math.max(((coord.x - this.p1.x) * dx + (coord.y - this.p1.y) * dy) / lengthSquared, 0), 1);
+};
+
+CubicBezier.prototype.getParameter = function(coord) {
+	return Shape.getNearestParameter(this, coord);
+};
+
+CubicBezier.prototype.getPiece = function(t0, t1) {
+	var p1 = this.p1, p2 = this.p2, p3 = this.p3, p4 = this.p4;
+	
+	// Evaluate the curve's blossom at the given parameters
+	var blossom = function(u, v, w) {
+		var lerp = function(a, b, t) {
+			return new Coord2D(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+		};
+		
+		var a = lerp(p1, p2, u), b = lerp(p2, p3, u), c = lerp(p3, p4, u);
+		var d = lerp(a, b, v), e = lerp(b, c, v);
+		
+		return lerp(d, e, w);
+	};
+	
+	return CubicBezier.fromPoints(blossom(t0, t0, t0), blossom(t0, t0, t1), blossom(t0, t1, t1), blossom(t1, t1, t1));
+};
+
+// Returns the parameters (0-1) at which the function 'f', taking a point on 
+// the curve (Coord2D) and returning a number, is zero. The curve is sampled 
+// in pieces. Roots where f changes sign are refined by bisection; roots 
+// where f touches zero without changing sign (e.g. at a tangency) are found 
+// by minimizing |f| around the sampled local minima of |f|.
+CubicBezier.prototype.findParameters = function(f) {
+	var params = [];
+	var n = CubicBezier.rootSamples;
+	var values = [];
+	var maxValue = 0;
+	var self = this;
+	
+	var absf = function(t) {
+		return Math.abs(f(self.getPointGivenT(t)));
+	};
+	
+	for (var i = 0; i <= n; i++) {
+		values[i] = f(this.getPointGivenT(i / n));
+		maxValue = Math.max(maxValue, Math.abs(values[i]));
+	}
+	
+	for (var i = 0; i <= n; i++) {
+		var f0 = values[i - 1], f1 = values[i], f2 = values[i + 1];
+		
+		if (f1 == 0) {
+			params.push(i / n);
+		} else if (i > 0 && f0 * f1 < 0) {
+			// Refine the root by bisection
+			var a = (i - 1) / n, b = i / n, fa = f0;
+			
+			for (var j = 0; j < 50 && b - a > Alberti.tolerance; j++) {
+				var m = (a + b) / 2;
+				var fm = f(this.getPointGivenT(m));
+				
+				if (fa * fm <= 0) {
+					b = m;
+				} else {
+					a = m;
+					fa = fm;
+				}
+			}
+			
+			params.push((a + b) / 2);
+		} else if (i > 0 && i < n && f0 * f1 > 0 && f1 * f2 > 0 && Math.abs(f1) < Math.abs(f0) && Math.abs(f1) <= Math.abs(f2)) {
+			// Minimize |f| between the neighbouring samples by golden section
+			// search, accepting the minimum if it is close enough to zero
+			var a = (i - 1) / n, b = (i + 1) / n;
+			var r = (Math.sqrt(5) - 1) / 2;
+			var c = b - r * (b - a), d = a + r * (b - a);
+			var fc = absf(c), fd = absf(d);
+			
+			for (var j = 0; j < 100 && b - a > Alberti.tolerance; j++) {
+				if (fc < fd) {
+					b = d;
+					d = c;
+					fd = fc;
+					c = b - r * (b - a);
+					fc = absf(c);
+				} else {
+					a = c;
+					c = d;
+					fc = fd;
+					d = a + r * (b - a);
+					fd = absf(d);
+				}
+			}
+			
+			if (absf((a + b) / 2) <= CubicBezier.tangentTolerance * maxValue) {
+				params.push((a + b) / 2);
+			}
+		}
+	}
+	
+	return params;
+};
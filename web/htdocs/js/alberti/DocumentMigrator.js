@@ -0,0 +1,150 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DocumentMigrator.js
+ * 
+ * Upgrades Alberti documents saved in older versions of the file format. The
+ * format version is stored in the "berti:format" attribute of a document's
+ * root element. Documents without this attribute predate format versioning 
+ * and are treated as version 0.
+ * 
+ * The root element's "berti:version" attribute records the release of 
+ * Alberti that saved the document (Alberti.version). Releases do not map onto
+ * file formats one to one (most releases leave the format unchanged, and 
+ * development builds share a release number while the format changes), so 
+ * migration is keyed off the format version alone. The release is only used
+ * to tell the user which version of Alberti a newer document requires.
+ * 
+ * USAGE
+ * 
+ * Pass a parsed document (an XML Document object) to DocumentMigrator.migrate
+ * before loading it. The document is upgraded in place, one format version at
+ * a time. Documents saved in a newer format than this version of Alberti 
+ * supports cause a descriptive error string to be thrown.
+ * 
+ * When changing the format, increment DocumentMigrator.formatVersion and 
+ * append a function to DocumentMigrator.migrations that upgrades documents 
+ * from the previous version.
+ * 
+ * * */
+
+var DocumentMigrator = {
+	
+	formatVersion: 4,
+	
+	// migrations[i] upgrades a document from format version i to i+1
+	migrations: [
+		
+		// 0 -> 1: Elliptical shapes were not guaranteed to store the 
+		// coefficients of their conic equations, which are required for 
+		// intersection and tangency calculations, and stored coefficients
+		// were not normalized (see EllipticalShape.getConicCoefficients).
+		function(doc) {
+			var nodes = DocumentMigrator.getShapeNodes(doc);
+			
+			for (var i = 0, len = nodes.length; i < len; i++) {
+				var node = nodes[i];
+				
+				if (node.hasAttributeNS(Alberti.customns, "rx")) {
+					var coeffs = EllipticalShape.getConicCoefficients(
+						new Coord2D(
+							parseFloat(node.getAttributeNS(Alberti.customns, "cx")),
+							parseFloat(node.getAttributeNS(Alberti.customns, "cy"))
+						),
+						parseFloat(node.getAttributeNS(Alberti.customns, "rx")),
+						parseFloat(node.getAttributeNS(Alberti.customns, "ry")),
+						parseFloat(node.getAttributeNS(Alberti.customns, "xrot"))
+					);
+					
+					var names = ["a", "b", "c", "d", "f", "g"];
+					
+					for (var j = 0; j < names.length; j++) {
+						node.setAttributeNS(Alberti.customns, "berti:"+names[j], coeffs[j]);
+					}
+				}
+			}
+		},
+		
+		// 1 -> 2: Documents may store a perspective space in a metadata 
+		// element (see PerspectiveSpace::asXML). Older documents have none.
+		function(doc) {},
+		
+		// 2 -> 3: Added cubic bezier shapes ("cbezier"), which older 
+		// documents cannot contain.
+		function(doc) {},
+		
+		// 3 -> 4: Added construction lines and rays ("cline"), and the 
+		// "berti:construction" layer attribute marking the layers that hold
+		// them. Layers without the attribute are ordinary layers.
+		function(doc) {}
+	],
+	
+	// Returns the format version of the given document
+	getFormatVersion: function(doc) {
+		var root = doc.documentElement;
+		
+		if (!root.hasAttributeNS(Alberti.customns, "format")) {
+			return 0;
+		}
+		
+		var version = parseInt(root.getAttributeNS(Alberti.customns, "format"), 10);
+		
+		Util.assert(version >= 0, "This document has an invalid format version and cannot be opened.");
+		
+		return version;
+	},
+	
+	// Upgrade the given document to the current format version
+	migrate: function(doc) {
+		var version = DocumentMigrator.getFormatVersion(doc);
+		var release = doc.documentElement.getAttributeNS(Alberti.customns, "version");
+		
+		Util.assert(version <= DocumentMigrator.formatVersion,
+			"This document was saved by a newer version of Alberti ("+(release ? "v"+release+", " : "")
+			+"file format "+version+"). This version of Alberti (v"+Alberti.version+") can only open documents "
+			+"up to file format "+DocumentMigrator.formatVersion+". Please upgrade Alberti to open this document."
+		);
+		
+		for (; version < DocumentMigrator.formatVersion; version++) {
+			DocumentMigrator.migrations[version](doc);
+		}
+		
+		doc.documentElement.setAttributeNS(Alberti.customns, "berti:format", DocumentMigrator.formatVersion);
+	},
+	
+	// Returns an array of the shape nodes in all layers of the given document
+	getShapeNodes: function(doc) {
+		var shapes = [];
+		var layerNode = Util.firstNonTextChild(doc.getElementById("workspace"));
+		
+		while (layerNode != null) {
+			var shapeNode = Util.firstNonTextChild(layerNode);
+			
+			while (shapeNode != null) {
+				shapes.push(shapeNode);
+				shapeNode = Util.nextNonTextSibling(shapeNode);
+			}
+			
+			layerNode = Util.nextNonTextSibling(layerNode);
+		}
+		
+		return shapes;
+	}
+};
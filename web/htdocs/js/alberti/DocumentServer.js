@@ -0,0 +1,134 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DocumentServer.js
+ * 
+ * Client for the document server script (docserver.php), which saves Alberti
+ * documents on a web server, keeps previous revisions of each document, and 
+ * lists and loads saved documents.
+ * 
+ * USAGE
+ * 
+ * The constructor expects the URL of the document server script, an error
+ * controller object, and the name of its error handler method, which is 
+ * invoked with a string describing the error if any request fails. Requests 
+ * are asynchronous: each method takes a controller object and the name of the
+ * controller method to invoke on success, so a single DocumentServer can be 
+ * shared by the application and its user interface.
+ * 
+ *    list(controller, handler)
+ *       handler(documents) receives an array of objects with 'name', 
+ *       'modified' and 'revisions' properties. 'modified' is a Date, and 
+ *       'revisions' is an array of {id, modified} objects, newest first.
+ * 
+ *    load(name, revision, controller, handler)
+ *       handler(documentXml, name). Pass null for 'revision' to load the 
+ *       current version of the document.
+ * 
+ *    save(name, documentXml, controller, handler)
+ *       handler(name).
+ * 
+ * * */
+
+function DocumentServer(url, errorController, errorHandler) {
+	this.url = url;
+	this.errorController = errorController;
+	this.errorHandler = errorHandler;
+}
+
+DocumentServer.prototype.list = function(controller, handler) {
+	this.request("GET", {action: "list"}, null, controller, handler, function(xhr) {
+		var documents = JSON.parse(xhr.responseText).documents;
+		
+		// Convert Unix timestamps to dates
+		for (var i = 0, len = documents.length; i < len; i++) {
+			var doc = documents[i];
+			doc.modified = new Date(doc.modified * 1000);
+			
+			for (var j = 0, revLen = doc.revisions.length; j < revLen; j++) {
+				doc.revisions[j].modified = new Date(doc.revisions[j].modified * 1000);
+			}
+		}
+		
+		return [documents];
+	});
+};
+
+DocumentServer.prototype.load = function(name, revision, controller, handler) {
+	var params = {action: "load", name: name};
+	
+	if (revision) {
+		params.revision = revision;
+	}
+	
+	this.request("GET", params, null, controller, handler, function(xhr) {
+		return [xhr.responseText, name];
+	});
+};
+
+DocumentServer.prototype.save = function(name, documentXml, controller, handler) {
+	this.request("POST", {action: "save", name: name}, documentXml, controller, handler, function(xhr) {
+		return [name];
+	});
+};
+
+// Send a request to the server with the given query parameters and body. On
+// success, 'parse' (bound to this DocumentServer) is invoked with the 
+// XMLHttpRequest and returns an array of arguments for the given controller's
+// handler method. Only failures of the request and of parsing its response
+// are reported to the error handler; exceptions thrown by the handler itself
+// are left to propagate.
+DocumentServer.prototype.request = function(method, params, body, controller, handler, parse) {
+	var xhr = new XMLHttpRequest();
+	var query = [];
+	
+	for (var key in params) {
+		query.push(encodeURIComponent(key)+"="+encodeURIComponent(params[key]));
+	}
+	
+	xhr.open(method, this.url+"?"+query.join("&"), true);
+	
+	xhr.onreadystatechange = function() {
+		if (xhr.readyState != 4) {
+			return;
+		}
+		
+		if (xhr.status == 200) {
+			try {
+				var args = parse.call(this, xhr);
+			} catch (e) {
+				this.errorController[this.errorHandler]("Document server request failed: "+e);
+				return;
+			}
+			
+			controller[handler].apply(controller, args);
+		} else if (xhr.status == 0) {
+			this.errorController[this.errorHandler]("Could not connect to the document server.");
+		} else {
+			this.errorController[this.errorHandler]("Document server error ("+xhr.status+"): "+xhr.responseText);
+		}
+	}.bindTo(this);
+	
+	if (body !== null) {
+		xhr.setRequestHeader("Content-Type", "image/svg+xml; charset=utf-8");
+	}
+	
+	xhr.send(body);
+};
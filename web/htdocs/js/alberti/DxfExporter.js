@@ -0,0 +1,550 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DxfExporter.js
+ * 
+ * Converts an Alberti document to DXF, for interchange with CAD 
+ * applications. Each layer becomes a DXF layer of the same name and color, 
+ * and each shape becomes the matching DXF entity:
+ * 
+ *    Line              LINE
+ *    Circle            CIRCLE
+ *    CircleArc         ARC
+ *    Ellipse           ELLIPSE
+ *    EllipticalArc     ELLIPSE (with start and end parameters)
+ *    Bezier            SPLINE (of degree 2)
+ *    CubicBezier       SPLINE (of degree 3)
+ *    ConstructionLine  XLINE (or RAY, for rays)
+ *    Point             POINT
+ * 
+ * The output is an AutoCAD 2004 (AC1018) file, the first version to support 
+ * true colors for layers. It contains the sections, tables, block records and
+ * owner handles that CAD applications require of files of that version, but 
+ * only the default entries of the tables other than the layer table. All
+ * entities are placed in model space. Alberti's y-axis points down while 
+ * DXF's points up, so y-coordinates are negated, which also reverses the 
+ * direction of all angles. One workspace unit becomes one drawing unit.
+ * 
+ * USAGE
+ * 
+ * Pass an AlbertiDocument to the constructor, then call DxfExporter::asDxf
+ * to retrieve the DXF data as a string. Hidden layers are exported as layers
+ * that are turned off. Construction layers (see Layer::setConstruction) are
+ * left out, unless true is passed to the constructor for 
+ * 'includeConstruction'. DxfImporter reads the same subset of DXF back in.
+ * 
+ * * */
+
+DxfExporter.version = "AC1018";
+DxfExporter.precision = 6;              // Number of decimals written for coordinates and angles
+
+// Layer "0" exists in every DXF drawing
+DxfExporter.baseLayerName = "0";
+
+// Linetype of all layers. ByBlock and ByLayer must also be defined.
+DxfExporter.lineType = "Continuous";
+
+// RGB values of the standard AutoCAD Color Index (ACI) colors 1-7. Color 7 
+// is displayed black or white depending on the background.
+DxfExporter.standardColors = [null, "#ff0000", "#ffff00", "#00ff00", "#00ffff", "#0000ff", "#ff00ff", "#000000"];
+
+function DxfExporter(doc, includeConstruction) {
+	this.doc = doc;
+	this.includeConstruction = includeConstruction ? true : false;
+	this.output = [];                   // Alternating group codes and values
+	this.lastHandle = 0;                // Every object has a unique hexadecimal handle
+	this.modelSpaceHandle = null;       // Handle of the block record owning all entities
+}
+
+DxfExporter.prototype.asDxf = function() {
+	var layers = this.doc.layerManager.layers.filter(function(layer) {
+		return this.includeConstruction || !layer.isConstruction();
+	}, this);
+	var layerNames = DxfExporter.getLayerNames(layers);
+	
+	this.output = [];
+	this.lastHandle = 0;
+	
+	// Handles of the model and paper space block records, which own the 
+	// blocks of the same name, and of the root dictionary
+	this.modelSpaceHandle = this.newHandle();
+	var paperSpaceHandle = this.newHandle();
+	var dictionaryHandle = this.newHandle();
+	
+	this.startSection("CLASSES");
+	this.endSection();
+	
+	this.startSection("TABLES");
+	this.writeTables(layers, layerNames, paperSpaceHandle);
+	this.endSection();
+	
+	this.startSection("BLOCKS");
+	this.writeBlock("*Model_Space", this.modelSpaceHandle, false);
+	this.writeBlock("*Paper_Space", paperSpaceHandle, true);
+	this.endSection();
+	
+	this.startSection("ENTITIES");
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		for (var j = 0, numShapes = layers[i].shapes.length; j < numShapes; j++) {
+			this.writeShape(layers[i].shapes[j], layerNames[i]);
+		}
+	}
+	
+	this.endSection();
+	
+	this.startSection("OBJECTS");
+	this.writeDictionaries(dictionaryHandle);
+	this.endSection();
+	
+	this.writeGroup(0, "EOF");
+	
+	// The header must come first, but it includes the next available handle,
+	// which is only known once everything else has been written.
+	var body = this.output;
+	this.output = [];
+	
+	this.startSection("HEADER");
+	this.writeGroup(9, "$ACADVER");
+	this.writeGroup(1, DxfExporter.version);
+	this.writeGroup(9, "$INSUNITS");
+	this.writeGroup(70, 0);
+	this.writeGroup(9, "$HANDSEED");
+	this.writeGroup(5, (this.lastHandle + 1).toString(16).toUpperCase());
+	this.endSection();
+	
+	return this.output.concat(body).join("\r\n")+"\r\n";
+};
+
+DxfExporter.prototype.writeGroup = function(code, value) {
+	// Group codes are conventionally right-aligned in three columns
+	this.output.push(("  "+code).slice(-3), typeof value == "number" ? DxfExporter.formatNumber(value) : value);
+};
+
+// Returns a new handle
+DxfExporter.prototype.newHandle = function() {
+	return (++this.lastHandle).toString(16).toUpperCase();
+};
+
+// Write the given handle (a new one by default) and the handle of its owner
+// object, returning the former. Dimension styles use group code 105 for 
+// their handles.
+DxfExporter.prototype.writeHandle = function(ownerHandle, handle, code) {
+	handle = handle || this.newHandle();
+	
+	this.writeGroup(code || 5, handle);
+	this.writeGroup(330, ownerHandle);
+	
+	return handle;
+};
+
+// Write the x, y and z groups of the given Coord2D, starting with group code
+// 'code' for x
+DxfExporter.prototype.writeCoord = function(code, coord) {
+	this.writeGroup(code, coord.x);
+	this.writeGroup(code + 10, -coord.y);
+	this.writeGroup(code + 20, 0);
+};
+
+DxfExporter.prototype.startSection = function(name) {
+	this.writeGroup(0, "SECTION");
+	this.writeGroup(2, name);
+};
+
+DxfExporter.prototype.endSection = function() {
+	this.writeGroup(0, "ENDSEC");
+};
+
+// Write the symbol tables. Tables other than the layer table contain only
+// the entries that must be present.
+DxfExporter.prototype.writeTables = function(layers, layerNames, paperSpaceHandle) {
+	var writeBaseLayer = layerNames.indexOf(DxfExporter.baseLayerName) == -1;
+	var table;
+	
+	table = this.startTable("VPORT", 0);
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("LTYPE", 3);
+	this.writeLineType(table, "ByBlock", "");
+	this.writeLineType(table, "ByLayer", "");
+	this.writeLineType(table, DxfExporter.lineType, "Solid line");
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("LAYER", layers.length + (writeBaseLayer ? 1 : 0));
+	
+	if (writeBaseLayer) {
+		this.writeLayer(table, DxfExporter.baseLayerName, DxfExporter.standardColors[7], false);
+	}
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		this.writeLayer(table, layerNames[i], layers[i].color, layers[i].isHidden());
+	}
+	
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("STYLE", 1);
+	this.startTableRecord("STYLE", table, "AcDbTextStyleTableRecord", "Standard");
+	this.writeGroup(40, 0);                                 // Variable text height
+	this.writeGroup(41, 1);                                 // Width factor
+	this.writeGroup(50, 0);                                 // Oblique angle
+	this.writeGroup(71, 0);                                 // Text generation flags
+	this.writeGroup(42, 2.5);                               // Last height used
+	this.writeGroup(3, "txt");                              // Font file
+	this.writeGroup(4, "");                                 // Big font file
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("VIEW", 0);
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("UCS", 0);
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("APPID", 1);
+	this.startTableRecord("APPID", table, "AcDbRegAppTableRecord", "ACAD");
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("DIMSTYLE", 1, "AcDbDimStyleTable");
+	this.startTableRecord("DIMSTYLE", table, "AcDbDimStyleTableRecord", "Standard", 105);
+	this.writeGroup(0, "ENDTAB");
+	
+	table = this.startTable("BLOCK_RECORD", 2);
+	this.startTableRecord("BLOCK_RECORD", table, "AcDbBlockTableRecord", "*Model_Space", 5, this.modelSpaceHandle);
+	this.startTableRecord("BLOCK_RECORD", table, "AcDbBlockTableRecord", "*Paper_Space", 5, paperSpaceHandle);
+	this.writeGroup(0, "ENDTAB");
+};
+
+// Write the groups starting a symbol table with the given number of entries,
+// returning the table's handle. Some tables have a subclass of their own.
+DxfExporter.prototype.startTable = function(name, numEntries, subclass) {
+	this.writeGroup(0, "TABLE");
+	this.writeGroup(2, name);
+	
+	var handle = this.writeHandle("0");
+	
+	this.writeGroup(100, "AcDbSymbolTable");
+	this.writeGroup(70, numEntries);
+	
+	if (subclass) {
+		this.writeGroup(100, subclass);
+		this.writeGroup(71, 0);
+	}
+	
+	return handle;
+};
+
+DxfExporter.prototype.startTableRecord = function(type, tableHandle, subclass, name, handleCode, handle) {
+	this.writeGroup(0, type);
+	this.writeHandle(tableHandle, handle, handleCode);
+	this.writeGroup(100, "AcDbSymbolTableRecord");
+	this.writeGroup(100, subclass);
+	this.writeGroup(2, name);
+	
+	// Block records have no flags
+	if (type != "BLOCK_RECORD") {
+		this.writeGroup(70, 0);
+	}
+};
+
+DxfExporter.prototype.writeLineType = function(tableHandle, name, description) {
+	this.startTableRecord("LTYPE", tableHandle, "AcDbLinetypeTableRecord", name);
+	this.writeGroup(3, description);
+	this.writeGroup(72, 65);                                // Alignment code, always "A"
+	this.writeGroup(73, 0);                                 // Number of dash elements
+	this.writeGroup(40, 0);                                 // Total pattern length
+};
+
+DxfExporter.prototype.writeLayer = function(tableHandle, name, color, hidden) {
+	var rgb = DxfExporter.parseColor(color);
+	var colorIndex = rgb === null ? 7 : DxfExporter.getNearestColorIndex(rgb);
+	
+	this.startTableRecord("LAYER", tableHandle, "AcDbLayerTableRecord", name);
+	this.writeGroup(62, hidden ? -colorIndex : colorIndex);     // Layers that are turned off have negative colors
+	this.writeGroup(6, DxfExporter.lineType);
+	
+	// Applications that support true color prefer it to the color index
+	if (rgb !== null) {
+		this.writeGroup(420, rgb);
+	}
+};
+
+// Write the definition of the given model or paper space block, which has
+// no entities of its own
+DxfExporter.prototype.writeBlock = function(name, blockRecordHandle, paperSpace) {
+	this.writeGroup(0, "BLOCK");
+	this.writeHandle(blockRecordHandle);
+	this.writeGroup(100, "AcDbEntity");
+	
+	if (paperSpace) {
+		this.writeGroup(67, 1);
+	}
+	
+	this.writeGroup(8, DxfExporter.baseLayerName);
+	this.writeGroup(100, "AcDbBlockBegin");
+	this.writeGroup(2, name);
+	this.writeGroup(70, 0);
+	this.writeCoord(10, new Coord2D(0, 0));                 // Base point
+	this.writeGroup(3, name);
+	this.writeGroup(1, "");                                 // External reference path
+	
+	this.writeGroup(0, "ENDBLK");
+	this.writeHandle(blockRecordHandle);
+	this.writeGroup(100, "AcDbEntity");
+	
+	if (paperSpace) {
+		this.writeGroup(67, 1);
+	}
+	
+	this.writeGroup(8, DxfExporter.baseLayerName);
+	this.writeGroup(100, "AcDbBlockEnd");
+};
+
+// Write the root dictionary, which must contain the (empty) group dictionary
+DxfExporter.prototype.writeDictionaries = function(rootHandle) {
+	var groupHandle = this.newHandle();
+	
+	this.writeGroup(0, "DICTIONARY");
+	this.writeHandle("0", rootHandle);
+	this.writeGroup(100, "AcDbDictionary");
+	this.writeGroup(281, 1);                                // Entries are not cloned
+	this.writeGroup(3, "ACAD_GROUP");
+	this.writeGroup(350, groupHandle);
+	
+	this.writeGroup(0, "DICTIONARY");
+	this.writeHandle(rootHandle, groupHandle);
+	this.writeGroup(100, "AcDbDictionary");
+	this.writeGroup(281, 1);
+};
+
+DxfExporter.prototype.startEntity = function(type, layerName, subclass) {
+	this.writeGroup(0, type);
+	this.writeHandle(this.modelSpaceHandle);
+	this.writeGroup(100, "AcDbEntity");
+	this.writeGroup(8, layerName);
+	this.writeGroup(100, subclass);
+};
+
+DxfExporter.prototype.writeShape = function(shape, layerName) {
+	switch (shape.shapeName) {
+		case Line.shapeName:
+			this.startEntity("LINE", layerName, "AcDbLine");
+			this.writeCoord(10, shape.p1);
+			this.writeCoord(11, shape.p2);
+			break;
+		
+		case ConstructionLine.shapeName:
+			// Both entities are given by a base point and a unit direction vector
+			var length = shape.p1.distanceTo(shape.p2);
+			
+			if (length > 0) {
+				if (shape.ray) {
+					this.startEntity("RAY", layerName, "AcDbRay");
+				} else {
+					this.startEntity("XLINE", layerName, "AcDbXline");
+				}
+				
+				this.writeCoord(10, shape.p1);
+				this.writeCoord(11, new Coord2D((shape.p2.x - shape.p1.x) / length, (shape.p2.y - shape.p1.y) / length));
+			}
+			break;
+		
+		case Circle.shapeName:
+			this.startEntity("CIRCLE", layerName, "AcDbCircle");
+			this.writeCoord(10, shape.center);
+			this.writeGroup(40, shape.radius);
+			break;
+		
+		case CircleArc.shapeName:
+			// DXF arcs always run anti-clockwise from the start to the end 
+			// angle. Once the y-axis is flipped, Alberti arcs with positive 
+			// delta angles run clockwise, so their endpoints are swapped.
+			var sa = -shape.sa;
+			var ea = -(shape.sa + shape.da);
+			
+			this.startEntity("ARC", layerName, "AcDbCircle");
+			this.writeCoord(10, shape.center);
+			this.writeGroup(40, shape.radius);
+			this.writeGroup(100, "AcDbArc");
+			this.writeGroup(50, DxfExporter.normalizeAngle(Util.radToDeg(shape.da > 0 ? ea : sa), 360));
+			this.writeGroup(51, DxfExporter.normalizeAngle(Util.radToDeg(shape.da > 0 ? sa : ea), 360));
+			break;
+		
+		case Ellipse.shapeName:
+		case EllipticalArc.shapeName:
+			this.writeEllipse(shape, layerName);
+			break;
+		
+		case Bezier.shapeName:
+			this.startEntity("SPLINE", layerName, "AcDbSpline");
+			this.writeGroup(210, 0);                          // Normal vector of the drawing plane
+			this.writeGroup(220, 0);
+			this.writeGroup(230, 1);
+			this.writeGroup(70, 8);                           // Planar
+			this.writeGroup(71, 2);                           // Degree
+			this.writeGroup(72, 6);                           // Number of knots
+			this.writeGroup(73, 3);                           // Number of control points
+			this.writeGroup(74, 0);                           // Number of fit points
+			
+			// A quadratic Bezier curve is a B-spline with clamped knots
+			[0, 0, 0, 1, 1, 1].forEach(function(knot) {
+				this.writeGroup(40, knot);
+			}, this);
+			
+			this.writeCoord(10, shape.p1);
+			this.writeCoord(10, shape.p2);
+			this.writeCoord(10, shape.p3);
+			break;
+		
+		case CubicBezier.shapeName:
+			this.startEntity("SPLINE", layerName, "AcDbSpline");
+			this.writeGroup(210, 0);                          // Normal vector of the drawing plane
+			this.writeGroup(220, 0);
+			this.writeGroup(230, 1);
+			this.writeGroup(70, 8);                           // Planar
+			this.writeGroup(71, 3);                           // Degree
+			this.writeGroup(72, 8);                           // Number of knots
+			this.writeGroup(73, 4);                           // Number of control points
+			this.writeGroup(74, 0);                           // Number of fit points
+			
+			[0, 0, 0, 0, 1, 1, 1, 1].forEach(function(knot) {
+				this.writeGroup(40, knot);
+			}, this);
+			
+			this.writeCoord(10, shape.p1);
+			this.writeCoord(10, shape.p2);
+			this.writeCoord(10, shape.p3);
+			this.writeCoord(10, shape.p4);
+			break;
+		
+		case Point.shapeName:
+			this.startEntity("POINT", layerName, "AcDbPoint");
+			this.writeCoord(10, shape.coord);
+			break;
+	}
+};
+
+DxfExporter.prototype.writeEllipse = function(shape, layerName) {
+	var major = shape.rx;
+	var minor = shape.ry;
+	var majorAngle = shape.xrot;
+	
+	// DXF ellipses are defined by their major axis
+	if (shape.ry > shape.rx) {
+		major = shape.ry;
+		minor = shape.rx;
+		majorAngle += halfPi;
+	}
+	
+	var start = 0;
+	var end = twoPi;
+	
+	if (shape.shapeName == EllipticalArc.shapeName && Math.abs(shape.da) < twoPi) {
+		var p1 = shape.getPointGivenAngle(shape.sa);
+		var p2 = shape.getPointGivenAngle(shape.sa + shape.da);
+		
+		// As with circular arcs, arcs with positive delta angles are reversed
+		start = DxfExporter.getEllipseParameter(shape.center, majorAngle, major, minor, shape.da > 0 ? p2 : p1);
+		end = DxfExporter.getEllipseParameter(shape.center, majorAngle, major, minor, shape.da > 0 ? p1 : p2);
+	}
+	
+	this.startEntity("ELLIPSE", layerName, "AcDbEllipse");
+	this.writeCoord(10, shape.center);
+	this.writeCoord(11, new Coord2D(major * cos(majorAngle), major * sin(majorAngle)));     // Endpoint of major axis, relative to center
+	this.writeGroup(40, minor / major);
+	this.writeGroup(41, start);
+	this.writeGroup(42, end);
+};
+
+// Returns the DXF parameter (0-2pi radians, measured anti-clockwise from the 
+// major axis with the y-axis pointing up) of point p on the given ellipse. 
+// 'majorAngle' is the angle of the major axis in workspace coordinates.
+DxfExporter.getEllipseParameter = function(center, majorAngle, major, minor, p) {
+	var dx = p.x - center.x;
+	var dy = p.y - center.y;
+	
+	// Flipping the y-axis negates the parameter
+	var t = -Math.atan2((-dx * sin(majorAngle) + dy * cos(majorAngle)) / minor, (dx * cos(majorAngle) + dy * sin(majorAngle)) / major);
+	
+	return DxfExporter.normalizeAngle(t, twoPi);
+};
+
+// Returns angle 'a' in the range [0, fullCircle)
+DxfExporter.normalizeAngle = function(a, fullCircle) {
+	a = a % fullCircle;
+	
+	return a < 0 ? a + fullCircle : a;
+};
+
+DxfExporter.formatNumber = function(x) {
+	// Avoid writing negative zero
+	return String(Util.roundToDecimal(x, DxfExporter.precision) + 0);
+};
+
+// Returns the 24-bit RGB value of the given layer color, or null if it is not
+// recognized
+DxfExporter.parseColor = function(color) {
+	var rgb = Util.hexToRgb(color || "");
+	
+	return rgb ? (rgb[0] << 16) | (rgb[1] << 8) | rgb[2] : null;
+};
+
+// Returns the standard color index (1-7) closest to the given RGB value
+DxfExporter.getNearestColorIndex = function(rgb) {
+	var nearest = 7;
+	var minDistance = Infinity;
+	
+	for (var i = 1; i <= 7; i++) {
+		var standard = parseInt(DxfExporter.standardColors[i].substring(1), 16);
+		var distance = 0;
+		
+		for (var shift = 0; shift <= 16; shift += 8) {
+			var d = ((rgb >> shift) & 0xff) - ((standard >> shift) & 0xff);
+			distance += d * d;
+		}
+		
+		if (distance < minDistance) {
+			minDistance = distance;
+			nearest = i;
+		}
+	}
+	
+	return nearest;
+};
+
+// Returns unique DXF layer names for the given layers. DXF names are not 
+// case-sensitive, and characters that they may not contain are replaced by
+// underscores.
+DxfExporter.getLayerNames = function(layers) {
+	var names = [];
+	var usedNames = [];
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		var base = layers[i].name.replace(/[<>\/\\":;?*|=`]/g, "_") || "Layer";
+		var name = base;
+		
+		for (var n = 2; usedNames.indexOf(name.toUpperCase()) != -1; n++) {
+			name = base+"_"+n;
+		}
+		
+		names.push(name);
+		usedNames.push(name.toUpperCase());
+	}
+	
+	return names;
+};
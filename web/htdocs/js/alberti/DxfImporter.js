@@ -0,0 +1,383 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DxfImporter.js
+ * 
+ * Converts ASCII DXF drawings into Alberti layers and shapes. The entities 
+ * written by DxfExporter are supported: LINE, CIRCLE, ARC, ELLIPSE, POINT, 
+ * XLINE, RAY, and SPLINE entities describing a single quadratic or cubic 
+ * Bezier curve. Other entities (text, dimensions, polylines, block 
+ * references, etc.) are skipped and counted, so that a summary can be 
+ * presented to the user.
+ * 
+ * Each DXF layer containing supported entities becomes a layer of the same 
+ * name, color and visibility. As in DxfExporter, y-coordinates are negated 
+ * and one drawing unit becomes one workspace unit.
+ * 
+ * USAGE
+ * 
+ * Pass the DXF data as a string to the constructor. DxfImporter::importLayers
+ * returns an array of {name, color, hidden, shapes} objects, one per layer, 
+ * which may be passed to the AlbertiDocument constructor. Shapes are not 
+ * generated (see SvgObject::generate). Afterward, DxfImporter::getSummary 
+ * returns a description of anything that could not be imported.
+ * 
+ * * */
+
+// Entities that belong to a preceding entity, and are skipped silently
+DxfImporter.ignoredEntities = ["VERTEX", "SEQEND", "ATTRIB"];
+
+// Ellipses whose parameters span less than this (in radians) short of a full
+// turn are imported as full ellipses, as DXF files store rounded values
+DxfImporter.angleTolerance = 1e-5;
+
+function DxfImporter(data) {
+	Util.assert(!data.match(/^AutoCAD Binary DXF/), "Binary DXF files are not supported. Please save the drawing as ASCII DXF.");
+	
+	this.records = DxfImporter.parseRecords(data);
+	this.layers = [];
+	this.layersByName = {};               // Layers keyed by upper-case name, as DXF names are not case-sensitive
+	this.skipped = {};                    // Counts of skipped entities, by description
+}
+
+DxfImporter.prototype.importLayers = function() {
+	var section = null;
+	
+	this.layers = [];
+	this.layersByName = {};
+	
+	for (var i = 0, len = this.records.length; i < len; i++) {
+		var record = this.records[i];
+		
+		switch (record.type) {
+			case "SECTION":
+				section = record.getValue(2);
+				break;
+			
+			case "ENDSEC":
+				section = null;
+				break;
+			
+			default:
+				if (section == "TABLES" && record.type == "LAYER") {
+					this.importLayer(record);
+				} else if (section == "ENTITIES") {
+					this.importEntity(record);
+				}
+				break;
+		}
+	}
+	
+	// Discard layers without shapes
+	return this.layers.filter(function(layer) {
+		return layer.shapes.length > 0;
+	});
+};
+
+// Returns a description of skipped content, or an empty string if everything
+// was imported
+DxfImporter.prototype.getSummary = function() {
+	var lines = [];
+	
+	for (var description in this.skipped) {
+		lines.push("Skipped "+this.skipped[description]+" "+description+".");
+	}
+	
+	return lines.join("\n");
+};
+
+DxfImporter.prototype.skip = function(description) {
+	this.skipped[description] = (this.skipped[description] || 0) + 1;
+};
+
+// Returns the layer with the given name, creating it if the layer table did 
+// not define it
+DxfImporter.prototype.getLayer = function(name) {
+	var key = name.toUpperCase();
+	
+	if (!this.layersByName[key]) {
+		this.layersByName[key] = {name: name, color: Layer.defaultLayerColor, hidden: false, shapes: []};
+		this.layers.push(this.layersByName[key]);
+	}
+	
+	return this.layersByName[key];
+};
+
+DxfImporter.prototype.importLayer = function(record) {
+	var layer = this.getLayer(record.getValue(2, DxfExporter.baseLayerName));
+	var colorIndex = record.getNumber(62, 7);
+	var rgb = record.getValue(420);
+	
+	if (rgb !== null) {
+		layer.color = "#"+("00000"+(parseInt(rgb, 10) & 0xffffff).toString(16)).slice(-6);
+	} else if (DxfExporter.standardColors[Math.abs(colorIndex)]) {
+		layer.color = DxfExporter.standardColors[Math.abs(colorIndex)];
+	}
+	
+	// Layers that are turned off have negative colors. Frozen layers are 
+	// hidden as well.
+	layer.hidden = colorIndex < 0 || (record.getNumber(70, 0) & 1) != 0;
+};
+
+DxfImporter.prototype.importEntity = function(record) {
+	if (DxfImporter.ignoredEntities.indexOf(record.type) != -1) {
+		return;
+	}
+	
+	var shape = null;
+	
+	switch (record.type) {
+		case "LINE":
+			shape = Line.fromPoints(record.getCoord(10), record.getCoord(11));
+			break;
+		
+		case "POINT":
+			shape = Point.fromCoord(record.getCoord(10));
+			break;
+		
+		case "XLINE":
+		case "RAY":
+			var base = record.getCoord(10);
+			var direction = record.getCoord(11);
+			
+			shape = ConstructionLine.fromPoints(base, new Coord2D(base.x + direction.x, base.y + direction.y), record.type == "RAY");
+			break;
+		
+		case "CIRCLE":
+			shape = new Circle();
+			shape.center = this.getCenter(record);
+			shape.radius = record.getNumber(40, 0);
+			break;
+		
+		case "ARC":
+			shape = this.importArc(record);
+			break;
+		
+		case "ELLIPSE":
+			shape = this.importEllipse(record);
+			break;
+		
+		case "SPLINE":
+			shape = this.importSpline(record);
+			
+			if (!shape) {
+				this.skip("SPLINE entity(s) other than single Bezier curves");
+				return;
+			}
+			break;
+		
+		default:
+			this.skip(record.type+" entity(s)");
+			return;
+	}
+	
+	this.getLayer(record.getValue(8, DxfExporter.baseLayerName)).shapes.push(shape);
+};
+
+// Returns the center of the given CIRCLE or ARC entity. These are given in 
+// the entity's object coordinate system, whose x-axis is reversed if the 
+// entity was mirrored (i.e. its normal vector points away from the viewer).
+DxfImporter.prototype.getCenter = function(record) {
+	var center = record.getCoord(10);
+	
+	if (DxfImporter.isMirrored(record)) {
+		center.x = -center.x;
+	}
+	
+	return center;
+};
+
+DxfImporter.prototype.importArc = function(record) {
+	var start = Util.degToRad(record.getNumber(50, 0));
+	var end = Util.degToRad(record.getNumber(51, 360));
+	
+	// Mirrored arcs run clockwise from angles measured from the negative 
+	// x-axis. Convert them to regular anti-clockwise arcs.
+	if (DxfImporter.isMirrored(record)) {
+		var mirroredStart = start;
+		start = pi - end;
+		end = pi - mirroredStart;
+	}
+	
+	var sweep = DxfExporter.normalizeAngle(end - start, twoPi);
+	
+	var arc = new CircleArc();
+	arc.center = this.getCenter(record);
+	arc.radius = record.getNumber(40, 0);
+	
+	// Anti-clockwise arcs become arcs with negative delta angles once the 
+	// y-axis is flipped
+	arc.sa = DxfExporter.normalizeAngle(-start, twoPi);
+	arc.da = sweep > 0 ? -sweep : -twoPi;
+	
+	return arc;
+};
+
+DxfImporter.prototype.importEllipse = function(record) {
+	var center = record.getCoord(10);
+	var majorAxis = record.getCoord(11);                   // Relative to center
+	var major = Math.sqrt(majorAxis.x * majorAxis.x + majorAxis.y * majorAxis.y);
+	var minor = major * record.getNumber(40, 1);
+	var xrot = Math.atan2(majorAxis.y, majorAxis.x);
+	var start = record.getNumber(41, 0);
+	var end = record.getNumber(42, twoPi);
+	var sweep = DxfExporter.normalizeAngle(end - start, twoPi);
+	
+	if (sweep < DxfImporter.angleTolerance || twoPi - sweep < DxfImporter.angleTolerance) {
+		var ellipse = new Ellipse();
+		ellipse.setGeometry(center, major, minor, xrot);
+		
+		return ellipse;
+	}
+	
+	// Flipping the y-axis negates the parameters
+	var p1 = EllipticalShape.getParametricPoint(center, major, minor, xrot, -start);
+	var p2 = EllipticalShape.getParametricPoint(center, major, minor, xrot, -(start + sweep));
+	
+	var arc = new EllipticalArc();
+	arc.setGeometry(center, major, minor, xrot);
+	arc.sa = center.angleTo(p1);
+	arc.da = center.angleTo(p2) - arc.sa;
+	
+	if (arc.da >= 0) {
+		arc.da -= twoPi;
+	}
+	
+	return arc;
+};
+
+// Returns a Bezier or CubicBezier if the given SPLINE entity describes a 
+// single, non-rational quadratic or cubic Bezier curve. Otherwise returns null.
+DxfImporter.prototype.importSpline = function(record) {
+	var knots = record.getNumbers(40);
+	var points = record.getCoords(10);
+	var weights = record.getNumbers(41);
+	var degree = record.getNumber(71, 0);
+	
+	if ((degree != 2 && degree != 3) || points.length != degree + 1 || knots.length != 2 * (degree + 1)) {
+		return null;
+	}
+	
+	// The knots must be clamped to the ends of the curve...
+	if (knots[0] != knots[degree] || knots[degree + 1] != knots[knots.length - 1] || knots[degree] >= knots[degree + 1]) {
+		return null;
+	}
+	
+	// ...and the control points weighted equally
+	for (var i = 1; i < weights.length; i++) {
+		if (weights[i] != weights[0]) {
+			return null;
+		}
+	}
+	
+	return degree == 2 ?
+		Bezier.fromPoints(points[0], points[1], points[2]) :
+		CubicBezier.fromPoints(points[0], points[1], points[2], points[3]);
+};
+
+// Returns true if the given entity's normal vector points away from the 
+// viewer
+DxfImporter.isMirrored = function(record) {
+	return record.getNumber(230, 1) < 0;
+};
+
+// Splits DXF data into records, each of which starts with a group of code 0
+// (e.g. "SECTION", "LAYER", "LINE") followed by the groups describing it.
+DxfImporter.parseRecords = function(data) {
+	var lines = data.split(/\r\n|\r|\n/);
+	var records = [];
+	var record = null;
+	
+	for (var i = 0; i + 1 < lines.length; i += 2) {
+		var code = parseInt(lines[i], 10);
+		var value = lines[i + 1].trim();
+		
+		Util.assert(!isNaN(code), "The imported file is not a valid DXF file. Expected a group code on line "+(i + 1)+".");
+		
+		if (code == 0) {
+			if (value == "EOF") {
+				break;
+			}
+			
+			record = new DxfImporter.Record(value);
+			records.push(record);
+		} else if (record) {
+			record.groups.push({code: code, value: value});
+		}
+	}
+	
+	Util.assert(records.length > 0, "The imported file is not a valid DXF file.");
+	
+	return records;
+};
+
+/*
+ * A DXF record, consisting of its type and its groups in file order
+ */
+DxfImporter.Record = function(type) {
+	this.type = type;
+	this.groups = [];
+};
+
+// Returns the value of the first group with the given code, or 'defaultValue'
+// (or null) if there is none
+DxfImporter.Record.prototype.getValue = function(code, defaultValue) {
+	for (var i = 0, len = this.groups.length; i < len; i++) {
+		if (this.groups[i].code == code) {
+			return this.groups[i].value;
+		}
+	}
+	
+	return defaultValue === undefined ? null : defaultValue;
+};
+
+DxfImporter.Record.prototype.getNumber = function(code, defaultValue) {
+	var value = parseFloat(this.getValue(code));
+	
+	return isNaN(value) ? defaultValue : value;
+};
+
+// Returns the values of all groups with the given code, as numbers
+DxfImporter.Record.prototype.getNumbers = function(code) {
+	return this.groups.filter(function(group) {
+		return group.code == code;
+	}).map(function(group) {
+		return parseFloat(group.value);
+	});
+};
+
+// Returns the point whose x-coordinate has group code 'code' as a Coord2D in
+// workspace coordinates
+DxfImporter.Record.prototype.getCoord = function(code) {
+	return new Coord2D(this.getNumber(code, 0), -this.getNumber(code + 10, 0));
+};
+
+// Returns all points whose x-coordinates have group code 'code'
+DxfImporter.Record.prototype.getCoords = function(code) {
+	var xs = this.getNumbers(code);
+	var ys = this.getNumbers(code + 10);
+	var coords = [];
+	
+	for (var i = 0, len = Math.min(xs.length, ys.length); i < len; i++) {
+		coords.push(new Coord2D(xs[i], -ys[i]));
+	}
+	
+	return coords;
+};
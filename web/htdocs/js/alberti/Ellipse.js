@@ -44,3 +44,26 @@ Ellipse.prototype.clone = function() {
 	
 	return e;
 };
+
+Ellipse.prototype.getPointGivenT = function(t) {
+	return this.getPointGivenAngle(t * twoPi);
+};
+
+// Parameters run with increasing polar angle from polar angle 0 (see 
+// Circle::getParameter)
+Ellipse.prototype.getParameter = function(coord) {
+	return Util.sweepAngle(0, this.center.angleTo(coord), 1) / twoPi;
+};
+
+// Pieces are EllipticalArcs
+Ellipse.prototype.getPiece = function(t0, t1) {
+	var ea = EllipticalArc.fromEllipse(this);
+	ea.sa = t0 * twoPi;
+	ea.da = (t1 - t0) * twoPi;
+	
+	return ea;
+};
+
+Ellipse.prototype.isClosed = function() {
+	return true;
+};
@@ -84,6 +84,68 @@ EllipticalArc.prototype.clone = function() {
 	return ea;
 };
 
+EllipticalArc.prototype.transform = function(matrix) {
+	var start = this.getPointGivenAngle(this.sa);
+	var end = this.getPointGivenAngle(this.sa + this.da);
+	var angles = matrix.transformArc(this.center, start, end, this.da);
+	
+	EllipticalArc.superclass.transform.call(this, matrix);
+	this.sa = angles.sa;
+	this.da = angles.da;
+	
+	return this;
+};
+
+// Handles are the corners of the bounding rectangle (see 
+// EllipticalShape::getQuadCorners), followed by the start and end points, 
+// which set the respective angle. The opposite angle and the direction of 
+// the arc are kept.
+EllipticalArc.prototype.getHandles = function() {
+	return EllipticalArc.superclass.getHandles.call(this).concat([
+		this.getPointGivenAngle(this.sa),
+		this.getPointGivenAngle(this.sa + this.da)
+	]);
+};
+
+EllipticalArc.prototype.moveHandle = function(index, coord) {
+	if (index < 4) {
+		return EllipticalArc.superclass.moveHandle.call(this, index, coord);
+	}
+	
+	if (coord.isEqual(this.center)) {
+		return this;
+	}
+	
+	var a = this.center.angleTo(coord);
+	var ea = this.sa + this.da;
+	var da = index == 4 ? Util.sweepAngle(a, ea, this.da) : Util.sweepAngle(this.sa, a, this.da);
+	
+	if (!Util.equals(da, 0)) {
+		this.sa = index == 4 ? a : this.sa;
+		this.da = da;
+	}
+	
+	return this;
+};
+
+EllipticalArc.prototype.getPointGivenT = function(t) {
+	return this.getPointGivenAngle(this.sa + t * this.da);
+};
+
+// Parameters run from the start of the arc (0) to its end (1), as on 
+// CircleArcs
+EllipticalArc.prototype.getParameter = function(coord) {
+	return CircleArc.getArcParameter(this, this.center.angleTo(coord));
+};
+
+EllipticalArc.prototype.getPiece = function(t0, t1) {
+	var ea = this.clone();
+	ea.sa = this.sa + t0 * this.da;
+	ea.da = (t1 - t0) * this.da;
+	
+	return ea;
+};
+
 // Returns a new, un-generate()'ed elliptical arc matching the properties of 
 // the given EllipticalShape, with start and delta angles set to 0.
 EllipticalArc.fromEllipse = function(e) {
@@ -95,6 +95,107 @@ EllipticalShape.prototype.pull = function() {
 	}
 };
 
+// Returns the coefficients [a, b, c, d, f, g] of the general conic equation
+//
+//    a*x^2 + 2*b*x*y + c*y^2 + 2*d*x + 2*f*y + g = 0
+//
+// describing the ellipse with the given center (Coord2D), radii, and x-axis
+// rotation. The coefficients are normalized so that the left-hand side 
+// evaluates to -1 at the center of the ellipse, which makes them unique for
+// each ellipse. The tolerances in Intersect.js and Tangency.js rely on this
+// normalization.
+EllipticalShape.getConicCoefficients = function(center, rx, ry, xrot) {
+	var cos = Math.cos(xrot);
+	var sin = Math.sin(xrot);
+	var rx2 = rx * rx;
+	var ry2 = ry * ry;
+	
+	var a = cos*cos / rx2 + sin*sin / ry2;
+	var b = cos*sin * (1 / rx2 - 1 / ry2);
+	var c = sin*sin / rx2 + cos*cos / ry2;
+	var d = -(a * center.x + b * center.y);
+	var f = -(b * center.x + c * center.y);
+	var g = a * center.x * center.x + 2 * b * center.x * center.y + c * center.y * center.y - 1;
+	
+	return [a, b, c, d, f, g];
+};
+
+// Set the ellipse's geometry, along with the matching conic coefficients
+EllipticalShape.prototype.setGeometry = function(center, rx, ry, xrot) {
+	this.center = center;
+	this.rx = rx;
+	this.ry = ry;
+	this.xrot = xrot;
+	this.coeffs = EllipticalShape.getConicCoefficients(center, rx, ry, xrot);
+};
+
+// Transform the ellipse in place by the given Matrix2D, recalculating its 
+// conic coefficients. Returns self.
+EllipticalShape.prototype.transform = function(matrix) {
+	var e = matrix.transformEllipse(this.center, this.rx, this.ry, this.xrot);
+	this.setGeometry(e.center, e.rx, e.ry, e.xrot);
+	
+	return this;
+};
+
+// Returns the corners (Coord2Ds) of the rectangle bounding the ellipse along
+// its axes, in order around its perimeter
+EllipticalShape.prototype.getQuadCorners = function() {
+	var signs = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+	var corners = [];
+	
+	for (var i = 0; i < 4; i++) {
+		var u = signs[i][0] * this.rx, v = signs[i][1] * this.ry;
+		
+		corners.push(new Coord2D(
+			this.center.x + u * cos(this.xrot) - v * sin(this.xrot),
+			this.center.y + u * sin(this.xrot) + v * cos(this.xrot)
+		));
+	}
+	
+	return corners;
+};
+
+// Handles are the corners of the bounding rectangle (see getQuadCorners)
+EllipticalShape.prototype.getHandles = function() {
+	return this.getQuadCorners();
+};
+
+// Dragging a corner stretches the ellipse along its axes, keeping the 
+// opposite corner fixed
+EllipticalShape.prototype.moveHandle = function(index, coord) {
+	var corners = this.getQuadCorners();
+	var o = corners[(index + 2) % 4];
+	var u = new Coord2D(cos(this.xrot), sin(this.xrot));
+	var v = new Coord2D(-sin(this.xrot), cos(this.xrot));
+	
+	// Components of the diagonal from the opposite corner, along each axis
+	var du = (coord.x - o.x) * u.x + (coord.y - o.y) * u.y;
+	var dv = (coord.x - o.x) * v.x + (coord.y - o.y) * v.y;
+	var du0 = (corners[index].x - o.x) * u.x + (corners[index].y - o.y) * u.y;
+	var dv0 = (corners[index].x - o.x) * v.x + (corners[index].y - o.y) * v.y;
+	
+	if (!Util.equals(du, 0) && !Util.equals(dv, 0)) {
+		this.transform(Matrix2D.translate(o.x, o.y)
+			.multiply(Matrix2D.rotate(this.xrot))
+			.multiply(Matrix2D.scale(du / du0, dv / dv0))
+			.multiply(Matrix2D.rotate(-this.xrot))
+			.multiply(Matrix2D.translate(-o.x, -o.y))
+		);
+	}
+	
+	return this;
+};
+
+// Returns the point at parametric angle t on the ellipse with the given 
+// center (Coord2D), radii, and x-axis rotation
+EllipticalShape.getParametricPoint = function(center, rx, ry, xrot, t) {
+	return new Coord2D(
+		center.x + rx * cos(t) * cos(xrot) - ry * sin(t) * sin(xrot),
+		center.y + rx * cos(t) * sin(xrot) + ry * sin(t) * cos(xrot)
+	);
+};
+
 // Returns the point on the ellipse at the given polar angle
 EllipticalShape.prototype.getPointGivenAngle = function(a) {
 	// Normalize the angle to a polar angle in the range [-2pi, 2pi]
@@ -196,7 +297,9 @@ EllipticalShape.projectToQuad = function(e, w, x, y, z) {
 		}
 	}
 	
-	e.coeffs = [a, b, c, d, f, g];
+	// The scale of a, b, c, d, f, and g depends on the quadrilateral, so store
+	// the normalized coefficients instead
+	e.coeffs = EllipticalShape.getConicCoefficients(e.center, e.rx, e.ry, e.xrot);
 	
 	return e;
 };
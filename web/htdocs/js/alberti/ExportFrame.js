@@ -0,0 +1,188 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ExportFrame.js
+ * 
+ * A rectangular region of the workspace to which exports are cropped. The 
+ * frame has a physical size (e.g. 14 x 17 inches) which determines its 
+ * aspect ratio, an origin (its top-left corner in workspace coordinates), and 
+ * a width in workspace units. The height of the frame is derived from its 
+ * width and aspect ratio.
+ * 
+ * USAGE
+ * 
+ * Frames may be initialized from one of the presets defined below via 
+ * ExportFrame::applyPreset. Presets without units (e.g. 16:9) only describe 
+ * an aspect ratio, in which case the frame has no physical size.
+ * 
+ * ExportFrame::asXML and ExportFrame.fromNode serialize and deserialize the 
+ * frame as an SVG rect element, so that the frame can be saved with Alberti 
+ * documents.
+ * 
+ * * */
+
+ExportFrame.nodeId = "exportframe";
+
+ExportFrame.presets = {
+	"14x17in": {label: "14 x 17 in",   width: 14,  height: 17,  units: "in"},
+	"letter":  {label: "Letter",       width: 8.5, height: 11,  units: "in"},
+	"tabloid": {label: "Tabloid",      width: 11,  height: 17,  units: "in"},
+	"a4":      {label: "A4",           width: 210, height: 297, units: "mm"},
+	"a3":      {label: "A3",           width: 297, height: 420, units: "mm"},
+	"16:9":    {label: "16:9",         width: 16,  height: 9,   units: ""},
+	"4:3":     {label: "4:3",          width: 4,   height: 3,   units: ""}
+};
+
+ExportFrame.defaultPreset = "14x17in";
+ExportFrame.customPreset = "custom";
+
+// Number of inches per physical unit
+ExportFrame.inchesPerUnit = {
+	"in": 1,
+	"mm": 1 / 25.4
+};
+
+function ExportFrame(presetKey) {
+	this.preset = ExportFrame.customPreset;
+	this.physicalWidth = 1;
+	this.physicalHeight = 1;
+	this.units = "";
+	
+	this.origin = new Coord2D(0, 0);              // Top-left corner of frame in workspace coordinates
+	this.width = 0;                               // Width of frame in workspace units
+	
+	this.applyPreset(presetKey ? presetKey : ExportFrame.defaultPreset);
+}
+
+// Set the frame's physical size to the given preset's size. Pass true for
+// 'landscape' to swap the preset's width and height.
+ExportFrame.prototype.applyPreset = function(presetKey, landscape) {
+	var preset = ExportFrame.presets[presetKey];
+	
+	Util.assert(preset, "Unrecognized preset '"+presetKey+"' passed to ExportFrame::applyPreset.");
+	
+	this.preset = presetKey;
+	this.setPhysicalSize(
+		landscape ? preset.height : preset.width,
+		landscape ? preset.width : preset.height,
+		preset.units
+	);
+};
+
+// Set the physical size of the frame. 'units' may be "in", "mm", or an empty
+// string if the size merely describes an aspect ratio.
+ExportFrame.prototype.setPhysicalSize = function(width, height, units) {
+	Util.assert(width > 0 && height > 0, "Invalid physical size passed to ExportFrame::setPhysicalSize.");
+	Util.assert(units === "" || ExportFrame.inchesPerUnit[units], "Invalid units passed to ExportFrame::setPhysicalSize.");
+	
+	this.physicalWidth = width;
+	this.physicalHeight = height;
+	this.units = units;
+};
+
+// Returns a description of the frame's size, e.g. "A3" or "5 x 7 in"
+ExportFrame.prototype.getLabel = function() {
+	var preset = ExportFrame.presets[this.preset];
+	var label = preset ? preset.label : this.physicalWidth+" x "+this.physicalHeight+(this.units ? " "+this.units : "");
+	
+	return label+(preset && this.isLandscape() != (preset.width > preset.height) ? " landscape" : "");
+};
+
+ExportFrame.prototype.isLandscape = function() {
+	return this.physicalWidth > this.physicalHeight;
+};
+
+ExportFrame.prototype.hasPhysicalSize = function() {
+	return this.units !== "";
+};
+
+// Returns height of frame in workspace units
+ExportFrame.prototype.getHeight = function() {
+	return this.width * this.physicalHeight / this.physicalWidth;
+};
+
+// Returns a Rect2D describing the frame in workspace coordinates
+ExportFrame.prototype.getRect = function() {
+	return new Rect2D(this.origin.x, this.origin.y, this.origin.x + this.width, this.origin.y + this.getHeight());
+};
+
+ExportFrame.prototype.containsCoord = function(coord) {
+	var rect = this.getRect();
+	return Util.between(coord.x, rect.left, rect.right) && Util.between(coord.y, rect.top, rect.bottom);
+};
+
+// Returns the number of inches spanned by one workspace unit, or null if the
+// frame has no physical size.
+ExportFrame.prototype.getInchesPerUnit = function() {
+	return this.hasPhysicalSize() ?
+		this.physicalWidth * ExportFrame.inchesPerUnit[this.units] / this.width : null;
+};
+
+// Size the frame so that it is anchored at corner p1, extending as far as 
+// possible toward corner p2 without exceeding the box described by p1 and 
+// p2, maintaining the frame's aspect ratio.
+ExportFrame.prototype.fitToCorners = function(p1, p2) {
+	var aspect = this.physicalWidth / this.physicalHeight;
+	var dx = p2.x - p1.x;
+	var dy = p2.y - p1.y;
+	
+	this.width = Math.min(Math.abs(dx), Math.abs(dy) * aspect);
+	
+	this.origin.x = dx < 0 ? p1.x - this.width : p1.x;
+	this.origin.y = dy < 0 ? p1.y - this.getHeight() : p1.y;
+};
+
+ExportFrame.prototype.clone = function() {
+	var f = new ExportFrame();
+	f.preset = this.preset;
+	f.physicalWidth = this.physicalWidth;
+	f.physicalHeight = this.physicalHeight;
+	f.units = this.units;
+	f.origin = this.origin.clone();
+	f.width = this.width;
+	
+	return f;
+};
+
+// Returns the frame as an SVG rect element string. The rect is not rendered.
+ExportFrame.prototype.asXML = function() {
+	return '<rect id="'+ExportFrame.nodeId+'" display="none" '
+		+'x="'+this.origin.x+'" y="'+this.origin.y+'" width="'+this.width+'" height="'+this.getHeight()+'" '
+		+'berti:preset="'+this.preset+'" '
+		+'berti:pwidth="'+this.physicalWidth+'" berti:pheight="'+this.physicalHeight+'" berti:units="'+this.units+'"/>';
+};
+
+// Returns a new ExportFrame from an SVG rect element created by 
+// ExportFrame::asXML.
+ExportFrame.fromNode = function(node) {
+	var f = new ExportFrame();
+	var preset = node.getAttributeNS(Alberti.customns, "preset");
+	
+	f.preset = ExportFrame.presets[preset] ? preset : ExportFrame.customPreset;
+	f.setPhysicalSize(
+		parseFloat(node.getAttributeNS(Alberti.customns, "pwidth")),
+		parseFloat(node.getAttributeNS(Alberti.customns, "pheight")),
+		node.getAttributeNS(Alberti.customns, "units")
+	);
+	f.origin = new Coord2D(parseFloat(node.getAttributeNS(null, "x")), parseFloat(node.getAttributeNS(null, "y")));
+	f.width = parseFloat(node.getAttributeNS(null, "width"));
+	
+	return f;
+};
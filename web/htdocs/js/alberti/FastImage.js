@@ -26,6 +26,10 @@
  * center, at the point (x,y) and scaled uniformly by a scale factor. Its 
  * opacity, from 0 to 1.0, may also be adjusted.
  * 
+ * The image is placed in the workspace independently of the view: its center
+ * lies at workspace coordinate 'workspaceCenter', and each image pixel spans
+ * 'workspaceScale' workspace units.
+ * 
  * * */
  
 function FastImage(imgNode) {
@@ -38,6 +42,12 @@ function FastImage(imgNode) {
 	this.opacity = imgNode.style.opacity !== "" ? parseFloat(imgNode.style.opacity) : 1;
 	this.hidden = imgNode.style.display == "none" ? true : false;
 	
+	this.workspaceCenter = new Coord2D(0, 0);
+	this.workspaceScale = 1;
+	
+	// Name of the file the image was imported from, if known
+	this.filename = null;
+	
 	// Center the image in the window
 	this.updateOffset();
 	
@@ -45,6 +55,14 @@ function FastImage(imgNode) {
 }
 Util.extend(FastImage, EventHandler);
 
+// File extensions of the supported image types
+FastImage.fileExtensions = {
+	"image/png":  "png",
+	"image/jpeg": "jpg",
+	"image/gif":  "gif",
+	"image/tiff": "tif"
+};
+
 // Set the src of the FastImage's img node to the given URL
 FastImage.prototype.setSource = function(url) {
 	this.imgNode.src = url;
@@ -57,6 +75,41 @@ FastImage.prototype.setSourceToDataUrl = function(dataUrl) {
 	this.setSource(dataUrl);
 };
 
+// Returns true if the image was imported by the user, as opposed to being a
+// placeholder
+FastImage.prototype.hasData = function() {
+	return this.imgNode.src.match(/^data:/) ? true : false;
+};
+
+// Returns true if the image is stored in a separate file which has not been
+// loaded (see AlbertiDocument::importFromXML)
+FastImage.prototype.isMissing = function() {
+	return this.filename !== null && !this.hasData();
+};
+
+// Returns the image data as a binary string
+FastImage.prototype.getBinaryData = function() {
+	var src = this.imgNode.src;
+	
+	return atob(src.substring(src.indexOf(",") + 1));
+};
+
+// Returns the MIME type of the image data
+FastImage.prototype.getMimeType = function() {
+	return this.imgNode.src.substring(5, this.imgNode.src.indexOf(";"));
+};
+
+// Returns the file extension matching the image's type
+FastImage.prototype.getFileExtension = function() {
+	return FastImage.fileExtensions[this.getMimeType()] || "png";
+};
+
+// Center the image on the workspace origin at one workspace unit per pixel
+FastImage.prototype.resetPlacement = function() {
+	this.workspaceCenter = new Coord2D(0, 0);
+	this.workspaceScale = 1;
+};
+
 FastImage.prototype.isHidden = function() {
 	return this.hidden;
 };
@@ -76,11 +129,15 @@ FastImage.prototype.show = function() {
 };
 
 FastImage.prototype.update = function() {
-	var pos = Math.round(this.x + this.adjustx)+"px, "+Math.round(this.y + this.adjusty)+"px";
+	// Combine the view transformation with the image's workspace placement
+	var x = this.x + this.scale * this.workspaceCenter.x;
+	var y = this.y + this.scale * this.workspaceCenter.y;
+	var scale = this.scale * this.workspaceScale;
+	var pos = Math.round(x + this.adjustx)+"px, "+Math.round(y + this.adjusty)+"px";
 	
-	this.imgNode.style.cssText = "-webkit-transform: translate3d("+pos+", 0) scale3d("+this.scale+", "+this.scale+", 1); "
-	    +"-moz-transform: translate("+pos+") scale("+this.scale+"); "
-		+"-o-transform: translate("+pos+") scale("+this.scale+"); "
+	this.imgNode.style.cssText = "-webkit-transform: translate3d("+pos+", 0) scale3d("+scale+", "+scale+", 1); "
+	    +"-moz-transform: translate("+pos+") scale("+scale+"); "
+		+"-o-transform: translate("+pos+") scale("+scale+"); "
 		+(this.opacity != 1.0 ? "opacity: "+this.opacity+"; " : "")
 		+(this.hidden ? "display: none" : "");
 };
@@ -90,6 +147,15 @@ FastImage.prototype.updateOffset = function() {
 	this.adjusty = Alberti.halfOriginalWindowHeight - this.imgNode.height / 2;
 };
 
+// Returns a Rect2D describing the image's extent in workspace coordinates
+FastImage.prototype.getWorkspaceRect = function() {
+	var halfWidth = this.imgNode.width * this.workspaceScale / 2;
+	var halfHeight = this.imgNode.height * this.workspaceScale / 2;
+	var c = this.workspaceCenter;
+	
+	return new Rect2D(c.x - halfWidth, c.y - halfHeight, c.x + halfWidth, c.y + halfHeight);
+};
+
 FastImage.prototype.translateRelative = function(dx, dy) {
 	this.x += dx;
 	this.y += dy;
@@ -0,0 +1,95 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * FileExporter.js
+ * 
+ * Saves data to the user's computer as a file download. Data is wrapped in a
+ * Blob and handed to the browser through an object URL, which avoids the size
+ * limits and crashes associated with opening large data URLs in a popup.
+ * 
+ * USAGE
+ * 
+ * The constructor expects the MIME type of the exported files. Call
+ * FileExporter::save with a string (or an array of strings) and a filename to
+ * download the data. Call FileExporter::saveDataUrl to download the contents
+ * of a base64-encoded data URL, e.g. one produced by a canvas, and
+ * FileExporter::saveBinary to download a binary string (i.e. a string whose 
+ * character codes are all bytes).
+ * 
+ * * */
+
+// Time in milliseconds to wait before revoking a download's object URL
+FileExporter.revokeDelay = 1000;
+
+function FileExporter(mimeType) {
+	Util.assert(typeof Blob !== "undefined" && window.URL && URL.createObjectURL,
+		"Your browser does not support the required Blob and URL objects."
+	);
+	
+	this.mimeType = mimeType;
+}
+
+// Download the given data as a file with the given name. 'data' may be a 
+// string, or an array of strings which are concatenated in order.
+FileExporter.prototype.save = function(data, filename) {
+	this.saveBlob(new Blob(data instanceof Array ? data : [data], {type: this.mimeType}), filename);
+};
+
+// Download the contents of the given base64-encoded data URL
+FileExporter.prototype.saveDataUrl = function(dataUrl, filename) {
+	Util.assert(dataUrl.match(/^data:[^,]*;base64,/), "Invalid data URL passed to FileExporter::saveDataUrl.");
+	
+	this.saveBinary(atob(dataUrl.substring(dataUrl.indexOf(",") + 1)), filename);
+};
+
+// Download the given binary string
+FileExporter.prototype.saveBinary = function(binary, filename) {
+	var bytes = new Uint8Array(binary.length);
+	
+	for (var i = 0, len = binary.length; i < len; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	
+	this.saveBlob(new Blob([bytes], {type: this.mimeType}), filename);
+};
+
+FileExporter.prototype.saveBlob = function(blob, filename) {
+	// Internet Explorer provides its own save dialog
+	if (navigator.msSaveOrOpenBlob) {
+		navigator.msSaveOrOpenBlob(blob, filename);
+		return;
+	}
+	
+	var url = URL.createObjectURL(blob);
+	var link = document.createElement("a");
+	
+	// Induce a click on a temporary link with a 'download' attribute
+	link.href = url;
+	link.download = filename;
+	link.style.display = "none";
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	
+	// Give the browser time to begin the download before releasing the data
+	setTimeout(function() {
+		URL.revokeObjectURL(url);
+	}, FileExporter.revokeDelay);
+};
@@ -32,7 +32,9 @@
  * an object that implements an import handler method. 'importHandler' is the 
  * name of this method. 'allowedExtensions' is an optional case-insensitive 
  * string argument, containing the allowed file extensions separated by pipes
- * ('|').
+ * ('|'). 'binaryExtensions' is an optional string of the same form, listing 
+ * extensions of files that are always imported as data URL's, regardless of
+ * 'importAsText'.
  * 
  * The import handler should take a string argument representing the imported
  * data and a string argument containing the filename. If 'importAsText' was 
@@ -41,13 +43,14 @@
  * 
  * * */
  
-function FileImporter(inputElement, mimeType, importAsText, controller, importHandler, allowedExtensions) {
+function FileImporter(inputElement, mimeType, importAsText, controller, importHandler, allowedExtensions, binaryExtensions) {
 	FileImporter.baseConstructor.call(this);
 	this.inputElement = inputElement;
 	this.importAsText = importAsText;           // File data should be imported as text rather than data URL?
 	this.controller = controller;
 	this.importHandler = importHandler;
 	this.allowedExtensions = allowedExtensions;
+	this.binaryExtensions = binaryExtensions || null;
 	
 	Util.assert(typeof FileReader !== "undefined", "Your browser does not support the required FileReader object.");
 	
@@ -77,7 +80,9 @@ FileImporter.prototype.change = function(evt) {
 	this.fileReader = new FileReader();
 	this.registerListener("loadend", this.fileReader, false);
 	
-	if (this.importAsText) {
+	var binaryRegex = new RegExp("\\.("+this.binaryExtensions+")$", "i");
+	
+	if (this.importAsText && !(this.binaryExtensions && this.getFilename().match(binaryRegex))) {
 		this.fileReader.readAsText(this.inputElement.files[0]);
 	} else {
 		this.fileReader.readAsDataURL(this.inputElement.files[0]);
@@ -107,10 +107,12 @@ var Intersect = {
 			// the discriminant. In order to accurately detect tangencies (i.e.
 			// discriminants of 0) it is necessary to adjust the tolerance value
 			// on-the-fly. The error size is logarithmically correlated with the 
-			// area of the ellipse. Tolerance is adjusted accordingly.
+			// area of the ellipse. Tolerance is adjusted accordingly. (The 
+			// values below assume normalized coefficients, as returned by
+			// EllipticalShape.getConicCoefficients.)
 		
-			var alpha = 2.19e35;
-			var beta = -5.673;
+			var alpha = 8.97e38;
+			var beta = -1.673;
 			var area = ellipse.rx * ellipse.ry;
 			var tolerance = (alpha * Math.pow(area, beta)) / 10e40;
 		
@@ -313,6 +315,188 @@ var Intersect = {
 		return intersections;
 	},
 
+	// The curve is searched for sign changes of the line's implicit equation 
+	// (see CubicBezier::findParameters), and the roots filtered to those lying
+	// on the line segment.
+	cbezierline: function(cbezier, line) {
+		var intersections = [];
+		
+		var x1 = line.p1.x, y1 = line.p1.y;
+		var dx = line.p2.x - x1, dy = line.p2.y - y1;
+		
+		var params = cbezier.findParameters(function(p) {
+			return (p.x - x1) * dy - (p.y - y1) * dx;
+		});
+		
+		for (var i = 0, pLen = params.length; i < pLen; i++) {
+			var sol = cbezier.getPointGivenT(params[i]);
+			
+			if (Util.between(sol.x, line.p1.x, line.p2.x) && Util.between(sol.y, line.p1.y, line.p2.y)) {
+				intersections.push(sol);
+			}
+		}
+		
+		return intersections;
+	},
+
+	cbeziercircle: function(cbezier, circle) {
+		var intersections = [];
+		var r2 = circle.radius * circle.radius;
+		
+		var params = cbezier.findParameters(function(p) {
+			var dx = p.x - circle.center.x, dy = p.y - circle.center.y;
+			return dx * dx + dy * dy - r2;
+		});
+		
+		for (var i = 0, pLen = params.length; i < pLen; i++) {
+			intersections.push(cbezier.getPointGivenT(params[i]));
+		}
+		
+		return intersections;
+	},
+
+	carccbezier: function(arc, cbezier) {
+		var intersections = [];
+		var solutions = Intersect.cbeziercircle(cbezier, arc);
+		var extent = arc.sa + arc.da;
+		
+		// Keep only the intersections on the arc
+		for (var i = 0, sLen = solutions.length; i < sLen; i++) {
+			if (Util.angleIsBetweenAngles(arc.center.angleTo(solutions[i]), arc.sa, extent)) {
+				intersections.push(solutions[i]);
+			}
+		}
+		
+		return intersections;
+	},
+
+	cbezierellipse: function(cbezier, ellipse) {
+		var intersections = [];
+		
+		if (ellipse.coeffs.length > 0) {
+			// Coefficients a, b, c, d, f, and g of conic equation describing 
+			// ellipse (see Intersect.ellipseline)
+			var a = ellipse.coeffs[0];
+			var b = ellipse.coeffs[1];
+			var c = ellipse.coeffs[2];
+			var d = ellipse.coeffs[3];
+			var f = ellipse.coeffs[4];
+			var g = ellipse.coeffs[5];
+			
+			var params = cbezier.findParameters(function(p) {
+				return a*p.x*p.x + 2*b*p.x*p.y + c*p.y*p.y + 2*d*p.x + 2*f*p.y + g;
+			});
+			
+			for (var i = 0, pLen = params.length; i < pLen; i++) {
+				intersections.push(cbezier.getPointGivenT(params[i]));
+			}
+		}
+		
+		return intersections;
+	},
+
+	cbezierearc: function(cbezier, arc) {
+		var intersections = [];
+		var solutions = Intersect.cbezierellipse(cbezier, arc);
+		var extent = arc.sa + arc.da;
+		
+		// Keep only the intersections on the arc
+		for (var i = 0, sLen = solutions.length; i < sLen; i++) {
+			if (Util.angleIsBetweenAngles(arc.center.angleTo(solutions[i]), arc.sa, extent)) {
+				intersections.push(solutions[i]);
+			}
+		}
+		
+		return intersections;
+	},
+
+	// The curves are recursively subdivided, discarding pairs of pieces whose
+	// control points' bounding rectangles do not overlap, until both pieces 
+	// are flat (see CubicBezier::isFlat). The intersections of the flat 
+	// pieces' chords are then refined on the curves by Newton's method.
+	cbeziercbezier: function(c1, c2) {
+		var intersections = [];
+		var pieces = [{b1: c1, s0: 0, s1: 1, b2: c2, t0: 0, t1: 1, depth: 0}];
+		
+		if (c1 === c2) {
+			return intersections;
+		}
+		
+		while (pieces.length > 0) {
+			var piece = pieces.pop();
+			var b1 = piece.b1, b2 = piece.b2;
+			
+			if (!b1.getControlRect().intersectsRect(b2.getControlRect())) {
+				continue;
+			}
+			
+			var flat1 = b1.isFlat(), flat2 = b2.isFlat();
+			
+			if ((flat1 && flat2) || piece.depth == CubicBezier.maxSubdivisions) {
+				var chords = Intersect.lineline(Line.fromPoints(b1.p1, b1.p4), Line.fromPoints(b2.p1, b2.p4));
+				
+				if (chords.length > 0) {
+					// Start Newton's method from the chords' intersection
+					var s = piece.s0 + (piece.s1 - piece.s0) * b1.getChordParameter(chords[0]);
+					var t = piece.t0 + (piece.t1 - piece.t0) * b2.getChordParameter(chords[0]);
+					var sol = chords[0];
+					
+					for (var i = 0; i < 10; i++) {
+						var p1 = c1.getPointGivenT(s), p2 = c2.getPointGivenT(t);
+						var d1 = c1.getDerivativeGivenT(s), d2 = c2.getDerivativeGivenT(t);
+						var det = d2.x * d1.y - d1.x * d2.y;
+						
+						if (Util.equals(det, 0)) {
+							break;
+						}
+						
+						var ex = p2.x - p1.x, ey = p2.y - p1.y;
+						
+						s = Math.min(Math.max(s + (d2.x * ey - d2.y * ex) / det, 0), 1);
+						t = Math.min(Math.max(t + (d1.x * ey - d1.y * ex) / det, 0), 1);
+						sol = c1.getPointGivenT(s);
+					}
+					
+					var d1 = c1.getDerivativeGivenT(s), d2 = c2.getDerivativeGivenT(t);
+					var sine = Math.abs(d2.x * d1.y - d1.x * d2.y) / Math.sqrt((d1.x*d1.x + d1.y*d1.y) * (d2.x*d2.x + d2.y*d2.y));
+					
+					var isNew = intersections.every(function(p) {
+						return p.distanceTo(sol) > CubicBezier.flatness;
+					});
+					
+					if (isNew && !(sine < CubicBezier.parallelTolerance)) {
+						intersections.push(sol);
+					}
+				}
+				continue;
+			}
+			
+			// Split the pieces that are not yet flat in half
+			var sm = (piece.s0 + piece.s1) / 2, tm = (piece.t0 + piece.t1) / 2;
+			var halves1 = flat1 ? [[b1, piece.s0, piece.s1]] :
+				[[b1.getPiece(0, 0.5), piece.s0, sm], [b1.getPiece(0.5, 1), sm, piece.s1]];
+			var halves2 = flat2 ? [[b2, piece.t0, piece.t1]] :
+				[[b2.getPiece(0, 0.5), piece.t0, tm], [b2.getPiece(0.5, 1), tm, piece.t1]];
+			
+			for (var i = 0; i < halves1.length; i++) {
+				for (var j = 0; j < halves2.length; j++) {
+					pieces.push({
+						b1: halves1[i][0], s0: halves1[i][1], s1: halves1[i][2],
+						b2: halves2[j][0], t0: halves2[j][1], t1: halves2[j][2],
+						depth: piece.depth + 1
+					});
+				}
+			}
+		}
+		
+		return intersections;
+	},
+
+	// Quadratic beziers are converted to cubic ones
+	beziercbezier: function(bezier, cbezier) {
+		return Intersect.cbeziercbezier(CubicBezier.fromQuadratic(bezier), cbezier);
+	},
+
 	// http://paulbourke.net/geometry/2circle/
 	circlecircle: function(c1, c2) {
 		// let d = distance between circles' centers
@@ -517,6 +701,28 @@ var Intersect = {
 		return intersections;
 	},
 
+	cbezierrect: function(cbezier, rect) {
+		var intersections = [];
+	
+		intersections = intersections.concat(Intersect.cbezierline(cbezier, Line.fromPoints(
+			new Coord2D(rect.rect.left, rect.rect.top),
+			new Coord2D(rect.rect.right, rect.rect.top))));
+	
+		intersections = intersections.concat(Intersect.cbezierline(cbezier, Line.fromPoints(
+			new Coord2D(rect.rect.right, rect.rect.top),
+			new Coord2D(rect.rect.right, rect.rect.bottom))));
+	
+		intersections = intersections.concat(Intersect.cbezierline(cbezier, Line.fromPoints(
+			new Coord2D(rect.rect.right, rect.rect.bottom),
+			new Coord2D(rect.rect.left, rect.rect.bottom))));
+	
+		intersections = intersections.concat(Intersect.cbezierline(cbezier, Line.fromPoints(
+			new Coord2D(rect.rect.left, rect.rect.bottom),
+			new Coord2D(rect.rect.left, rect.rect.top))));
+	
+		return intersections;
+	},
+
 	circlerect: function(circle, rect) {
 		var intersections = [];
 	
@@ -537,6 +743,97 @@ var Intersect = {
 			new Coord2D(rect.rect.left, rect.rect.top))));
 	
 		return intersections;
+	},
+	
+	// Construction lines are intersected with lines directly, so that the 
+	// intersections lie exactly on the (short) line. Against curves, they 
+	// stand in for long line segments (see ConstructionLine::toLine).
+	clineline: function(cline, line) {
+		var intersections = [];
+		
+		var dx1 = cline.p2.x - cline.p1.x, dy1 = cline.p2.y - cline.p1.y;
+		var dx2 = line.p2.x - line.p1.x, dy2 = line.p2.y - line.p1.y;
+		var det = dx1 * dy2 - dy1 * dx2;
+		
+		if (!Util.equals(det, 0)) {
+			// Parameters of the intersection along the construction line (s)
+			// and along the line (t)
+			var ex = line.p1.x - cline.p1.x, ey = line.p1.y - cline.p1.y;
+			var s = (ex * dy2 - ey * dx2) / det;
+			var t = (ex * dy1 - ey * dx1) / det;
+			
+			if (Util.between(t, 0, 1) && (!cline.ray || s > -Alberti.tolerance)) {
+				intersections.push(line.getPointGivenT(t));
+			}
+		}
+		
+		return intersections;
+	},
+	
+	clinecline: function(l1, l2) {
+		var intersections = [];
+		
+		var dx1 = l1.p2.x - l1.p1.x, dy1 = l1.p2.y - l1.p1.y;
+		var dx2 = l2.p2.x - l2.p1.x, dy2 = l2.p2.y - l2.p1.y;
+		var det = dx1 * dy2 - dy1 * dx2;
+		
+		if (!Util.equals(det, 0)) {
+			var ex = l2.p1.x - l1.p1.x, ey = l2.p1.y - l1.p1.y;
+			var s = (ex * dy2 - ey * dx2) / det;
+			var t = (ex * dy1 - ey * dx1) / det;
+			
+			if ((!l1.ray || s > -Alberti.tolerance) && (!l2.ray || t > -Alberti.tolerance)) {
+				intersections.push(new Coord2D(l1.p1.x + s * dx1, l1.p1.y + s * dy1));
+			}
+		}
+		
+		return intersections;
+	},
+	
+	clinerect: function(cline, rect) {
+		var intersections = [];
+	
+		intersections = intersections.concat(Intersect.clineline(cline, Line.fromPoints(
+			new Coord2D(rect.rect.left, rect.rect.top),
+			new Coord2D(rect.rect.right, rect.rect.top))));
+		
+		intersections = intersections.concat(Intersect.clineline(cline, Line.fromPoints(
+			new Coord2D(rect.rect.right, rect.rect.top),
+			new Coord2D(rect.rect.right, rect.rect.bottom))));
+		
+		intersections = intersections.concat(Intersect.clineline(cline, Line.fromPoints(
+			new Coord2D(rect.rect.right, rect.rect.bottom),
+			new Coord2D(rect.rect.left, rect.rect.bottom))));
+		
+		intersections = intersections.concat(Intersect.clineline(cline, Line.fromPoints(
+			new Coord2D(rect.rect.left, rect.rect.bottom),
+			new Coord2D(rect.rect.left, rect.rect.top))));
+	
+		return intersections;
+	},
+	
+	beziercline: function(bezier, cline) {
+		return Intersect.bezierline(bezier, cline.toLine());
+	},
+	
+	carccline: function(arc, cline) {
+		return Intersect.carcline(arc, cline.toLine());
+	},
+	
+	cbeziercline: function(cbezier, cline) {
+		return Intersect.cbezierline(cbezier, cline.toLine());
+	},
+	
+	circlecline: function(circle, cline) {
+		return Intersect.circleline(circle, cline.toLine());
+	},
+	
+	clineearc: function(cline, arc) {
+		return Intersect.earcline(arc, cline.toLine());
+	},
+	
+	clineellipse: function(cline, ellipse) {
+		return Intersect.ellipseline(ellipse, cline.toLine());
 	}
 
 };
\ No newline at end of file
@@ -50,10 +50,17 @@ var KeyCode = {
 	modParallel:      76,       // 'l' -   Parallel line constraint
 	modPerpendicular: 80,       // 'p' -   Perpendicular line constraint
 	modPinning:       83,       // 's' -   Line pinning constraint
+	modConverge:      67,       // 'c' -   Vanishing point line constraint
+	modSmooth:        83,       // 's' -   Smooth bezier continuation
+	rectMode:         77,       // 'm' -   Cycle rectangle tool mode
+	transformMode:    77,       // 'm' -   Cycle transform tool mode
+	trimMode:         77,       // 'm' -   Toggle trim/extend tool mode
+	constructionMode: 77,       // 'm' -   Toggle construction line/ray mode
     
 	lpCollapse: 220,       // '\' -   Collapse/reveal layer panel
 	snap:       68,        // 'd' -   Activate snap-to-intersection
 	autoPan:    32,        // space - Pan to next marker
+	nextVp:     81,        // 'q' -   Cycle the active vanishing point (shift for previous)
 	manPan:     69,        // 'e' -   Alternate manual panning key
 	undoRedo:   90,        // 'z' -   Undo/redo key (shift for redo)
 	cut:        88,        // 'x'
@@ -45,6 +45,7 @@ Layer.prototype.initialize = function() {
 	this.name = "";
 	this.hidden = false;
 	this.color = Layer.defaultLayerColor;         // layer's line stroke color
+	this.construction = false;                    // construction layers are excluded from export by default
 };
 
 // Inserts the given shape into the SVG tree
@@ -67,6 +68,18 @@ Layer.prototype.removeShape = function(shape) {
 	this.shapes.splice(shapeIndex, 1);
 };
 
+// Replaces the given shape with 'newShape' at the same position in the SVG
+// tree
+Layer.prototype.replaceShape = function(shape, newShape) {
+	var shapeIndex = this.shapes.indexOf(shape);
+	
+	Util.assert(shapeIndex >= 0, "Unrecognized shape passed to Layer::replaceShape");
+	
+	this.attachChildBefore(newShape, shape);
+	shape.detach();
+	this.shapes[shapeIndex] = newShape;
+};
+
 Layer.prototype.hide = function() {
 	if (!this.hidden) {
 		this.hidden = true;
@@ -91,15 +104,27 @@ Layer.prototype.setColor = function(color) {
 	this.set("stroke", color);
 };
 
+// Mark the layer as a construction layer, holding construction lines and 
+// other guides that are not part of the drawing itself
+Layer.prototype.setConstruction = function(construction) {
+	this.construction = construction;
+	this.set("berti:construction", construction ? "true" : "false", Alberti.customns);
+};
+
 Layer.prototype.isHidden = function() {
 	return this.hidden;
 };
 
+Layer.prototype.isConstruction = function() {
+	return this.construction;
+};
+
 Layer.prototype.push = function() {
 	Layer.superclass.push.call(this);
 	this.set("title", this.name);
 	this.set("display", this.hidden ? "none" : "");
 	this.set("stroke", this.color);
+	this.set("berti:construction", this.construction ? "true" : "false", Alberti.customns);
 };
 
 Layer.prototype.pull = function() {
@@ -107,6 +132,7 @@ Layer.prototype.pull = function() {
 	this.hidden = (this.get("display") == "none") ?  true : false;
 	this.name = this.get("title");
 	this.color = this.get("stroke");
+	this.construction = this.get("construction", Alberti.customns) == "true";
 };
 
 // Reset the layer counter global
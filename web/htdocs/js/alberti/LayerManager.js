@@ -24,6 +24,10 @@
  * 
  * * */
  
+// Intersection points within this distance (in workspace units) of a shape 
+// are taken to lie on it (see LayerManager::getIntersectionsOnShape)
+LayerManager.intersectionTolerance = 1e-3;
+
 function LayerManager(layerGroup, undoManager) {
 	this.layerGroup = layerGroup;      // Contains all user-created layers
 	this.undoManager = undoManager;
@@ -49,6 +53,20 @@ function LayerManager(layerGroup, undoManager) {
 	this.markers = [null];
 	this.currentMarker = null;
 	
+	// Contains all construction lines, which are re-rendered when the visible
+	// region of the workspace changes
+	this.constructionLines = [];
+	
+	// The document's ExportFrame, or null if exports are cropped to the 
+	// bounding box of the document.
+	this.exportFrame = null;
+	
+	// The document's PerspectiveSpace, or null if none has been constructed
+	this.perspectiveSpace = null;
+	
+	// Index of the vanishing point that perspective-aware tools converge to
+	this.activeVanishingPoint = 0;
+	
 	this.snapPoints = new SnapPoints();
 }
 
@@ -364,6 +382,18 @@ LayerManager.prototype.getNumberOfVisibleLayers = function() {
 	return this.layers.length - this.numHiddenLayers;
 };
 
+// Returns the lowest construction layer (see Layer::setConstruction), or null
+// if there is none
+LayerManager.prototype.getConstructionLayer = function() {
+	for (var i = 0, len = this.layers.length; i < len; i++) {
+		if (this.layers[i].isConstruction()) {
+			return this.layers[i];
+		}
+	}
+	
+	return null;
+};
+
 // Append the given Shape, optionally providing a target layer object 
 // (defaults to the current layer). Returns the shape's sid. Undo-able.
 LayerManager.prototype.insertShape = function(newShape, targetLayer) {	
@@ -389,6 +419,10 @@ LayerManager.prototype.insertShape = function(newShape, targetLayer) {
 		this.addMarker(newShape);
 	}
 	
+	if (newShape.shapeName == ConstructionLine.shapeName) {
+		this.constructionLines.push(newShape);
+	}
+	
 	// Make it undo-able
 	this.undoManager.push("Insert Shape", this,
 		this.insertShape, [newShape, targetLayer],
@@ -425,6 +459,10 @@ LayerManager.prototype.removeShape = function(shape, bulk) {
 		this.removeMarker(shape);
 	}
 	
+	if (shape.shapeName == ConstructionLine.shapeName) {
+		this.constructionLines.splice(this.constructionLines.indexOf(shape), 1);
+	}
+	
 	// Make it undo-able
 	this.undoManager.push("Delete Shape", this,
 		this.removeShape, [shape, bulk],
@@ -434,6 +472,71 @@ LayerManager.prototype.removeShape = function(shape, bulk) {
 	return shape;
 };
 
+// Replace the given Shape with 'newShape', e.g. a transformed copy of it, at
+// the same position in the same layer. The shape's intersection points, 
+// selected state and marker are carried over to the new shape. Returns the 
+// new shape's sid. Undo-able.
+LayerManager.prototype.replaceShape = function(shape, newShape) {
+	var shapeRecord = this.shapeIndex[shape.sid];
+	
+	Util.assert(shapeRecord, "Shape with unrecognized sid passed to LayerManager::replaceShape.");
+	Util.assert(!this.shapeIndex[newShape.sid], "Duplicate shape passed to LayerManager::replaceShape (sid '"+newShape.sid+"').");
+	
+	var layer = shapeRecord.layer;
+	
+	layer.replaceShape(shape, newShape);
+	
+	// Remove the shape from the index before checking for intersections, 
+	// so that neither shape gets tested against it.
+	delete this.shapeIndex[shape.sid];
+	
+	// Do not test for intersections if the layer is hidden
+	if (!layer.isHidden()) {
+		var visibleShapes = this.getVisibleShapes();
+		
+		this.snapPoints.testIntersections(shape, visibleShapes, SnapPoints.deleteFlag);
+		this.snapPoints.testIntersections(newShape, visibleShapes, SnapPoints.insertFlag);
+	}
+	
+	this.shapeIndex[newShape.sid] = {"shape":newShape, "layer":layer};
+	
+	// A point shape indicates a marker
+	var markerIndex = this.markers.indexOf(shape);
+	
+	if (markerIndex > 0) {
+		this.markers[markerIndex] = newShape;
+		
+		if (shape == this.currentMarker) {
+			this.currentMarker = newShape;
+		}
+	}
+	
+	// Either shape may be a construction line
+	if (shape.shapeName == ConstructionLine.shapeName) {
+		this.constructionLines.splice(this.constructionLines.indexOf(shape), 1);
+	}
+	
+	if (newShape.shapeName == ConstructionLine.shapeName) {
+		this.constructionLines.push(newShape);
+	}
+	
+	var selectionIndex = this.selectedShapes.indexOf(shape);
+	
+	if (selectionIndex >= 0) {
+		shape.displayDeselected();
+		this.selectedShapes[selectionIndex] = newShape;
+		newShape.displaySelected();
+	}
+	
+	// Make it undo-able
+	this.undoManager.push("Replace Shape", this,
+		this.replaceShape, [shape, newShape],
+		this.replaceShape, [newShape, shape]
+	);
+	
+	return newShape.sid;
+};
+
 // Returns array of shapes in current layer
 LayerManager.prototype.getShapesInCurrentLayer = function() {
 	return this.currentLayer.shapes.clone();
@@ -461,6 +564,91 @@ LayerManager.prototype.deleteSelectedShapes = function() {
 	this.undoManager.recordStop();
 };
 
+// Split the currently selected shapes at their intersections with other 
+// visible shapes. Each shape is replaced by its pieces, which are selected
+// in its place. Shapes that cannot be divided (see Shape::getParameter) are
+// left as they are. Undo-able as a single action.
+LayerManager.prototype.splitSelectedShapes = function() {
+	var shapes = this.getSelectedShapes();
+	var selection = [];
+	
+	this.undoManager.recordStart();
+	
+	for (var i = 0, sLen = shapes.length; i < sLen; i++) {
+		var shape = shapes[i];
+		var pieces = this.getPiecesAtIntersections(shape);
+		
+		if (pieces.length < 2) {
+			selection.push(shape);
+			continue;
+		}
+		
+		var layer = this.shapeIndex[shape.sid].layer;
+		this.replaceShape(shape, pieces[0].generate());
+		
+		for (var j = 1, pLen = pieces.length; j < pLen; j++) {
+			this.insertShape(pieces[j].generate(), layer);
+		}
+		
+		selection = selection.concat(pieces);
+	}
+	
+	this.setSelection(selection);
+	
+	this.undoManager.recordStop();
+};
+
+// Returns the un-generate()'ed pieces of the given shape between its 
+// intersections, in order along the shape. Returns an empty array if the 
+// shape cannot be divided, or would be left in one piece.
+LayerManager.prototype.getPiecesAtIntersections = function(shape) {
+	var pieces = [];
+	var params = this.getIntersectionsOnShape(shape).map(function(p) {
+		return shape.getParameter(p);
+	}).sort(function(a, b) {
+		return a - b;
+	});
+	
+	// Discard coincident intersections, and those at the ends of open shapes
+	params = params.filter(function(p, i) {
+		return (i == 0 || !Util.equals(p, params[i - 1])) && (shape.isClosed() || !(Util.equals(p, 0) || Util.equals(p, 1)));
+	});
+	
+	if (shape.isClosed()) {
+		if (params.length > 1 && Util.equals(params.peek(), params[0] + 1)) {
+			params.pop();
+		}
+		
+		// Closed shapes are cut between consecutive intersections, the last 
+		// piece wrapping around to the first intersection
+		for (var i = 0, pLen = params.length; pLen > 1 && i < pLen; i++) {
+			pieces.push(shape.getPiece(params[i], i < pLen - 1 ? params[i + 1] : params[0] + 1));
+		}
+	} else if (params.length > 0) {
+		params = [0].concat(params, [1]);
+		
+		for (var i = 0, pLen = params.length - 1; i < pLen; i++) {
+			pieces.push(shape.getPiece(params[i], params[i + 1]));
+		}
+	}
+	
+	return pieces;
+};
+
+// Returns the known intersection points (Coord2D's) lying on the given 
+// shape, as found by SnapPoints when shapes were inserted, or an empty array
+// if the shape cannot be divided (see Shape::getParameter).
+LayerManager.prototype.getIntersectionsOnShape = function(shape) {
+	var tolerance = LayerManager.intersectionTolerance;
+	var bbox = shape.getBoundingBox();
+	var rect = new Rect2D(bbox.left - tolerance, bbox.top - tolerance, bbox.right + tolerance, bbox.bottom + tolerance);
+	
+	return this.snapPoints.points.searchRect(rect).filter(function(p) {
+		var t = shape.getParameter(p);
+		return t !== null && shape.getPointGivenT(t).distanceTo(p) <= tolerance;
+	});
+};
+
 // Returns all visible Shapes intersecting with or enclosed by the given 
 // Rect2D. Sadly, SVG's getIntersectionsList and getEnclosureList are 
 // implemented only in Opera, so we need to perform our own calculations.
@@ -580,6 +768,41 @@ LayerManager.prototype.serializeAll = function() {
 	}
 };
 
+// Re-render all construction lines, e.g. after ConstructionLine.viewport has
+// changed
+LayerManager.prototype.updateConstructionLines = function() {
+	for (var i = 0, len = this.constructionLines.length; i < len; i++) {
+		this.constructionLines[i].push();
+	}
+};
+
+// Returns a Rect2D bounding the shapes in visible layers, or an empty Rect2D
+// at the origin if there are none. Construction layers are left out unless 
+// 'includeConstruction' is true, and construction lines, being infinite, 
+// are always left out.
+LayerManager.prototype.getBoundingBox = function(includeConstruction) {
+	var bounds = null;
+	
+	for (var sid in this.shapeIndex) {
+		var shapeRecord = this.shapeIndex[sid];
+		var layer = shapeRecord.layer;
+		
+		if (layer.isHidden() || (layer.isConstruction() && !includeConstruction)
+			|| shapeRecord.shape.shapeName == ConstructionLine.shapeName) {
+			continue;
+		}
+		
+		var bbox = shapeRecord.shape.getBoundingBox();
+		
+		bounds = bounds ? new Rect2D(
+			Math.min(bounds.left, bbox.left), Math.min(bounds.top, bbox.top),
+			Math.max(bounds.right, bbox.right), Math.max(bounds.bottom, bbox.bottom)
+		) : bbox;
+	}
+	
+	return bounds ? bounds : new Rect2D(0, 0, 0, 0);
+};
+
 LayerManager.prototype.addMarker = function(marker) {
 	this.markers.push(marker);
 };
@@ -621,6 +844,62 @@ LayerManager.prototype.previousMarker = function() {
 	return this.currentMarker ? this.currentMarker.coord.clone() : null;
 };
 
+// Set the export frame to the given ExportFrame object, or null to remove 
+// the export frame. Undo-able.
+LayerManager.prototype.setExportFrame = function(frame) {
+	this.undoManager.push("Set Export Frame", this,
+		this.setExportFrame, [frame],
+		this.setExportFrame, [this.exportFrame]
+	);
+	
+	this.exportFrame = frame;
+};
+
+// Set the perspective space to the given PerspectiveSpace object, or null to 
+// remove it. Undo-able.
+LayerManager.prototype.setPerspectiveSpace = function(space) {
+	this.undoManager.push("Set Perspective Space", this,
+		this.setPerspectiveSpace, [space],
+		this.setPerspectiveSpace, [this.perspectiveSpace]
+	);
+	
+	this.perspectiveSpace = space;
+	this.activeVanishingPoint = 0;
+};
+
+// Returns the active vanishing point of the perspective space (a Coord2D), or
+// null if there is no perspective space.
+LayerManager.prototype.getActiveVanishingPoint = function() {
+	if (!this.perspectiveSpace) {
+		return null;
+	}
+	
+	var vps = this.perspectiveSpace.vanishingPoints;
+	
+	return vps[this.activeVanishingPoint % vps.length].clone();
+};
+
+// Makes the next vanishing point of the perspective space active and returns
+// it, or null if there is no perspective space.
+LayerManager.prototype.nextVanishingPoint = function() {
+	if (this.perspectiveSpace) {
+		this.activeVanishingPoint = (this.activeVanishingPoint + 1) % this.perspectiveSpace.vanishingPoints.length;
+	}
+	
+	return this.getActiveVanishingPoint();
+};
+
+// Makes the previous vanishing point of the perspective space active and 
+// returns it, or null if there is no perspective space.
+LayerManager.prototype.previousVanishingPoint = function() {
+	if (this.perspectiveSpace) {
+		var len = this.perspectiveSpace.vanishingPoints.length;
+		this.activeVanishingPoint = (this.activeVanishingPoint % len + len - 1) % len;
+	}
+	
+	return this.getActiveVanishingPoint();
+};
+
 // Sets current marker to the null marker
 LayerManager.prototype.resetCurrentMarker = function() {
 	this.currentMarker = null;
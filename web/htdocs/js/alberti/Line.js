@@ -70,6 +70,51 @@ Line.prototype.clone = function() {
 	return l;
 };
 
+Line.prototype.transform = function(matrix) {
+	this.p1 = matrix.transformPoint(this.p1);
+	this.p2 = matrix.transformPoint(this.p2);
+	
+	return this;
+};
+
+// Handles are the endpoints
+Line.prototype.getHandles = function() {
+	return [this.p1.clone(), this.p2.clone()];
+};
+
+Line.prototype.moveHandle = function(index, coord) {
+	var p = coord.clone();
+	
+	if (!p.isEqual(index == 0 ? this.p2 : this.p1)) {
+		this[index == 0 ? "p1" : "p2"] = p;
+	}
+	
+	return this;
+};
+
+// Returns the point at parameter t along the line, from p1 (0) to p2 (1)
+Line.prototype.getPointGivenT = function(t) {
+	return new Coord2D(this.p1.x + t * (this.p2.x - this.p1.x), this.p1.y + t * (this.p2.y - this.p1.y));
+};
+
+Line.prototype.getParameter = function(coord) {
+	var dx = this.p2.x - this.p1.x;
+	var dy = this.p2.y - this.p1.y;
+	var l2 = dx * dx + dy * dy;
+	
+	if (Util.equals(l2, 0)) {
+		return 0;
+	}
+	
+	var t = ((coord.x - this.p1.x) * dx + (coord.y - this.p1.y) * dy) / l2;
+	
+	return Math.min(Math.max(t, 0), 1);
+};
+
+Line.prototype.getPiece = function(t0, t1) {
+	return Line.fromPoints(this.getPointGivenT(t0), this.getPointGivenT(t1));
+};
+
 // Returns the projection of point 'p' onto this line
 Line.prototype.getProjectedPoint = function(p) {
 	var dx = this.p2.x - this.p1.x;
@@ -121,6 +166,22 @@ Line.prototype.extendToInfinity = function() {
 	return l;
 };
 
+// Returns the intersection of the infinite extensions of this line and 
+// 'line' (a Coord2D), or null if the lines are parallel
+Line.prototype.getExtendedIntersection = function(line) {
+	var dx1 = this.p2.x - this.p1.x, dy1 = this.p2.y - this.p1.y;
+	var dx2 = line.p2.x - line.p1.x, dy2 = line.p2.y - line.p1.y;
+	var det = dx1 * dy2 - dy1 * dx2;
+	
+	if (Util.equals(det, 0)) {
+		return null;
+	}
+	
+	var t = ((line.p1.x - this.p1.x) * dy2 - (line.p1.y - this.p1.y) * dx2) / det;
+	
+	return new Coord2D(this.p1.x + t * dx1, this.p1.y + t * dy1);
+};
+
 Line.prototype.getLength = function() {
 	return this.p1.distanceTo(this.p2);
 };
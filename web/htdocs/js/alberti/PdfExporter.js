@@ -0,0 +1,542 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * PdfExporter.js
+ * 
+ * Exports the visible layers of an Alberti document as a vector PDF at a 
+ * physical scale, so that printed layouts can be measured. Shapes are drawn
+ * as strokes in their layer's color: lines and Beziers exactly, and circles,
+ * ellipses and arcs as cubic Bezier curves. The drawing is cropped to the 
+ * document's export bounds (see AlbertiDocument::getExportBounds).
+ * 
+ * Drawings larger than the chosen page may be tiled across several pages.
+ * Adjacent tiles overlap by a given amount, and registration marks placed in
+ * the overlapping bands allow the printed pages to be aligned and taped 
+ * together. Each tile is labelled with its row and column in the page margin.
+ * 
+ * USAGE
+ * 
+ * The constructor expects a reference to an AlbertiDocument. 
+ * PdfExporter::exportPdf returns the PDF data as a string, given an options 
+ * object with the following properties:
+ * 
+ *    scale - Physical length of one workspace unit, in the given units.
+ * 
+ *    units - Units of scale, margin and overlap: "in" or "mm".
+ * 
+ *    useFrameSize - If true, and the document's export frame has a physical
+ *    size, the scale is instead derived from the frame, so that the frame 
+ *    prints at its physical size.
+ * 
+ *    pageSize - Key of an ExportFrame preset with physical units (e.g. 
+ *    "letter"), or PdfExporter.fitPage for a single page fitted to the 
+ *    drawing.
+ * 
+ *    landscape - If true, the page's width and height are swapped.
+ * 
+ *    margin - Blank border left around each page.
+ * 
+ *    tile - If true, drawings larger than the page are tiled across several
+ *    pages. Otherwise the drawing must fit on a single page.
+ * 
+ *    overlap - Amount by which adjacent tiles overlap.
+ * 
+ *    registrationMarks - If true, registration marks are drawn on tiled 
+ *    pages.
+ * 
+ *    includeConstruction - If true, visible construction layers (see 
+ *    Layer::setConstruction) are exported as well. Construction lines are 
+ *    cropped to the export bounds.
+ * 
+ * NOTES
+ * 
+ * The PDF is written uncompressed, using only ASCII characters, so that byte
+ * offsets in the cross-reference table equal string offsets. The drawing is 
+ * stored once as a form XObject, which each page draws at a different offset.
+ * 
+ * * */
+
+PdfExporter.pointsPerInch = 72;
+PdfExporter.fitPage = "fit";                  // Page size option for a single page fitted to the drawing
+PdfExporter.maxPages = 100;                   // Maximum number of tiled pages
+PdfExporter.precision = 3;                    // Number of decimals written for coordinates
+
+// Size of registration marks and page labels, in points
+PdfExporter.markRadius = 6;
+PdfExporter.markLineWidth = 0.25;
+PdfExporter.labelFontSize = 7;
+
+function PdfExporter(albertiDoc) {
+	this.doc = albertiDoc;
+	this.bounds = null;                       // Exported region of the workspace (Rect2D)
+	this.scale = 1;                           // Points per workspace unit
+	this.includeConstruction = false;         // Export construction layers
+}
+
+// Returns the document as PDF data, laid out according to the given options
+PdfExporter.prototype.exportPdf = function(options) {
+	var frame = this.doc.layerManager.exportFrame;
+	
+	this.includeConstruction = options.includeConstruction ? true : false;
+	this.bounds = this.doc.getExportBounds(this.includeConstruction);
+	this.scale = PdfExporter.pointsPerInch * ((options.useFrameSize && frame && frame.hasPhysicalSize()) ?
+		frame.getInchesPerUnit() : options.scale * ExportFrame.inchesPerUnit[options.units]);
+	
+	var width = (this.bounds.right - this.bounds.left) * this.scale;
+	var height = (this.bounds.bottom - this.bounds.top) * this.scale;
+	
+	Util.assert(width > 0 && height > 0, "There is nothing to export. Draw some shapes in a visible layer first.");
+	
+	var layout = PdfExporter.getLayout(width, height, options);
+	var numPages = layout.rows * layout.columns;
+	var marks = (options.registrationMarks && numPages > 1) ? PdfExporter.getRegistrationMarks(layout) : [];
+	
+	// Objects 1-5 are the catalog, page tree, font, drawing and document 
+	// information. Each page is followed by its content stream.
+	var objects = [];
+	var kids = [];
+	
+	for (var row = 0; row < layout.rows; row++) {
+		for (var column = 0; column < layout.columns; column++) {
+			var pageNumber = objects.length / 2 + 1;
+			var label = numPages > 1 ? "Page "+pageNumber+" of "+numPages+" (row "+(row + 1)+", column "+(column + 1)+")" : null;
+			
+			kids.push((6 + objects.length)+" 0 R");
+			objects.push(
+				"<< /Type /Page /Parent 2 0 R"
+				+" /MediaBox [0 0 "+PdfExporter.formatNumber(layout.pageWidth)+" "+PdfExporter.formatNumber(layout.pageHeight)+"]"
+				+" /Resources << /XObject << /Drawing 4 0 R >> /Font << /F1 3 0 R >> >>"
+				+" /Contents "+(7 + objects.length)+" 0 R >>",
+				PdfExporter.stream("", PdfExporter.getPageContent(layout, row, column, height, marks, label))
+			);
+		}
+	}
+	
+	var title = this.doc.filename ? this.doc.filename : Alberti.defaultFilename;
+	
+	return PdfExporter.assemble([
+		"<< /Type /Catalog /Pages 2 0 R >>",
+		"<< /Type /Pages /Kids ["+kids.join(" ")+"] /Count "+numPages+" >>",
+		"<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+		PdfExporter.stream(
+			"/Type /XObject /Subtype /Form /BBox [0 0 "+PdfExporter.formatNumber(width)+" "+PdfExporter.formatNumber(height)+"]",
+			this.getDrawingContent()
+		),
+		"<< /Title "+PdfExporter.textString(title)+" /Producer "+PdfExporter.textString("Alberti "+Alberti.version)+" >>"
+	].concat(objects), 5);
+};
+
+// Returns the content stream of the drawing, in points with the origin at 
+// the bottom-left corner of the exported region
+PdfExporter.prototype.getDrawingContent = function() {
+	var layers = this.doc.layerManager.layers;
+	var pointsPerPixel = PdfExporter.pointsPerInch / RasterExporter.screenDpi;
+	
+	// Lines keep the physical weight they have on screen
+	var ops = [PdfExporter.formatNumber(Alberti.defaultLineWidth * pointsPerPixel)+" w 1 J 1 j"];
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		if (layers[i].isHidden() || layers[i].shapes.length == 0 || (layers[i].isConstruction() && !this.includeConstruction)) {
+			continue;
+		}
+		
+		var rgb = Util.hexToRgb(layers[i].color) || [0, 0, 0];
+		var paths = [];
+		var markers = [];
+		
+		ops.push(rgb.map(function(c) {
+			return PdfExporter.formatNumber(c / 255);
+		}).join(" ")+" RG");
+		
+		for (var j = 0, numShapes = layers[i].shapes.length; j < numShapes; j++) {
+			var shape = layers[i].shapes[j];
+			
+			if (shape.shapeName == Point.shapeName) {
+				markers.push(shape.coord);
+			} else {
+				paths.push(this.getShapePath(shape));
+			}
+		}
+		
+		if (paths.length > 0) {
+			ops.push(paths.join("\n")+"\nS");
+		}
+		
+		// Draw markers like the point template: a ring in the layer color 
+		// around a black dot, at their on-screen size
+		if (markers.length > 0) {
+			var toDrawing = this.toDrawing.bindTo(this);
+			
+			ops.push("q "+PdfExporter.formatNumber(1.5 * pointsPerPixel)+" w 0 g");
+			
+			for (var k = 0; k < markers.length; k++) {
+				ops.push(PdfExporter.getArcPath(markers[k], 3 * pointsPerPixel / this.scale, 3 * pointsPerPixel / this.scale, 0, 0, twoPi, toDrawing));
+			}
+			
+			ops.push("S");
+			
+			for (var k = 0; k < markers.length; k++) {
+				ops.push(PdfExporter.getArcPath(markers[k], pointsPerPixel / this.scale, pointsPerPixel / this.scale, 0, 0, twoPi, toDrawing));
+			}
+			
+			ops.push("f Q");
+		}
+	}
+	
+	return ops.join("\n");
+};
+
+// Returns path construction operators describing the given shape
+PdfExporter.prototype.getShapePath = function(shape) {
+	var toDrawing = this.toDrawing.bindTo(this);
+	
+	switch (shape.shapeName) {
+		case Line.shapeName:
+			return PdfExporter.formatCoord(this.toDrawing(shape.p1))+" m "+PdfExporter.formatCoord(this.toDrawing(shape.p2))+" l";
+		
+		case ConstructionLine.shapeName:
+			var l = shape.getClippedLine(this.bounds);
+			
+			return l ? this.getShapePath(l) : "";
+		
+		case Bezier.shapeName:
+			// Elevate the quadratic curve to a cubic one
+			var c1 = new Coord2D(shape.p1.x + 2/3 * (shape.p2.x - shape.p1.x), shape.p1.y + 2/3 * (shape.p2.y - shape.p1.y));
+			var c2 = new Coord2D(shape.p3.x + 2/3 * (shape.p2.x - shape.p3.x), shape.p3.y + 2/3 * (shape.p2.y - shape.p3.y));
+			
+			return PdfExporter.formatCoord(this.toDrawing(shape.p1))+" m "
+				+[c1, c2, shape.p3].map(function(p) {
+					return PdfExporter.formatCoord(toDrawing(p));
+				}).join(" ")+" c";
+		
+		case CubicBezier.shapeName:
+			return PdfExporter.formatCoord(this.toDrawing(shape.p1))+" m "
+				+[shape.p2, shape.p3, shape.p4].map(function(p) {
+					return PdfExporter.formatCoord(toDrawing(p));
+				}).join(" ")+" c";
+		
+		case Circle.shapeName:
+			return PdfExporter.getArcPath(shape.center, shape.radius, shape.radius, 0, 0, twoPi, toDrawing);
+		
+		case CircleArc.shapeName:
+			// Polar and parametric angles coincide on circles
+			return PdfExporter.getArcPath(shape.center, shape.radius, shape.radius, 0, shape.sa, shape.da, toDrawing);
+		
+		case Ellipse.shapeName:
+			return PdfExporter.getArcPath(shape.center, shape.rx, shape.ry, shape.xrot, 0, twoPi, toDrawing);
+		
+		case EllipticalArc.shapeName:
+			var t1 = PdfExporter.getEllipseParameter(shape, shape.sa);
+			var dt = PdfExporter.getEllipseParameter(shape, shape.sa + shape.da) - t1;
+			
+			// Match the direction and extent of the polar delta angle
+			if (Math.abs(shape.da) >= twoPi) {
+				dt = Util.sign(shape.da) * twoPi;
+			} else if (shape.da > 0 && dt <= 0) {
+				dt += twoPi;
+			} else if (shape.da < 0 && dt >= 0) {
+				dt -= twoPi;
+			}
+			
+			return PdfExporter.getArcPath(shape.center, shape.rx, shape.ry, shape.xrot, t1, dt, toDrawing);
+		
+		default:
+			return "";
+	}
+};
+
+// Convert a workspace coordinate to drawing coordinates, whose y-axis points
+// up
+PdfExporter.prototype.toDrawing = function(coord) {
+	return new Coord2D((coord.x - this.bounds.left) * this.scale, (this.bounds.bottom - coord.y) * this.scale);
+};
+
+// Returns an object describing the page size and the grid of tiles the
+// drawing is split into. All lengths are in points. Tiles are 'stepX' and 
+// 'stepY' apart in the drawing, and each one fills the printable area of a
+// page. A drawing that fits on one page is centered on it.
+PdfExporter.getLayout = function(width, height, options) {
+	var pointsPerUnit = PdfExporter.pointsPerInch * ExportFrame.inchesPerUnit[options.units];
+	var margin = options.margin * pointsPerUnit;
+	var overlap = options.tile ? options.overlap * pointsPerUnit : 0;
+	
+	var layout = {
+		pageWidth: width + 2 * margin,
+		pageHeight: height + 2 * margin,
+		margin: margin,
+		areaWidth: width,                   // Printable area of each page
+		areaHeight: height,
+		rows: 1,
+		columns: 1,
+		stepX: 0,
+		stepY: 0,
+		offsetX: margin,                    // Position of a single page's drawing on the page
+		offsetY: margin
+	};
+	
+	if (options.pageSize == PdfExporter.fitPage) {
+		return layout;
+	}
+	
+	var preset = ExportFrame.presets[options.pageSize];
+	
+	Util.assert(preset && preset.units, "Unrecognized page size '"+options.pageSize+"' passed to PdfExporter::exportPdf.");
+	
+	var pagePointsPerUnit = PdfExporter.pointsPerInch * ExportFrame.inchesPerUnit[preset.units];
+	layout.pageWidth = (options.landscape ? preset.height : preset.width) * pagePointsPerUnit;
+	layout.pageHeight = (options.landscape ? preset.width : preset.height) * pagePointsPerUnit;
+	layout.areaWidth = layout.pageWidth - 2 * margin;
+	layout.areaHeight = layout.pageHeight - 2 * margin;
+	
+	Util.assert(layout.areaWidth > overlap && layout.areaHeight > overlap,
+		"The margins and overlap leave no room for the drawing on a "+preset.label+" page."
+	);
+	
+	// Allow for rounding error when the drawing exactly fills the page
+	var tolerance = Math.pow(10, -PdfExporter.precision);
+	
+	if (width <= layout.areaWidth + tolerance && height <= layout.areaHeight + tolerance) {
+		layout.offsetX = (layout.pageWidth - width) / 2;
+		layout.offsetY = (layout.pageHeight - height) / 2;
+		
+		return layout;
+	}
+	
+	Util.assert(options.tile,
+		"At this scale the drawing measures "+Util.roundToDecimal(width / pointsPerUnit, 2)+" x "
+		+Util.roundToDecimal(height / pointsPerUnit, 2)+" "+options.units+", which does not fit on a single "
+		+preset.label+" page. Enable tiling, or choose a larger page or a smaller scale."
+	);
+	
+	layout.stepX = layout.areaWidth - overlap;
+	layout.stepY = layout.areaHeight - overlap;
+	layout.columns = Math.max(Math.ceil((width - overlap) / layout.stepX - tolerance), 1);
+	layout.rows = Math.max(Math.ceil((height - overlap) / layout.stepY - tolerance), 1);
+	
+	Util.assert(layout.rows * layout.columns <= PdfExporter.maxPages,
+		"Tiling the drawing at this scale would take "+(layout.rows * layout.columns)+" pages, which exceeds the maximum of "
+		+PdfExporter.maxPages+". Please choose a smaller scale or a larger page."
+	);
+	
+	return layout;
+};
+
+// Returns the positions of the registration marks of a tiled layout, in 
+// points from the top-left corner of the drawing. Marks are placed in the 
+// middle of the bands where adjacent tiles overlap, so that each mark is 
+// printed on every page it needs to be aligned with.
+PdfExporter.getRegistrationMarks = function(layout) {
+	var bandsX = [], bandsY = [], centersX = [], centersY = [];
+	var overlapX = layout.areaWidth - layout.stepX;
+	var overlapY = layout.areaHeight - layout.stepY;
+	var marks = [];
+	
+	for (var column = 0; column < layout.columns; column++) {
+		centersX.push(column * layout.stepX + layout.areaWidth / 2);
+		
+		if (column < layout.columns - 1) {
+			bandsX.push(column * layout.stepX + layout.areaWidth - overlapX / 2);
+		}
+	}
+	
+	for (var row = 0; row < layout.rows; row++) {
+		centersY.push(row * layout.stepY + layout.areaHeight / 2);
+		
+		if (row < layout.rows - 1) {
+			bandsY.push(row * layout.stepY + layout.areaHeight - overlapY / 2);
+		}
+	}
+	
+	// Mark the middle of each tile's edges, and the corners where four tiles meet
+	bandsX.forEach(function(x) {
+		centersY.concat(bandsY).forEach(function(y) {
+			marks.push(new Coord2D(x, y));
+		});
+	});
+	
+	bandsY.forEach(function(y) {
+		centersX.forEach(function(x) {
+			marks.push(new Coord2D(x, y));
+		});
+	});
+	
+	return marks;
+};
+
+// Returns the content stream of the page showing the tile at the given row
+// and column
+PdfExporter.getPageContent = function(layout, row, column, height, marks, label) {
+	var ops = [];
+	
+	if (layout.rows * layout.columns == 1) {
+		ops.push("q 1 0 0 1 "+PdfExporter.formatNumber(layout.offsetX)+" "+PdfExporter.formatNumber(layout.offsetY)+" cm /Drawing Do Q");
+	} else {
+		var left = column * layout.stepX;                  // Top-left corner of the tile in the drawing, from the top
+		var top = row * layout.stepY;
+		
+		// Clip to the printable area, and shift the tile into it
+		ops.push("q "+[layout.margin, layout.margin, layout.areaWidth, layout.areaHeight].map(PdfExporter.formatNumber).join(" ")+" re W n");
+		ops.push("1 0 0 1 "+PdfExporter.formatNumber(layout.margin - left)+" "+PdfExporter.formatNumber(layout.margin + layout.areaHeight - height + top)+" cm /Drawing Do Q");
+		
+		// Registration marks within the tile, each a circle with cross hairs
+		var pageMarks = marks.filter(function(mark) {
+			return Util.between(mark.x, left, left + layout.areaWidth) && Util.between(mark.y, top, top + layout.areaHeight);
+		});
+		
+		if (pageMarks.length > 0) {
+			var r = PdfExporter.markRadius;
+			
+			ops.push("q "+PdfExporter.formatNumber(PdfExporter.markLineWidth)+" w 0 G");
+			
+			for (var i = 0; i < pageMarks.length; i++) {
+				var center = new Coord2D(layout.margin + pageMarks[i].x - left, layout.margin + layout.areaHeight - (pageMarks[i].y - top));
+				
+				ops.push(PdfExporter.getArcPath(center, r, r, 0, 0, twoPi));
+				ops.push(
+					PdfExporter.formatCoord(new Coord2D(center.x - 1.5 * r, center.y))+" m "+PdfExporter.formatCoord(new Coord2D(center.x + 1.5 * r, center.y))+" l "
+					+PdfExporter.formatCoord(new Coord2D(center.x, center.y - 1.5 * r))+" m "+PdfExporter.formatCoord(new Coord2D(center.x, center.y + 1.5 * r))+" l"
+				);
+			}
+			
+			ops.push("S Q");
+		}
+	}
+	
+	// Label the page in the bottom margin, if there is room
+	if (label && layout.margin >= PdfExporter.labelFontSize) {
+		ops.push("BT /F1 "+PdfExporter.labelFontSize+" Tf "
+			+PdfExporter.formatNumber(layout.margin)+" "+PdfExporter.formatNumber((layout.margin - PdfExporter.labelFontSize) / 2)+" Td "
+			+PdfExporter.textString(label)+" Tj ET"
+		);
+	}
+	
+	return ops.join("\n");
+};
+
+// Returns path construction operators approximating the elliptical arc with
+// the given center, radii and x-axis rotation, from parametric angle t1 
+// through parametric delta angle dt, with cubic Bezier curves. 'transform' is
+// an optional function mapping each Coord2D to output coordinates.
+PdfExporter.getArcPath = function(center, rx, ry, xrot, t1, dt, transform) {
+	transform = transform ? transform : function(p) {return p;};
+	
+	// Each curve spans at most a quarter turn
+	var n = Math.max(Math.ceil(Math.abs(dt) / halfPi - 1e-9), 1);
+	var step = dt / n;
+	var k = 4 / 3 * tan(step / 4);
+	
+	var point = function(t) {
+		return EllipticalShape.getParametricPoint(center, rx, ry, xrot, t);
+	};
+	
+	// Derivative of the ellipse with respect to t, scaled by k
+	var tangent = function(t) {
+		return new Coord2D(
+			k * (-rx * sin(t) * cos(xrot) - ry * cos(t) * sin(xrot)),
+			k * (-rx * sin(t) * sin(xrot) + ry * cos(t) * cos(xrot))
+		);
+	};
+	
+	var ops = [PdfExporter.formatCoord(transform(point(t1)))+" m"];
+	
+	for (var i = 0; i < n; i++) {
+		var a = t1 + i * step;
+		var b = a + step;
+		var pa = point(a), pb = point(b), ta = tangent(a), tb = tangent(b);
+		
+		ops.push([
+			new Coord2D(pa.x + ta.x, pa.y + ta.y),
+			new Coord2D(pb.x - tb.x, pb.y - tb.y),
+			pb
+		].map(function(p) {
+			return PdfExporter.formatCoord(transform(p));
+		}).join(" ")+" c");
+	}
+	
+	return ops.join(" ");
+};
+
+// Returns the parametric angle of the point at polar angle 'a' on the given
+// EllipticalShape
+PdfExporter.getEllipseParameter = function(shape, a) {
+	var p = shape.getPointGivenAngle(a);
+	var dx = p.x - shape.center.x;
+	var dy = p.y - shape.center.y;
+	
+	return Math.atan2((-dx * sin(shape.xrot) + dy * cos(shape.xrot)) / shape.ry, (dx * cos(shape.xrot) + dy * sin(shape.xrot)) / shape.rx);
+};
+
+PdfExporter.formatNumber = function(x) {
+	// Avoid writing negative zero
+	return String(Util.roundToDecimal(x, PdfExporter.precision) + 0);
+};
+
+PdfExporter.formatCoord = function(p) {
+	return PdfExporter.formatNumber(p.x)+" "+PdfExporter.formatNumber(p.y);
+};
+
+// Returns a stream object with the given dictionary entries and data
+PdfExporter.stream = function(entries, data) {
+	return "<< "+(entries ? entries+" " : "")+"/Length "+data.length+" >>\nstream\n"+data+"\nendstream";
+};
+
+// Returns the given string as a PDF text string. Strings containing 
+// characters outside of printable ASCII are written as UTF-16 in hex form.
+PdfExporter.textString = function(s) {
+	if (/^[\x20-\x7e]*$/.test(s)) {
+		return "("+s.replace(/[\\()]/g, "\\$&")+")";
+	}
+	
+	var hex = "<FEFF";
+	
+	for (var i = 0, len = s.length; i < len; i++) {
+		hex += ("000"+s.charCodeAt(i).toString(16).toUpperCase()).slice(-4);
+	}
+	
+	return hex+">";
+};
+
+// Returns a complete PDF file containing the given objects, numbered from 1.
+// 'infoObject' is the number of the document information object.
+PdfExporter.assemble = function(objects, infoObject) {
+	var chunks = ["%PDF-1.4\n"];
+	var offsets = [];
+	var length = chunks[0].length;
+	
+	for (var i = 0, len = objects.length; i < len; i++) {
+		var chunk = (i + 1)+" 0 obj\n"+objects[i]+"\nendobj\n";
+		
+		offsets.push(length);
+		chunks.push(chunk);
+		length += chunk.length;
+	}
+	
+	// Each cross-reference entry is exactly 20 bytes long
+	var xref = "xref\n0 "+(objects.length + 1)+"\n0000000000 65535 f \n";
+	
+	for (var i = 0, len = offsets.length; i < len; i++) {
+		xref += ("000000000"+offsets[i]).slice(-10)+" 00000 n \n";
+	}
+	
+	chunks.push(xref);
+	chunks.push("trailer\n<< /Size "+(objects.length + 1)+" /Root 1 0 R /Info "+infoObject+" 0 R >>\nstartxref\n"+length+"\n%%EOF\n");
+	
+	return chunks.join("");
+};
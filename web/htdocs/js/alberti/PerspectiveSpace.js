@@ -0,0 +1,299 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * PerspectiveSpace.js
+ * 
+ * The geometry of a perspective drawing: its vanishing points, the center of
+ * vision (where the viewer's line of sight pierces the picture plane), the 
+ * viewing distance (from the viewer's eye to the picture plane, in workspace
+ * units) and the angle of the horizon line, which passes through the first 
+ * vanishing point. In one- and two-point perspective, the horizon also passes
+ * through the center of vision; in three-point perspective, the center of 
+ * vision is the orthocenter of the triangle of vanishing points.
+ * 
+ * The station point, i.e. the viewer's eye, lies off the picture plane. As in
+ * a traditional plan-view construction, it is rotated into the picture plane
+ * about the horizon, landing below the horizon on the perpendicular through 
+ * the center of vision.
+ * 
+ * USAGE
+ * 
+ * A document's perspective space is created by one of the perspective tools
+ * (see ToolPerspective.js) and stored by the LayerManager, so that other 
+ * tools can make use of its vanishing points. Use 
+ * PerspectiveSpace.fromOneVanishingPoint, 
+ * PerspectiveSpace.fromTwoVanishingPoints and 
+ * PerspectiveSpace.fromThreeVanishingPoints to construct one-, two- and 
+ * three-point spaces.
+ * 
+ * PerspectiveSpace::asXML and PerspectiveSpace.fromNode serialize and 
+ * deserialize the space as an SVG metadata element, so that it can be saved
+ * with Alberti documents.
+ * 
+ * * */
+
+PerspectiveSpace.nodeId = "perspectivespace";
+
+// Apex angle of the cone of vision, within which a perspective drawing shows
+// little distortion
+PerspectiveSpace.coneOfVisionAngle = halfPi;
+
+// Number of principal directions, i.e. axes, of a perspective space
+PerspectiveSpace.numPrincipalDirections = 3;
+
+// Minimum distance of the center of vision from a vanishing point, as a 
+// fraction of the distance between the vanishing points
+PerspectiveSpace.minVanishingPointOffset = 0.01;
+
+// Returns true if the triangle with vertices a, b and c is acute, i.e. each 
+// of its angles is less than 90 degrees
+PerspectiveSpace.isAcuteTriangle = function(a, b, c) {
+	var vertices = [a, b, c];
+	
+	for (var i = 0; i < 3; i++) {
+		var p = vertices[i], q = vertices[(i + 1) % 3], r = vertices[(i + 2) % 3];
+		
+		if ((q.x - p.x) * (r.x - p.x) + (q.y - p.y) * (r.y - p.y) <= 0) {
+			return false;
+		}
+	}
+	
+	return true;
+};
+
+// Returns the orthocenter of the triangle with vertices a, b and c, where its
+// altitudes meet
+PerspectiveSpace.getOrthocenter = function(a, b, c) {
+	// The orthocenter H satisfies (H - a).(b - c) = 0 and (H - b).(a - c) = 0
+	var m11 = b.x - c.x, m12 = b.y - c.y, k1 = m11 * a.x + m12 * a.y;
+	var m21 = a.x - c.x, m22 = a.y - c.y, k2 = m21 * b.x + m22 * b.y;
+	var det = m11 * m22 - m12 * m21;
+	
+	return new Coord2D((k1 * m22 - m12 * k2) / det, (m11 * k2 - k1 * m21) / det);
+};
+
+function PerspectiveSpace() {
+	this.vanishingPoints = [];
+	this.centerOfVision = new Coord2D(0, 0);
+	this.viewingDistance = 0;
+	this.horizonAngle = 0;                        // Polar angle of the horizon line
+}
+
+// Returns the number of vanishing points, i.e. 1, 2 or 3 for one-, two- or
+// three-point perspective
+PerspectiveSpace.prototype.getType = function() {
+	return this.vanishingPoints.length;
+};
+
+// Returns a unit vector pointing along the horizon line
+PerspectiveSpace.prototype.getHorizonDirection = function() {
+	return new Coord2D(cos(this.horizonAngle), sin(this.horizonAngle));
+};
+
+// Returns a unit vector perpendicular to the horizon line, pointing down
+// (toward the station point)
+PerspectiveSpace.prototype.getVerticalDirection = function() {
+	return new Coord2D(-sin(this.horizonAngle), cos(this.horizonAngle));
+};
+
+// Returns the point of the horizon line nearest the center of vision
+PerspectiveSpace.prototype.getHorizonFoot = function() {
+	var vp = this.vanishingPoints[0];
+	var h = this.getHorizonDirection();
+	var t = (this.centerOfVision.x - vp.x) * h.x + (this.centerOfVision.y - vp.y) * h.y;
+	
+	return new Coord2D(vp.x + t * h.x, vp.y + t * h.y);
+};
+
+// Returns the station point, rotated into the picture plane about the horizon
+PerspectiveSpace.prototype.getStationPoint = function() {
+	var foot = this.getHorizonFoot();
+	var v = this.getVerticalDirection();
+	
+	// Distance from the station point to the horizon line
+	var offset = this.centerOfVision.distanceTo(foot);
+	var distance = Math.sqrt(this.viewingDistance * this.viewingDistance + offset * offset);
+	
+	return new Coord2D(foot.x + distance * v.x, foot.y + distance * v.y);
+};
+
+// Returns the radius of the cone of vision, centered on the center of vision
+PerspectiveSpace.prototype.getConeOfVisionRadius = function() {
+	return this.viewingDistance * tan(PerspectiveSpace.coneOfVisionAngle / 2);
+};
+
+// Returns the two distance points, which lie on the horizon at the viewing 
+// distance from the center of vision. Lines receding at 45 degrees to the 
+// picture plane converge at the distance points.
+PerspectiveSpace.prototype.getDistancePoints = function() {
+	var cv = this.centerOfVision;
+	var h = this.getHorizonDirection();
+	var d = this.viewingDistance;
+	
+	return [
+		new Coord2D(cv.x - d * h.x, cv.y - d * h.y),
+		new Coord2D(cv.x + d * h.x, cv.y + d * h.y)
+	];
+};
+
+// Returns a Line from 'p' along the i'th of the space's three principal 
+// directions (0 <= i < PerspectiveSpace.numPrincipalDirections). Each 
+// vanishing point accounts for one, and axes parallel to the picture plane 
+// remain parallel in the picture: the vertical in one- and two-point 
+// perspective, and the horizontal in one-point perspective. The line ends at
+// the vanishing point if there is one, otherwise it has unit length. Returns
+// null if 'p' is the vanishing point.
+PerspectiveSpace.prototype.getPrincipalLine = function(p, i) {
+	var vps = this.vanishingPoints;
+	
+	if (i < vps.length) {
+		return p.isEqual(vps[i]) ? null : Line.fromPoints(p, vps[i]);
+	}
+	
+	var dir = (i == vps.length) ? this.getVerticalDirection() : this.getHorizonDirection();
+	
+	return Line.fromPoints(p, new Coord2D(p.x + dir.x, p.y + dir.y));
+};
+
+// Set the horizon angle to the given polar angle, flipping it if necessary so
+// that the horizon points to the right and the station point lies below it.
+PerspectiveSpace.prototype.setHorizonAngle = function(a) {
+	a = Util.angleRelativeTo(a, 0);
+	
+	if (a > halfPi && a <= threeHalfPi) {
+		a -= pi;
+	}
+	
+	this.horizonAngle = a;
+};
+
+PerspectiveSpace.prototype.clone = function() {
+	var s = new PerspectiveSpace();
+	
+	for (var i = 0, len = this.vanishingPoints.length; i < len; i++) {
+		s.vanishingPoints.push(this.vanishingPoints[i].clone());
+	}
+	
+	s.centerOfVision = this.centerOfVision.clone();
+	s.viewingDistance = this.viewingDistance;
+	s.horizonAngle = this.horizonAngle;
+	
+	return s;
+};
+
+// Returns the space as an SVG metadata element string
+PerspectiveSpace.prototype.asXML = function() {
+	var vps = [];
+	
+	for (var i = 0, len = this.vanishingPoints.length; i < len; i++) {
+		vps.push(this.vanishingPoints[i].x, this.vanishingPoints[i].y);
+	}
+	
+	return '<metadata id="'+PerspectiveSpace.nodeId+'" '
+		+'berti:vps="'+vps.join(" ")+'" '
+		+'berti:cvx="'+this.centerOfVision.x+'" berti:cvy="'+this.centerOfVision.y+'" '
+		+'berti:distance="'+this.viewingDistance+'" berti:horizon="'+this.horizonAngle+'"/>';
+};
+
+// Returns a new PerspectiveSpace from an SVG metadata element created by
+// PerspectiveSpace::asXML.
+PerspectiveSpace.fromNode = function(node) {
+	var s = new PerspectiveSpace();
+	var vps = node.getAttributeNS(Alberti.customns, "vps").split(" ");
+	
+	Util.assert(vps.length >= 2 && vps.length % 2 == 0, "PerspectiveSpace.fromNode encountered malformed vanishing points.");
+	
+	for (var i = 0, len = vps.length; i < len; i += 2) {
+		s.vanishingPoints.push(new Coord2D(parseFloat(vps[i]), parseFloat(vps[i + 1])));
+	}
+	
+	s.centerOfVision = new Coord2D(
+		parseFloat(node.getAttributeNS(Alberti.customns, "cvx")),
+		parseFloat(node.getAttributeNS(Alberti.customns, "cvy"))
+	);
+	s.viewingDistance = parseFloat(node.getAttributeNS(Alberti.customns, "distance"));
+	s.horizonAngle = parseFloat(node.getAttributeNS(Alberti.customns, "horizon"));
+	
+	return s;
+};
+
+// Returns a one-point perspective space whose vanishing point 'vp' is also 
+// the center of vision, and whose horizon passes through the distance point
+// 'dp'
+PerspectiveSpace.fromOneVanishingPoint = function(vp, dp) {
+	var s = new PerspectiveSpace();
+	
+	Util.assert(!vp.isEqual(dp), "Coincident points passed to PerspectiveSpace.fromOneVanishingPoint.");
+	
+	s.vanishingPoints = [vp.clone()];
+	s.centerOfVision = vp.clone();
+	s.viewingDistance = vp.distanceTo(dp);
+	s.setHorizonAngle(vp.angleTo(dp));
+	
+	return s;
+};
+
+// Returns a two-point perspective space with vanishing points 'vp1' and 
+// 'vp2', and the center of vision nearest the given coordinate. The center 
+// of vision lies on the horizon, strictly between the vanishing points. Since
+// lines of sight toward the two vanishing points meet at a right angle, the 
+// station point lies on the circle whose diameter joins the vanishing points.
+PerspectiveSpace.fromTwoVanishingPoints = function(vp1, vp2, coord) {
+	var s = new PerspectiveSpace();
+	var dx = vp2.x - vp1.x;
+	var dy = vp2.y - vp1.y;
+	var lengthSquared = dx*dx + dy*dy;
+	
+	Util.assert(lengthSquared > 0, "Coincident vanishing points passed to PerspectiveSpace.fromTwoVanishingPoints.");
+	
+	// Parameter of the projection of 'coord' onto the horizon, kept clear of 
+	// the vanishing points themselves
+	var t = ((coord.x - vp1.x) * dx + (coord.y - vp1.y) * dy) / lengthSquared;
+	t = Math.min(Math.max(t, PerspectiveSpace.minVanishingPointOffset), 1 - PerspectiveSpace.minVanishingPointOffset);
+	
+	s.vanishingPoints = [vp1.clone(), vp2.clone()];
+	s.centerOfVision = new Coord2D(vp1.x + t * dx, vp1.y + t * dy);
+	s.viewingDistance = Math.sqrt(t * (1 - t) * lengthSquared);
+	s.setHorizonAngle(vp1.angleTo(vp2));
+	
+	return s;
+};
+
+// Returns a three-point perspective space with vanishing points 'vp1' and 
+// 'vp2' on the horizon and vertical vanishing point 'vp3'. The vanishing 
+// points must form an acute triangle. The center of vision is the triangle's 
+// orthocenter, and since lines of sight toward any two vanishing points meet 
+// at a right angle, the viewing distance is the geometric mean of the 
+// segments into which the orthocenter divides each altitude.
+PerspectiveSpace.fromThreeVanishingPoints = function(vp1, vp2, vp3) {
+	Util.assert(PerspectiveSpace.isAcuteTriangle(vp1, vp2, vp3),
+		"The vanishing points of a three-point perspective space must form an acute triangle."
+	);
+	
+	var s = new PerspectiveSpace();
+	var h = PerspectiveSpace.getOrthocenter(vp1, vp2, vp3);
+	
+	s.vanishingPoints = [vp1.clone(), vp2.clone(), vp3.clone()];
+	s.centerOfVision = h;
+	s.viewingDistance = Math.sqrt(-((vp1.x - h.x) * (vp2.x - h.x) + (vp1.y - h.y) * (vp2.y - h.y)));
+	s.setHorizonAngle(vp1.angleTo(vp2));
+	
+	return s;
+};
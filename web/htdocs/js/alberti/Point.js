@@ -90,6 +90,12 @@ Point.prototype.pull = function() {
 	this.outerColor = this.get("stroke");
 };
 
+Point.prototype.transform = function(matrix) {
+	this.coord = matrix.transformPoint(this.coord);
+	
+	return this;
+};
+
 Point.prototype.clone = function() {
 	var p = new Point();
 	p.coord = this.coord.clone();
@@ -107,6 +113,16 @@ Point.prototype.displayDeselected = function() {
 	this.set("xlink:href", "#"+Point.templateId, Alberti.xlinkns);
 };
 
+Point.prototype.getHandles = function() {
+	return [this.coord.clone()];
+};
+
+Point.prototype.moveHandle = function(index, coord) {
+	this.coord = coord.clone();
+	
+	return this;
+};
+
 // Returns a tiny Rect2D enclosing the point
 Point.prototype.getBoundingBox = function() {
 	return new Rect2D(this.coord.x - 0.1, this.coord.y - 0.1, this.coord.x + 0.1, this.coord.y + 0.1);
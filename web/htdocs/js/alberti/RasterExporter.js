@@ -0,0 +1,210 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * RasterExporter.js
+ * 
+ * Rasterizes the visible layers of an Alberti document into a PNG image. The
+ * image is cropped to the document's export bounds (see 
+ * AlbertiDocument::getExportBounds).
+ * 
+ * USAGE
+ * 
+ * The constructor expects a reference to an AlbertiDocument. Call
+ * RasterExporter::exportPng, passing an options object along with a 
+ * controller object and the name of its handler method. The options object 
+ * supports the following properties:
+ * 
+ *    scale - Output pixels per workspace unit (1 reproduces the workspace 
+ *    at 100% magnification).
+ * 
+ *    useFrameSize - If true, and the document's export frame has a physical
+ *    size, the scale is instead derived from the frame's size and the dpi
+ *    option, so that the image prints at the frame's physical size.
+ * 
+ *    dpi - Resolution written into the PNG's pHYs chunk. Line widths are 
+ *    scaled by dpi / RasterExporter.screenDpi so that lines keep the same 
+ *    physical weight they have on screen.
+ * 
+ *    includeUnderlay - If true, the underlay image (if visible) is drawn 
+ *    beneath the shapes at its current opacity.
+ * 
+ *    includeConstruction - If true, visible construction layers (see
+ *    Layer::setConstruction) are exported as well.
+ * 
+ * Rasterization is asynchronous, as the browser must first decode the SVG 
+ * image. Once complete, the handler is invoked with the PNG data URL as its 
+ * only argument.
+ * 
+ * NOTES
+ * 
+ * The document is serialized as a standalone SVG image and drawn onto a 
+ * canvas. As the exported image is not subject to Alberti's CSS, layer 
+ * colors are carried by each layer's stroke attribute, and the line width 
+ * normally maintained by AutoScale is written directly to the root node.
+ * 
+ * * */
+
+RasterExporter.screenDpi = 96;                       // Resolution assumed for on-screen rendering
+RasterExporter.maxDimension = 8192;                  // Maximum width or height of exported images (in pixels)
+RasterExporter.backgroundColor = "#ffffff";          // Exported images are drawn over this color
+RasterExporter.inchesPerMeter = 39.3700787;
+
+function RasterExporter(albertiDoc) {
+	this.doc = albertiDoc;
+}
+
+// Rasterize the document with the given options, invoking controller's handler
+// method with the resulting PNG data URL.
+RasterExporter.prototype.exportPng = function(options, controller, handler) {
+	var bounds = this.doc.getExportBounds(options.includeConstruction);
+	var frame = this.doc.layerManager.exportFrame;
+	var scale = (options.useFrameSize && frame && frame.hasPhysicalSize()) ?
+		frame.getInchesPerUnit() * options.dpi : options.scale;
+	var width = Math.ceil((bounds.right - bounds.left) * scale);
+	var height = Math.ceil((bounds.bottom - bounds.top) * scale);
+	
+	Util.assert(width > 0 && height > 0, "There is nothing to export. Draw some shapes in a visible layer first.");
+	
+	Util.assert(width <= RasterExporter.maxDimension && height <= RasterExporter.maxDimension,
+		"The exported image would measure "+width+" x "+height+" pixels, which exceeds the maximum of "
+		+RasterExporter.maxDimension+" pixels per side. Please choose a smaller scale or resolution."
+	);
+	
+	var lineWidth = Alberti.defaultLineWidth * options.dpi / RasterExporter.screenDpi;
+	var svgImage = new Image();
+	
+	svgImage.onload = function() {
+		var canvas = document.createElement("canvas");
+		canvas.width = width;
+		canvas.height = height;
+		
+		var ctx = canvas.getContext("2d");
+		ctx.fillStyle = RasterExporter.backgroundColor;
+		ctx.fillRect(0, 0, width, height);
+		
+		if (options.includeUnderlay && !this.doc.underlayImage.isHidden()) {
+			this.drawUnderlay(ctx, bounds, scale);
+		}
+		
+		ctx.drawImage(svgImage, 0, 0, width, height);
+		
+		var dataUrl = RasterExporter.setPngResolution(canvas.toDataURL("image/png"), options.dpi);
+		controller[handler](dataUrl);
+	}.bindTo(this);
+	
+	svgImage.src = "data:image/svg+xml;base64,"+Util.utf8_to_b64(this.asSvgImage(bounds, width, height, lineWidth / scale, scale, options.includeConstruction));
+};
+
+// Draw the underlay image onto the given 2D context. The underlay image is
+// centered on the workspace origin at one workspace unit per image pixel.
+RasterExporter.prototype.drawUnderlay = function(ctx, bounds, scale) {
+	var rect = this.doc.underlayImage.getWorkspaceRect();
+	
+	ctx.save();
+	ctx.globalAlpha = this.doc.underlayImage.opacity;
+	ctx.drawImage(this.doc.underlayImage.imgNode,
+		(rect.left - bounds.left) * scale, (rect.top - bounds.top) * scale,
+		(rect.right - rect.left) * scale, (rect.bottom - rect.top) * scale
+	);
+	ctx.restore();
+};
+
+// Returns the visible layers of the document as a standalone SVG image
+// covering the given bounds (a Rect2D), rendered at the given pixel size.
+// strokeWidth is given in workspace units, pointScale is the scale of the 
+// Point template. Construction layers are discarded unless 
+// includeConstruction is true.
+RasterExporter.prototype.asSvgImage = function(bounds, width, height, strokeWidth, pointScale, includeConstruction) {
+	var layerManager = this.doc.layerManager;
+	var viewport = ConstructionLine.viewport;
+	
+	layerManager.serializeAll();
+	
+	// Clip construction lines to the exported region rather than the window
+	ConstructionLine.viewport = bounds;
+	layerManager.updateConstructionLines();
+	
+	var workspaceNode = this.doc.workspaceGroup.svgNode.cloneNode(true);
+	var layerNode = Util.firstNonTextChild(workspaceNode);
+	
+	ConstructionLine.viewport = viewport;
+	layerManager.updateConstructionLines();
+	
+	// Discard hidden layers, and construction layers unless included
+	while (layerNode != null) {
+		var nextNode = Util.nextNonTextSibling(layerNode);
+		
+		if (layerNode.getAttributeNS(null, "display") == "none"
+			|| (!includeConstruction && layerNode.getAttributeNS(Alberti.customns, "construction") == "true")) {
+			workspaceNode.removeChild(layerNode);
+		}
+		
+		layerNode = nextNode;
+	}
+	
+	// Points reference a template defined in the main SVG document, so the
+	// template must be copied into the image. Keep points at screen size.
+	var pointTemplate = document.getElementById(Point.templateId).cloneNode(true);
+	pointTemplate.setAttributeNS(null, "transform", "scale("+(1 / pointScale)+")");
+	
+	var chunks = [];
+	
+	chunks[0]  = '<svg\n';
+	chunks[0] += '	width="'+width+'"\n';
+	chunks[0] += '	height="'+height+'"\n';
+	chunks[0] += '	viewBox="'+bounds.left+' '+bounds.top+' '+(bounds.right - bounds.left)+' '+(bounds.bottom - bounds.top)+'"\n';
+	chunks[0] += '	preserveAspectRatio="none"\n';
+	chunks[0] += '	xmlns="http://www.w3.org/2000/svg" version="1.1"\n';
+	chunks[0] += '	xmlns:xlink="http://www.w3.org/1999/xlink"\n';
+	chunks[0] += '	fill="none"\n';
+	chunks[0] += '	stroke-width="'+strokeWidth+'">\n';
+	
+	chunks[1]  = '<defs>';
+	chunks[1] += new XMLSerializer().serializeToString(pointTemplate);
+	chunks[1] += '</defs>\n';
+	
+	chunks[2] = new XMLSerializer().serializeToString(workspaceNode);
+	
+	chunks[3]  = '\n';
+	chunks[3] += '</svg>\n';
+	
+	return chunks.join("");
+};
+
+// Returns the given PNG data URL with a pHYs chunk specifying the given
+// resolution (in dots per inch) inserted after the image header.
+RasterExporter.setPngResolution = function(dataUrl, dpi) {
+	var png = window.atob(dataUrl.substring(dataUrl.indexOf(",") + 1));
+	var ppm = Math.round(dpi * RasterExporter.inchesPerMeter);
+	
+	// Chunk data: pixels per unit along x and y, followed by unit specifier (1 = meter)
+	var chunk = "pHYs" + RasterExporter.uint32(ppm) + RasterExporter.uint32(ppm) + String.fromCharCode(1);
+	chunk = RasterExporter.uint32(9) + chunk + RasterExporter.uint32(Util.crc32(chunk));
+	
+	// The IHDR chunk always comes first: 8-byte signature + 25-byte chunk
+	var headerEnd = 33;
+	
+	return "data:image/png;base64,"+window.btoa(png.substring(0, headerEnd) + chunk + png.substring(headerEnd));
+};
+
+// Returns the given number as a big-endian 32-bit binary string
+RasterExporter.uint32 = function(n) {
+	return String.fromCharCode((n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff);
+};
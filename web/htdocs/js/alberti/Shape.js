@@ -64,6 +64,85 @@ Shape.prototype.displayDeselected = function() {
 	this.set("class", "");
 };
 
+// Overridden method should transform the shape's geometry in place by the
+// given Matrix2D, without calling push. Returns self.
+Shape.prototype.transform = function(matrix) {
+	throw "Un-overriden 'transform' method invoked on Shape "+this.shapeName;
+};
+
+// Returns an array of Coord2Ds at which the shape can be reshaped by dragging
+// (e.g. a line's endpoints). May be overridden; shapes have no handles by 
+// default.
+Shape.prototype.getHandles = function() {
+	return [];
+};
+
+// Overridden method should move the handle with the given index (into the
+// array returned by getHandles) to Coord2D 'coord', reshaping the shape in 
+// place without calling push. Moves that would collapse the shape should be
+// ignored. Returns self.
+Shape.prototype.moveHandle = function(index, coord) {
+	throw "Un-overriden 'moveHandle' method invoked on Shape "+this.shapeName;
+};
+
+// Returns the parameter (0-1) of the point on the shape nearest to Coord2D
+// 'coord', or null if the shape cannot be divided into pieces (see 
+// Shape::getPiece). May be overridden; shapes cannot be divided by default.
+Shape.prototype.getParameter = function(coord) {
+	return null;
+};
+
+// Overridden method should return the Coord2D at parameter t on a shape that
+// can be divided (see Shape::getParameter)
+Shape.prototype.getPointGivenT = function(t) {
+	throw "Un-overriden 'getPointGivenT' method invoked on Shape "+this.shapeName;
+};
+
+// Overridden method should return a new, un-generate()'ed Shape matching the
+// portion of this shape between parameters t0 and t1 (where t0 < t1). On
+// closed shapes, t1 may exceed 1, in which case the piece wraps past the 
+// shape's start.
+Shape.prototype.getPiece = function(t0, t1) {
+	throw "Un-overriden 'getPiece' method invoked on Shape "+this.shapeName;
+};
+
+// Returns true if the shape's ends meet (e.g. a circle), in which case its
+// parameters wrap around from 1 to 0. May be overridden.
+Shape.prototype.isClosed = function() {
+	return false;
+};
+
+// Returns the parameter (0-1) of the point nearest to Coord2D 'coord' on the 
+// given shape's curve, which must implement getPointGivenT. The curve is 
+// sampled in pieces, and the nearest sample refined by ternary search.
+Shape.getNearestParameter = function(shape, coord) {
+	var n = 32;
+	var nearest = 0, minDistance = Infinity;
+	
+	for (var i = 0; i <= n; i++) {
+		var d = shape.getPointGivenT(i / n).distanceTo(coord);
+		
+		if (d < minDistance) {
+			minDistance = d;
+			nearest = i;
+		}
+	}
+	
+	var a = Math.max(nearest - 1, 0) / n, b = Math.min(nearest + 1, n) / n;
+	
+	while (b - a > Alberti.tolerance) {
+		var m1 = a + (b - a) / 3, m2 = b - (b - a) / 3;
+		
+		if (shape.getPointGivenT(m1).distanceTo(coord) < shape.getPointGivenT(m2).distanceTo(coord)) {
+			b = m2;
+		} else {
+			a = m1;
+		}
+	}
+	
+	return (a + b) / 2;
+};
+
 // Overridden method should return new Shape w/ same properties w/o calling generate
 Shape.prototype.clone = function(arguments) {
 	throw "Un-overriden 'clone' method invoked on Shape "+this.shapeName;
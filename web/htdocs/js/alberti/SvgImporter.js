@@ -0,0 +1,570 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * SvgImporter.js
+ * 
+ * Converts plain SVG documents, such as those created by Inkscape or 
+ * Illustrator, into Alberti shapes. Lines, circles, ellipses, rectangles, 
+ * polylines and polygons are converted directly. Path segments become Lines,
+ * CircleArcs, EllipticalArcs, Beziers and CubicBeziers. Transforms are 
+ * applied to the converted shapes.
+ * 
+ * Shapes outside of any group are placed in a single layer, and each group 
+ * containing shapes becomes a layer of its own. Unsupported elements (text, 
+ * images, etc.) are skipped and counted, so that a summary can be presented 
+ * to the user.
+ * 
+ * USAGE
+ * 
+ * Pass the SVG data as a string to the constructor, along with a name for 
+ * the layer holding ungrouped shapes (e.g. the imported file's name). 
+ * SvgImporter::importLayers returns an array of {name, shapes} objects, one 
+ * per layer, in drawing order. Shapes are not generated (see 
+ * SvgObject::generate). Afterward, SvgImporter::getSummary returns a
+ * description of anything that could not be imported.
+ * 
+ * Coordinates are taken from the user space of the root svg element, so one
+ * SVG user unit becomes one workspace unit.
+ * 
+ * * */
+
+SvgImporter.inkscapens = "http://www.inkscape.org/namespaces/inkscape";
+
+// Elements that do not describe visible shapes, and are skipped silently
+SvgImporter.ignoredElements = [
+	"defs", "title", "desc", "metadata", "style", "script", "symbol", "clipPath", "mask", "marker",
+	"pattern", "linearGradient", "radialGradient", "filter"
+];
+
+function SvgImporter(xml, rootLayerName) {
+	var parser = new DOMParser();
+	this.doc = parser.parseFromString(xml, "text/xml");
+	
+	Util.assert(this.doc.documentElement.tagName != "parsererror" && this.doc.documentElement.localName == "svg",
+		"The imported file is not a valid SVG document."
+	);
+	
+	this.rootLayerName = rootLayerName;
+	this.layers = [];
+	this.skipped = {};                    // Counts of skipped elements, by description
+}
+
+SvgImporter.prototype.importLayers = function() {
+	var rootLayer = {name: this.rootLayerName, shapes: []};
+	
+	this.layers = [rootLayer];
+	this.importChildren(this.doc.documentElement, new Matrix2D(), rootLayer);
+	
+	// Discard layers without shapes
+	return this.layers.filter(function(layer) {
+		return layer.shapes.length > 0;
+	});
+};
+
+// Returns a description of skipped content, or an empty string if 
+// everything was imported
+SvgImporter.prototype.getSummary = function() {
+	var lines = [];
+	
+	for (var description in this.skipped) {
+		lines.push("Skipped "+this.skipped[description]+" "+description+".");
+	}
+	
+	return lines.join("\n");
+};
+
+SvgImporter.prototype.skip = function(description) {
+	this.skipped[description] = (this.skipped[description] || 0) + 1;
+};
+
+SvgImporter.prototype.importChildren = function(parentNode, matrix, layer) {
+	for (var node = parentNode.firstChild; node !== null; node = node.nextSibling) {
+		// Elements of other namespaces (e.g. editor metadata) are ignored
+		if (node.nodeType == 1 && node.namespaceURI == Alberti.svgns) {
+			this.importElement(node, matrix, layer);
+		}
+	}
+};
+
+SvgImporter.prototype.importElement = function(node, matrix, layer) {
+	var name = node.localName;
+	
+	if (SvgImporter.ignoredElements.indexOf(name) != -1) {
+		return;
+	}
+	
+	// Hidden groups are skipped as a whole. Invisible groups are not, since 
+	// their children may override the 'visibility' property.
+	if (this.getProperty(node, "display") == "none" || (name != "g" && name != "a" && !this.isVisible(node))) {
+		this.skip("hidden element(s)");
+		return;
+	}
+	
+	var numApproximated = this.numApproximated;
+	
+	try {
+		if (node.hasAttribute("transform")) {
+			matrix = matrix.multiply(Matrix2D.parse(node.getAttribute("transform")));
+		}
+		
+		switch (name) {
+			case "g":
+				// Each group becomes a layer, placed above the layers that precede it
+				var groupLayer = {name: this.getLayerName(node), shapes: []};
+				this.layers.push(groupLayer);
+				this.importChildren(node, matrix, groupLayer);
+				break;
+			
+			case "a":
+				this.importChildren(node, matrix, layer);
+				break;
+			
+			case "line":
+				this.addLine(layer, matrix,
+					new Coord2D(this.getLength(node, "x1"), this.getLength(node, "y1")),
+					new Coord2D(this.getLength(node, "x2"), this.getLength(node, "y2"))
+				);
+				break;
+			
+			case "circle":
+				var r = this.getLength(node, "r");
+				this.addEllipse(layer, matrix, new Coord2D(this.getLength(node, "cx"), this.getLength(node, "cy")), r, r);
+				break;
+			
+			case "ellipse":
+				this.addEllipse(layer, matrix,
+					new Coord2D(this.getLength(node, "cx"), this.getLength(node, "cy")),
+					this.getLength(node, "rx"), this.getLength(node, "ry")
+				);
+				break;
+			
+			case "rect":
+				this.importRect(node, matrix, layer);
+				break;
+			
+			case "polyline":
+			case "polygon":
+				this.importPoly(node, matrix, layer, name == "polygon");
+				break;
+			
+			case "path":
+				// Import into a temporary layer, so that a path with malformed
+				// data is skipped as a whole rather than imported in part
+				var pathLayer = {shapes: []};
+				this.importPath(node.getAttribute("d"), matrix, pathLayer);
+				layer.shapes.push.apply(layer.shapes, pathLayer.shapes);
+				break;
+			
+			default:
+				this.skip(name+" element(s)");
+				break;
+		}
+	} catch (e) {
+		// Skip malformed elements rather than aborting the import
+		this.numApproximated = numApproximated;
+		this.skip("malformed "+name+" element(s)");
+	}
+};
+
+// Returns the value of the given presentation property of the node, which 
+// may be set with an attribute or in the 'style' attribute. The latter takes
+// precedence. Returns null if the property is not set.
+SvgImporter.prototype.getProperty = function(node, property) {
+	var style = node.getAttribute("style");
+	
+	if (style) {
+		var match = style.match(new RegExp("(?:^|;)\\s*"+property+"\\s*:\\s*([^;]*?)\\s*(?:!important\\s*)?(?:;|$)"));
+		
+		if (match) {
+			return match[1];
+		}
+	}
+	
+	return node.hasAttribute(property) ? node.getAttribute(property).trim() : null;
+};
+
+// Returns false if the node's 'visibility' property, which is inherited, is
+// 'hidden' or 'collapse'
+SvgImporter.prototype.isVisible = function(node) {
+	for (; node !== null && node.nodeType == 1; node = node.parentNode) {
+		var visibility = this.getProperty(node, "visibility");
+		
+		if (visibility && visibility != "inherit") {
+			return visibility == "visible";
+		}
+	}
+	
+	return true;
+};
+
+// Returns a layer name for the given group node
+SvgImporter.prototype.getLayerName = function(node) {
+	var label = node.getAttributeNS(SvgImporter.inkscapens, "label");
+	
+	if (label) {
+		return label;
+	}
+	
+	return node.getAttribute("id") || this.rootLayerName+" "+this.layers.length;
+};
+
+// Returns the numeric value of the given length attribute. Units are ignored.
+SvgImporter.prototype.getLength = function(node, attr) {
+	if (!node.hasAttribute(attr)) {
+		return 0;
+	}
+	
+	var value = parseFloat(node.getAttribute(attr));
+	
+	Util.assert(!isNaN(value), "Invalid value for attribute '"+attr+"'.");
+	
+	return value;
+};
+
+SvgImporter.prototype.importRect = function(node, matrix, layer) {
+	var x = this.getLength(node, "x");
+	var y = this.getLength(node, "y");
+	var w = this.getLength(node, "width");
+	var h = this.getLength(node, "height");
+	var rx = node.hasAttribute("rx") ? this.getLength(node, "rx") : this.getLength(node, "ry");
+	var ry = node.hasAttribute("ry") ? this.getLength(node, "ry") : rx;
+	
+	if (w <= 0 || h <= 0) {
+		return;
+	}
+	
+	rx = Math.min(rx, w / 2);
+	ry = Math.min(ry, h / 2);
+	
+	this.addLine(layer, matrix, new Coord2D(x + rx, y), new Coord2D(x + w - rx, y));
+	this.addLine(layer, matrix, new Coord2D(x + w, y + ry), new Coord2D(x + w, y + h - ry));
+	this.addLine(layer, matrix, new Coord2D(x + w - rx, y + h), new Coord2D(x + rx, y + h));
+	this.addLine(layer, matrix, new Coord2D(x, y + h - ry), new Coord2D(x, y + ry));
+	
+	// Rounded corners
+	if (rx > 0 && ry > 0) {
+		this.addArc(layer, matrix, new Coord2D(x + w - rx, y + ry), rx, ry, 0, -halfPi, halfPi);
+		this.addArc(layer, matrix, new Coord2D(x + w - rx, y + h - ry), rx, ry, 0, 0, halfPi);
+		this.addArc(layer, matrix, new Coord2D(x + rx, y + h - ry), rx, ry, 0, halfPi, halfPi);
+		this.addArc(layer, matrix, new Coord2D(x + rx, y + ry), rx, ry, 0, pi, halfPi);
+	}
+};
+
+SvgImporter.prototype.importPoly = function(node, matrix, layer, closed) {
+	var values = (node.getAttribute("points") || "").trim().split(/[\s,]+/);
+	var points = [];
+	
+	for (var i = 0; i + 1 < values.length; i += 2) {
+		var p = new Coord2D(parseFloat(values[i]), parseFloat(values[i + 1]));
+		
+		Util.assert(!isNaN(p.x) && !isNaN(p.y), "Invalid points.");
+		points.push(p);
+	}
+	
+	for (var i = 1; i < points.length; i++) {
+		this.addLine(layer, matrix, points[i - 1], points[i]);
+	}
+	
+	if (closed && points.length > 2) {
+		this.addLine(layer, matrix, points[points.length - 1], points[0]);
+	}
+};
+
+// Convert the segments of the given path data into shapes. Follows the path
+// grammar of the SVG 1.1 specification.
+SvgImporter.prototype.importPath = function(d, matrix, layer) {
+	var scanner = new SvgImporter.PathScanner(d || "");
+	var start = new Coord2D(0, 0);            // Start of current subpath
+	var cur = new Coord2D(0, 0);              // Current point
+	var ctrl = null;                          // Last control point, for smooth curve commands
+	var lastCommand = "";
+	var command;
+	
+	while ((command = scanner.readCommand(lastCommand)) !== null) {
+		var relative = command == command.toLowerCase();
+		var upper = command.toUpperCase();
+		var ox = relative ? cur.x : 0;
+		var oy = relative ? cur.y : 0;
+		var next;
+		
+		switch (upper) {
+			case "M":
+				cur = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				start = cur;
+				ctrl = null;
+				
+				// Subsequent coordinate pairs are implicit lineto commands
+				lastCommand = relative ? "l" : "L";
+				continue;
+			
+			case "L":
+				next = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				this.addLine(layer, matrix, cur, next);
+				ctrl = null;
+				break;
+			
+			case "H":
+				next = new Coord2D(ox + scanner.readNumber(), cur.y);
+				this.addLine(layer, matrix, cur, next);
+				ctrl = null;
+				break;
+			
+			case "V":
+				next = new Coord2D(cur.x, oy + scanner.readNumber());
+				this.addLine(layer, matrix, cur, next);
+				ctrl = null;
+				break;
+			
+			case "C":
+			case "S":
+				var c1 = (upper == "S") ?
+					(ctrl && "CS".indexOf(lastCommand.toUpperCase()) != -1 ? new Coord2D(2*cur.x - ctrl.x, 2*cur.y - ctrl.y) : cur) :
+					new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				var c2 = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				next = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				
+				this.addCubic(layer, matrix, cur, c1, c2, next);
+				ctrl = c2;
+				break;
+			
+			case "Q":
+			case "T":
+				var c = (upper == "T") ?
+					(ctrl && "QT".indexOf(lastCommand.toUpperCase()) != -1 ? new Coord2D(2*cur.x - ctrl.x, 2*cur.y - ctrl.y) : cur) :
+					new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				next = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				
+				this.addQuadratic(layer, matrix, cur, c, next);
+				ctrl = c;
+				break;
+			
+			case "A":
+				var rx = Math.abs(scanner.readNumber());
+				var ry = Math.abs(scanner.readNumber());
+				var xrot = Util.degToRad(scanner.readNumber());
+				var large = scanner.readFlag();
+				var sweep = scanner.readFlag();
+				next = new Coord2D(ox + scanner.readNumber(), oy + scanner.readNumber());
+				
+				this.addEndpointArc(layer, matrix, cur, next, rx, ry, xrot, large, sweep);
+				ctrl = null;
+				break;
+			
+			case "Z":
+				this.addLine(layer, matrix, cur, start);
+				next = start;
+				ctrl = null;
+				break;
+		}
+		
+		cur = next;
+		lastCommand = command;
+	}
+};
+
+SvgImporter.prototype.addLine = function(layer, matrix, p1, p2) {
+	if (!p1.isEqual(p2)) {
+		layer.shapes.push(Line.fromPoints(matrix.transformPoint(p1), matrix.transformPoint(p2)));
+	}
+};
+
+SvgImporter.prototype.addQuadratic = function(layer, matrix, p1, p2, p3) {
+	if (!(p1.isEqual(p2) && p1.isEqual(p3))) {
+		layer.shapes.push(Bezier.fromPoints(matrix.transformPoint(p1), matrix.transformPoint(p2), matrix.transformPoint(p3)));
+	}
+};
+
+SvgImporter.prototype.addCubic = function(layer, matrix, p1, p2, p3, p4) {
+	if (!(p1.isEqual(p2) && p1.isEqual(p3) && p1.isEqual(p4))) {
+		layer.shapes.push(CubicBezier.fromPoints(
+			matrix.transformPoint(p1), matrix.transformPoint(p2), matrix.transformPoint(p3), matrix.transformPoint(p4)
+		));
+	}
+};
+
+// Add a circle or ellipse, converting it to match the given transform
+SvgImporter.prototype.addEllipse = function(layer, matrix, center, rx, ry) {
+	if (rx <= 0 || ry <= 0) {
+		return;
+	}
+	
+	var e = matrix.transformEllipse(center, rx, ry, 0);
+	
+	if (Util.equals(e.rx, e.ry, 1e-9 * e.rx)) {
+		var circle = new Circle();
+		circle.center = e.center;
+		circle.radius = e.rx;
+		layer.shapes.push(circle);
+	} else {
+		var ellipse = new Ellipse();
+		ellipse.setGeometry(e.center, e.rx, e.ry, e.xrot);
+		layer.shapes.push(ellipse);
+	}
+};
+
+// Add an elliptical arc given in SVG's endpoint parameterization. See 
+// appendix F.6.5 of the SVG 1.1 specification for the conversion to center
+// parameterization.
+SvgImporter.prototype.addEndpointArc = function(layer, matrix, p1, p2, rx, ry, xrot, large, sweep) {
+	if (p1.isEqual(p2)) {
+		return;
+	}
+	
+	// Out of range radii are replaced by a straight line
+	if (Util.equals(rx, 0) || Util.equals(ry, 0)) {
+		this.addLine(layer, matrix, p1, p2);
+		return;
+	}
+	
+	var cosr = cos(xrot), sinr = sin(xrot);
+	var dx = (p1.x - p2.x) / 2, dy = (p1.y - p2.y) / 2;
+	var x1 = cosr * dx + sinr * dy;
+	var y1 = -sinr * dx + cosr * dy;
+	
+	// Scale up radii that are too small to span the endpoints
+	var lambda = (x1*x1) / (rx*rx) + (y1*y1) / (ry*ry);
+	if (lambda > 1) {
+		rx *= Math.sqrt(lambda);
+		ry *= Math.sqrt(lambda);
+	}
+	
+	var num = rx*rx*ry*ry - rx*rx*y1*y1 - ry*ry*x1*x1;
+	var den = rx*rx*y1*y1 + ry*ry*x1*x1;
+	var coef = Math.sqrt(Math.max(num / den, 0)) * (large == sweep ? -1 : 1);
+	var cx1 = coef * rx * y1 / ry;
+	var cy1 = -coef * ry * x1 / rx;
+	
+	var center = new Coord2D(
+		cosr * cx1 - sinr * cy1 + (p1.x + p2.x) / 2,
+		sinr * cx1 + cosr * cy1 + (p1.y + p2.y) / 2
+	);
+	
+	var t1 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+	var t2 = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+	var dt = t2 - t1;
+	
+	if (sweep && dt < 0) {
+		dt += twoPi;
+	} else if (!sweep && dt > 0) {
+		dt -= twoPi;
+	}
+	
+	this.addArc(layer, matrix, center, rx, ry, xrot, t1, dt);
+};
+
+// Add an elliptical arc given in center parameterization, where t1 is the 
+// parametric start angle and dt the parametric delta angle
+SvgImporter.prototype.addArc = function(layer, matrix, center, rx, ry, xrot, t1, dt) {
+	var e = matrix.transformEllipse(center, rx, ry, xrot);
+	var p1 = matrix.transformPoint(EllipticalShape.getParametricPoint(center, rx, ry, xrot, t1));
+	var p2 = matrix.transformPoint(EllipticalShape.getParametricPoint(center, rx, ry, xrot, t1 + dt));
+	
+	// Alberti arcs are defined by polar angles about the center. Reflections
+	// reverse the direction of the arc.
+	var direction = Util.sign(dt) * Util.sign(matrix.determinant());
+	var sa = e.center.angleTo(p1);
+	var da;
+	
+	if (Math.abs(dt) >= twoPi - 1e-9) {
+		da = direction * twoPi;
+	} else {
+		da = e.center.angleTo(p2) - sa;
+		
+		if (direction > 0 && da <= 0) {
+			da += twoPi;
+		} else if (direction < 0 && da >= 0) {
+			da -= twoPi;
+		}
+	}
+	
+	if (Util.equals(e.rx, e.ry, 1e-9 * e.rx)) {
+		var arc = new CircleArc();
+		arc.center = e.center;
+		arc.radius = e.rx;
+	} else {
+		var arc = new EllipticalArc();
+		arc.setGeometry(e.center, e.rx, e.ry, e.xrot);
+	}
+	
+	arc.sa = sa;
+	arc.da = da;
+	layer.shapes.push(arc);
+};
+
+/*
+ * Tokenizes SVG path data
+ */
+SvgImporter.PathScanner = function(d) {
+	this.d = d;
+	this.pos = 0;
+};
+
+SvgImporter.PathScanner.prototype.skipSeparators = function() {
+	while (this.pos < this.d.length && /[\s,]/.test(this.d.charAt(this.pos))) {
+		this.pos++;
+	}
+};
+
+// Returns the next command letter, or 'lastCommand' if the next token is a 
+// number (i.e. the previous command is repeated). Returns null at the end of
+// the data.
+SvgImporter.PathScanner.prototype.readCommand = function(lastCommand) {
+	this.skipSeparators();
+	
+	if (this.pos >= this.d.length) {
+		return null;
+	}
+	
+	var c = this.d.charAt(this.pos);
+	
+	if (/[MmLlHhVvCcSsQqTtAaZz]/.test(c)) {
+		this.pos++;
+		return c;
+	}
+	
+	Util.assert(lastCommand && "Zz".indexOf(lastCommand) == -1, "Invalid path data.");
+	
+	return lastCommand;
+};
+
+SvgImporter.PathScanner.prototype.readNumber = function() {
+	this.skipSeparators();
+	
+	var match = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(this.d.substring(this.pos));
+	
+	Util.assert(match, "Invalid path data.");
+	
+	this.pos += match[0].length;
+	
+	return parseFloat(match[0]);
+};
+
+// Arc flags are single digits that need not be separated from what follows
+SvgImporter.PathScanner.prototype.readFlag = function() {
+	this.skipSeparators();
+	
+	var c = this.d.charAt(this.pos);
+	
+	Util.assert(c == "0" || c == "1", "Invalid path data.");
+	
+	this.pos++;
+	
+	return c == "1";
+};
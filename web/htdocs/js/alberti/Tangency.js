@@ -125,10 +125,12 @@ var Tangency = {
 		// in the discriminant. In order to accurately detect a discriminant
 		// of zero, it is necessary to adjust the tolerance value on-the-fly.
 		// The error size is logarithmically correlated with the area of the
-		// ellipse. Tolerance is adjusted accordingly.
+		// ellipse. Tolerance is adjusted accordingly. (The values below assume
+		// normalized coefficients, as returned by 
+		// EllipticalShape.getConicCoefficients.)
 		
-		var alpha = 1.86e29;
-		var beta = -5.304;
+		var alpha = 7.62e32;
+		var beta = -1.304;
 		var area = ellipse.rx * ellipse.ry;
 		var tolerance = (alpha * Math.pow(area, beta)) / 10e40;
 
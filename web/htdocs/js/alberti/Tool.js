@@ -113,7 +113,10 @@
  * 
  * After calling the inheriting class' complete() method, any shapes that were
  * marked for baking with Tool::bakeShape will be transferred to the current
- * layer of the workspace. All other shapes will be deleted automatically.
+ * layer of the workspace, or to the layer referenced by this.bakeLayer if the
+ * inheriting class has set it. All other shapes will be deleted 
+ * automatically. Undoable changes made by complete() are undone together 
+ * with the baked shapes.
  * 
  * onDeactivate()
  * 
@@ -166,6 +169,9 @@ function Tool(numSteps, minSteps, mouseupFlag, uiObjects) {
 	
 	this.auxiliarySnapPoints = [];         // Snap points generated on the fly
 	
+	this.bakeLayer = null;                 // Layer receiving baked shapes, if not the current layer
+	this.keepsSelection = false;           // Tool operates on the selection, which is kept when switching to it
+	
 	this.constrainKeys = [];
 	
 	this.constrainCoordX = null;
@@ -530,7 +536,7 @@ Tool.prototype.bake = function() {
 		var shapes = this.steps[i].shapes;
 		for (var name in shapes) {
 			if (shapes[name].bakeFlag) {
-				this.layerManager.insertShape(this.unregisterShape(name));
+				this.layerManager.insertShape(this.unregisterShape(name), this.bakeLayer);
 			}
 		}
 	}
@@ -539,8 +545,11 @@ Tool.prototype.bake = function() {
 };
 
 Tool.prototype.completeTool = function() {
+	this.undoManager.recordStart();
 	this.complete(this.currentStep);
 	this.bake();
+	this.undoManager.recordStop();
+	
 	this.reset();
 };
 
@@ -572,6 +581,8 @@ Tool.prototype.reset = function() {
 	// Stop excluding snap points, and clear auxiliary snap points
 	this.excludeSnapPoint = null;
 	this.clearSnapPoints();
+	
+	this.bakeLayer = null;
 };
 
 Tool.prototype.checkModifierKeys = function(keyArray) {
@@ -0,0 +1,152 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolCirclePoints.js
+ * extends Tool
+ * 
+ * Tool for drawing circles through points. The first two points are the 
+ * endpoints of a diameter; completing the tool after placing them draws the
+ * two-point circle. Placing a third point instead draws the circle through 
+ * all three points, or, with the shift key held down, the circular arc that 
+ * starts at the first point and passes through the second to the third.
+ * 
+ * * */
+ 
+function ToolCirclePoints(uiObjects) {
+	ToolCirclePoints.baseConstructor.call(this, 3, 2, false, uiObjects);
+	this.arcFlag = false;          // Draw an arc rather than a circle through three points
+}
+Util.extend(ToolCirclePoints, Tool);
+
+ToolCirclePoints.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the first point, and display the circle
+		case 0:
+			var c = new Circle().generate();
+			c.center = new Coord2D(gx, gy);
+			c.radius = 0;
+			
+			this.registerShape(Point.fromCoord(c.center).generate(), "point0");
+			this.registerShape(c, "circle");
+			break;
+		
+		// Step 1: Place the second point, completing the two-point circle
+		case 1:
+			var p = this.getKeyCoordFromStep(1);
+			
+			if (p.isEqual(this.getKeyCoordFromStep(0))) {
+				// Do not advance to next step if the points coincide
+				this.decrementStep();
+				break;
+			}
+			
+			this.registerShape(Point.fromCoord(p).generate(), "point1");
+			this.registerShape(new CircleArc().generate(), "arc");
+			break;
+		
+		// Step 2: Place the third point, completing the three-point circle
+		case 2:
+			if (!Circle.fromThreePoints(this.getKeyCoordFromStep(0), this.getKeyCoordFromStep(1), this.getKeyCoordFromStep(2))) {
+				// Do not complete the circle if the points are collinear
+				this.decrementStep();
+			}
+			break;
+	}
+};
+
+ToolCirclePoints.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var a = this.getKeyCoordFromStep(0);
+	var c = this.getShape("circle");
+	
+	switch (stepNum) {
+		
+		// Step 0: Update the circle's diameter to match the mouse location
+		case 0:
+			var l = Line.fromPoints(a, new Coord2D(gx, gy));
+			
+			if (this.checkModifierKeys([KeyCode.shift]) && l.getLength() > 0) {
+				// Constrain the diameter's angle to intervals of 45 degrees
+				l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+				l.p2 = l.getProjectedPoint(new Coord2D(gx, gy));
+				this.lockMouseCoords(l.p2);
+			}
+			
+			c.center = l.getMidpoint();
+			c.radius = l.getLength() / 2;
+			c.push();
+			
+			this.displayTip("Diameter: "+Util.roundToDecimal(l.getLength(), 2));
+			break;
+		
+		// Step 1: Update the circle, or arc, through the third point
+		case 1:
+			var b = this.getKeyCoordFromStep(1);
+			var m = new Coord2D(gx, gy);
+			var arc = this.getShape("arc");
+			var circle = Circle.fromThreePoints(a, b, m);
+			
+			this.arcFlag = this.checkModifierKeys([KeyCode.shift]);
+			
+			// Hide both shapes unless updated below
+			c.radius = 0;
+			arc.da = 0;
+			
+			if (circle) {
+				if (this.arcFlag) {
+					// Sweep from a to m in the direction that passes through b
+					var db = circle.center.angleToRelative(b, circle.center.angleTo(a));
+					var dm = circle.center.angleToRelative(m, circle.center.angleTo(a));
+					
+					arc.center = circle.center;
+					arc.radius = circle.radius;
+					arc.sa = circle.center.angleTo(a);
+					arc.da = db < dm ? dm : dm - twoPi;
+				} else {
+					c.center = circle.center;
+					c.radius = circle.radius;
+				}
+				
+				this.displayTip("Radius: "+Util.roundToDecimal(circle.radius, 2));
+			} else {
+				this.displayTip("The points must not be collinear");
+			}
+			
+			c.push();
+			arc.push();
+			break;
+	}
+};
+
+ToolCirclePoints.prototype.complete = function(stepNum) {
+	if (stepNum == 1) {
+		// If user short-circuited at step 1, draw the two-point circle
+		var c = this.getShape("circle");
+		var l = Line.fromPoints(this.getKeyCoordFromStep(0), this.getKeyCoordFromStep(1));
+		
+		c.center = l.getMidpoint();
+		c.radius = l.getLength() / 2;
+		c.push();
+		
+		this.bakeShape("circle");
+	} else {
+		this.bakeShape(this.arcFlag ? "arc" : "circle");
+	}
+};
@@ -0,0 +1,137 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ * 
+ * ToolConstructionLine.js
+ * extends Tool
+ * 
+ * Tool for drawing construction lines, which extend infinitely through two 
+ * points, and rays, which extend infinitely from one point through another.
+ * Press the mode key to toggle between the two. Construction lines are 
+ * placed in the document's construction layer, which is created beneath all 
+ * other layers if necessary (see Layer::setConstruction).
+ * 
+ * * */
+ 
+function ToolConstructionLine(uiObjects) {
+	ToolConstructionLine.baseConstructor.call(this, 2, 2, false, uiObjects);
+	this.ray = false;                 // Draw rays rather than construction lines
+}
+Util.extend(ToolConstructionLine, Tool);
+
+ToolConstructionLine.layerName = "Construction";
+
+ToolConstructionLine.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the origin, and display the line through the mouse
+		case 0:
+			var c = new Coord2D(gx, gy);
+			
+			this.registerShape(Point.fromCoord(c).generate(), "origin");
+			this.registerShape(ConstructionLine.fromPoints(c, c, this.ray).generate(), "cline");
+			break;
+		
+		// Step 1: Place the second point, completing the line
+		case 1:
+			var l = this.getShape("cline");
+			
+			if (l.p2.isEqual(l.p1)) {
+				// Do not complete the line if the points coincide
+				this.decrementStep();
+			}
+			break;
+	}
+};
+
+ToolConstructionLine.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	if (stepNum != 0) {
+		return;
+	}
+	
+	var l = this.getShape("cline");
+	var m = new Coord2D(gx, gy);
+	
+	if (this.checkModifierKeys([KeyCode.shift]) && !m.isEqual(l.p1)) {
+		
+		// Constrain the line's angle to intervals of 45 degrees
+		var guide = Line.fromPoints(l.p1, m);
+		guide.setAngle(Util.roundToMultiple(guide.getAngle(), quarterPi));
+		l.p2 = guide.getProjectedPoint(m);
+		this.lockMouseCoords(l.p2);
+		
+	} else if (this.checkModifierKeys([KeyCode.modConverge]) && this.layerManager.perspectiveSpace
+		&& !this.layerManager.getActiveVanishingPoint().isEqual(l.p1)) {
+		
+		// Aim the line through the active vanishing point
+		l.p2 = Line.fromPoints(l.p1, this.layerManager.getActiveVanishingPoint()).getProjectedPoint(m);
+		this.lockMouseCoords(l.p2);
+		
+	} else {
+		l.p2 = m;
+	}
+	
+	l.push();
+};
+
+ToolConstructionLine.prototype.keydown = function(evt) {
+	// Toggle modes on the initial key press only
+	if (evt.keyCode == KeyCode.constructionMode && this.constrainKeys.indexOf(evt.keyCode) == -1) {
+		this.ray = !this.ray;
+		
+		var l = this.getShape("cline");
+		
+		if (l) {
+			l.ray = this.ray;
+			l.push();
+		}
+		
+		this.displayTip(this.ray ? "Ray" : "Construction Line", true);
+	}
+	
+	ToolConstructionLine.superclass.keydown.call(this, evt);
+};
+
+// Returns the document's construction layer, showing it if it is hidden, or
+// creating it beneath all other layers if there is none. The current layer is
+// left unchanged.
+ToolConstructionLine.prototype.getConstructionLayer = function() {
+	var layer = this.layerManager.getConstructionLayer();
+	
+	if (!layer) {
+		var currentLayer = this.layerManager.getCurrentLayer();
+		
+		layer = new Layer().generate();
+		layer.setName(ToolConstructionLine.layerName);
+		layer.setColor(Alberti.constructionLayerColor);
+		layer.setConstruction(true);
+		
+		this.layerManager.insertLayer(layer, this.layerManager.layers[0], true);
+		this.layerManager.switchToLayer(currentLayer);
+	} else if (layer.isHidden()) {
+		this.layerManager.setLayerVisibility(layer, true);
+	}
+	
+	return layer;
+};
+
+ToolConstructionLine.prototype.complete = function(stepNum) {
+	this.bakeLayer = this.getConstructionLayer();
+	this.bakeShape("cline");
+};
@@ -0,0 +1,163 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolCubicBezier.js
+ * extends Tool
+ * 
+ * Cubic bezier tool. The endpoints of the curve are placed first, then its 
+ * two control points. Holding the smoothing key while placing the start 
+ * continues from the end of the last curve drawn, with the first control
+ * point mirroring the last curve's second one, so that the two curves join
+ * with a common tangent.
+ * 
+ * * */
+ 
+function ToolCubicBezier(uiObjects) {
+	ToolCubicBezier.baseConstructor.call(this, 4, 4, false, uiObjects);
+	
+	// End point and second control point of the last curve drawn
+	this.lastEnd = null;
+	this.lastControl = null;
+	
+	// Whether the current curve continues the last one
+	this.smooth = false;
+}
+Util.extend(ToolCubicBezier, Tool);
+
+ToolCubicBezier.prototype.executeStep = function(stepNum, gx, gy) {
+	var mouseCoord = new Coord2D(gx, gy);
+	
+	switch (stepNum) {
+		
+		// Step 0: Display the curve and its start point
+		case 0:
+			this.smooth = this.checkModifierKeys([KeyCode.modSmooth]) && this.lastEnd !== null;
+			
+			if (this.smooth) {
+				// Start at the end of the last curve, with the first control point
+				// fixed on its tangent. Only the second control point is left to 
+				// place, so the tool needs one step less.
+				var c = this.lastEnd.clone();
+				var c1 = new Coord2D(2 * c.x - this.lastControl.x, 2 * c.y - this.lastControl.y);
+				this.updateKeyCoord(c);
+				this.numSteps = 3;
+			} else {
+				var c = mouseCoord;
+				var c1 = mouseCoord;
+				this.numSteps = 4;
+			}
+			
+			var b = CubicBezier.fromPoints(c, c1, c, c).generate();
+			var p = Point.fromCoord(c).generate();
+			
+			this.registerShape(p, "p1");
+			this.registerShape(b, "cbezier");
+			
+			if (this.smooth) {
+				this.registerShape(Line.fromPoints(c, c1).generate(), "handle1", true);
+			}
+			break;
+		
+		// Step 1: Display the end point, and the guide line of the control 
+		// point placed next
+		case 1:
+			var b = this.getShape("cbezier");
+			var p = Point.fromCoord(b.p4).generate();
+			
+			this.registerShape(p, "p4");
+			
+			if (this.smooth) {
+				this.registerShape(Line.fromPoints(b.p4, mouseCoord).generate(), "handle2", true);
+			} else {
+				this.registerShape(Line.fromPoints(b.p1, mouseCoord).generate(), "handle1", true);
+			}
+			break;
+		
+		// Step 2: Display the first control point, and the guide line of the 
+		// second one
+		case 2:
+			if (!this.smooth) {
+				var b = this.getShape("cbezier");
+				var p = Point.fromCoord(b.p2).generate();
+				
+				this.registerShape(p, "p2");
+				this.registerShape(Line.fromPoints(b.p4, mouseCoord).generate(), "handle2", true);
+			}
+			break;
+	}
+};
+
+ToolCubicBezier.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var b = this.getShape("cbezier");
+	var m = new Coord2D(gx, gy);
+	
+	if (stepNum == 0) {
+		// Place the end point. Unless continuing the last curve, the curve 
+		// remains a straight line throughout step 0.
+		b.p4 = m;
+		b.p3 = m.clone();
+		
+		if (!this.smooth) {
+			b.p2 = new Coord2D((2 * b.p1.x + m.x) / 3, (2 * b.p1.y + m.y) / 3);
+			b.p3 = new Coord2D((b.p1.x + 2 * m.x) / 3, (b.p1.y + 2 * m.y) / 3);
+		}
+		
+		b.push();
+		
+	} else if (stepNum == 1 && !this.smooth) {
+		// Place the first control point
+		var h = this.getShape("handle1");
+		
+		b.p2 = m;
+		b.p3 = b.p4.clone();
+		h.p2 = m.clone();
+		
+		b.push();
+		h.push();
+		
+	} else if (stepNum == this.numSteps - 2) {
+		// Place the second control point
+		var h = this.getShape("handle2");
+		
+		b.p3 = m;
+		h.p2 = m.clone();
+		
+		b.push();
+		h.push();
+	}
+};
+
+ToolCubicBezier.prototype.complete = function(stepNum) {
+	var b = this.getShape("cbezier");
+	
+	this.lastEnd = b.p4.clone();
+	this.lastControl = b.p3.clone();
+	this.numSteps = 4;
+	
+	this.bakeShape("cbezier");
+};
+
+// A new document is being edited, so there is no last curve to continue
+ToolCubicBezier.prototype.setManagers = function(layerManager, undoManager) {
+	ToolCubicBezier.superclass.setManagers.call(this, layerManager, undoManager);
+	
+	this.lastEnd = null;
+	this.lastControl = null;
+};
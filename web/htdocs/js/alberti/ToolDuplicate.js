@@ -0,0 +1,105 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolDuplicate.js
+ * extends Tool
+ * 
+ * Abstract tool for duplicating the selected shapes. Inheriting tools call
+ * ToolDuplicate::captureSelection in their first step, then preview the
+ * copies by passing one Matrix2D per set of copies to 
+ * ToolDuplicate::setCopies. On completion, the copies are inserted into the 
+ * layers of their originals as a single undo-able action.
+ * 
+ * * */
+ 
+function ToolDuplicate(numSteps, minSteps, mouseupFlag, uiObjects) {
+	ToolDuplicate.baseConstructor.call(this, numSteps, minSteps, mouseupFlag, uiObjects);
+	this.keepsSelection = true;
+	
+	this.originals = [];              // Selected shapes being duplicated
+}
+Util.extend(ToolDuplicate, Tool);
+
+// Maximum number of sets of copies, guarding against runaway previews
+ToolDuplicate.maxCopies = 360;
+
+// Store the selected shapes as the originals to be duplicated. Returns false,
+// after refusing the current step, if nothing is selected.
+ToolDuplicate.prototype.captureSelection = function() {
+	this.originals = this.layerManager.getSelectedShapes();
+	
+	if (this.originals.length == 0) {
+		this.decrementStep();
+		this.displayTip("Select shapes first", true);
+		return false;
+	}
+	
+	return true;
+};
+
+// Replace the previewed copies with one copy of the originals transformed by
+// each Matrix2D in the given array
+ToolDuplicate.prototype.setCopies = function(matrices) {
+	var n = 0;
+	
+	this.removeCopies();
+	
+	for (var i = 0, mLen = matrices.length; i < mLen; i++) {
+		for (var j = 0, oLen = this.originals.length; j < oLen; j++) {
+			var copy = this.getTransformedShape(this.originals[j], matrices[i]).generate();
+			this.registerShape(copy, "copy"+(n++));
+		}
+	}
+};
+
+// Returns an un-generate()'ed copy of the given shape transformed by the 
+// given Matrix2D. Circles and circular arcs become elliptical if the 
+// transform does not preserve circles.
+ToolDuplicate.prototype.getTransformedShape = function(shape, matrix) {
+	if (!matrix.isSimilarity()) {
+		if (shape.shapeName == Circle.shapeName) {
+			return shape.toEllipse().transform(matrix);
+		} else if (shape.shapeName == CircleArc.shapeName) {
+			return shape.toEllipticalArc().transform(matrix);
+		}
+	}
+	
+	return shape.clone().transform(matrix);
+};
+
+ToolDuplicate.prototype.removeCopies = function() {
+	for (var i = 0; this.getShape("copy"+i); i++) {
+		this.unregisterShape("copy"+i);
+	}
+};
+
+ToolDuplicate.prototype.complete = function(stepNum) {
+	var shapeIndex = this.layerManager.shapeIndex;
+	var numOriginals = this.originals.length;
+	
+	for (var i = 0; this.getShape("copy"+i); i++) {
+		var original = this.originals[i % numOriginals];
+		var layer = shapeIndex[original.sid] ? shapeIndex[original.sid].layer : null;
+		
+		this.layerManager.insertShape(this.unregisterShape("copy"+i), layer);
+	}
+	
+	this.originals = [];
+};
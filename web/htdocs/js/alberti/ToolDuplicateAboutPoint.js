@@ -0,0 +1,161 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolDuplicateAboutPoint.js
+ * extends ToolDuplicate
+ * 
+ * Tool for duplicating the selected shapes about a pivot point, e.g. the 
+ * teeth of a gear or the treads of a spiral staircase. The user places the 
+ * pivot, then a reference point and a second point whose angle about the 
+ * pivot sets the angular step between copies. The user then sweeps around
+ * the pivot to set the number of copies.
+ * 
+ * * */
+ 
+function ToolDuplicateAboutPoint(uiObjects) {
+	ToolDuplicateAboutPoint.baseConstructor.call(this, 4, 3, false, uiObjects);
+	this.angleStep = 0;
+}
+Util.extend(ToolDuplicateAboutPoint, ToolDuplicate);
+
+ToolDuplicateAboutPoint.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the pivot, and display the reference line
+		case 0:
+			if (this.captureSelection()) {
+				var c = new Coord2D(gx, gy);
+				
+				this.registerShape(Point.fromCoord(c).generate(), "pivot");
+				this.registerShape(Line.fromPoints(c, c).generate(), "reference_line", true);
+			}
+			break;
+		
+		// Step 1: Place the reference point, and display the step line
+		case 1:
+			var pivot = this.getKeyCoordFromStep(0);
+			
+			if (pivot.isEqual(this.getKeyCoordFromStep(1))) {
+				// Do not advance to next step if the reference point is the pivot
+				this.decrementStep();
+				break;
+			}
+			
+			this.registerShape(Line.fromPoints(pivot, pivot).generate(), "step_line", true);
+			break;
+		
+		// Step 2: Set the angular step
+		case 2:
+			if (Util.equals(this.angleStep, 0)) {
+				// Do not advance to next step if the angular step is 0
+				this.decrementStep();
+			}
+			break;
+	}
+};
+
+ToolDuplicateAboutPoint.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var pivot = this.getKeyCoordFromStep(0);
+	var m = new Coord2D(gx, gy);
+	
+	switch (stepNum) {
+		
+		// Step 0: Update the reference line to match the mouse location
+		case 0:
+			var l = this.getShape("reference_line");
+			
+			l.p2 = m;
+			
+			if (this.checkModifierKeys([KeyCode.shift]) && !pivot.isEqual(m)) {
+				// Constrain the reference line to angles of 45 degrees
+				l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+				l.p2 = l.getProjectedPoint(m);
+				this.lockMouseCoords(l.p2);
+			}
+			
+			l.push();
+			
+			this.displayTip("Place reference point");
+			break;
+		
+		// Step 1: Update the angular step and the single copy to match the 
+		// mouse location
+		case 1:
+			var l = this.getShape("step_line");
+			var a = pivot.angleToRelative(m, pivot.angleTo(this.getKeyCoordFromStep(1)));
+			
+			// Steps beyond 180 degrees run counter-clockwise
+			var angleStep = a > pi ? a - twoPi : a;
+			
+			if (this.checkModifierKeys([KeyCode.shift]) && !Util.equals(angleStep, 0)) {
+				// Constrain the angular step to divide a full circle evenly
+				angleStep = Util.sign(angleStep) * twoPi / Math.max(Math.round(twoPi / Math.abs(angleStep)), 2);
+			}
+			
+			l.p2 = m;
+			l.setAngle(pivot.angleTo(this.getKeyCoordFromStep(1)) + angleStep);
+			l.push();
+			
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				this.lockMouseCoords(l.p2);
+			}
+			
+			this.angleStep = angleStep;
+			this.setCopies(this.getRotations(pivot, 1));
+			
+			this.displayTip("Step: "+Util.roundToDecimal(Util.radToDeg(angleStep), 2)+"&#176;");
+			break;
+		
+		// Step 2: Update the number of copies to match the angle swept by the
+		// mouse, in the direction of the angular step
+		case 2:
+			var maxCount = Math.min(Math.ceil(twoPi / Math.abs(this.angleStep) - Alberti.tolerance) - 1, ToolDuplicate.maxCopies);
+			var a = pivot.angleToRelative(m, pivot.angleTo(this.getKeyCoordFromStep(1)));
+			var sweep = this.angleStep > 0 ? a : twoPi - a;
+			var count = Math.round(sweep / Math.abs(this.angleStep));
+			
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				// Fill the full circle
+				count = maxCount;
+			}
+			
+			count = Math.min(Math.max(count, 1), Math.max(maxCount, 1));
+			
+			this.setCopies(this.getRotations(pivot, count));
+			
+			this.displayTip("Copies: "+count);
+			break;
+	}
+};
+
+// Returns an array of 'count' Matrix2Ds, rotating about 'pivot' by successive
+// multiples of the angular step
+ToolDuplicateAboutPoint.prototype.getRotations = function(pivot, count) {
+	var matrices = [];
+	
+	for (var i = 1; i <= count; i++) {
+		matrices.push(Matrix2D.translate(pivot.x, pivot.y)
+			.multiply(Matrix2D.rotate(i * this.angleStep))
+			.multiply(Matrix2D.translate(-pivot.x, -pivot.y))
+		);
+	}
+	
+	return matrices;
+};
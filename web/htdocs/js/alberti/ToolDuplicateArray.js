@@ -0,0 +1,207 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolDuplicateArray.js
+ * extends ToolDuplicate
+ * 
+ * Tool for duplicating the selected shapes in an array, e.g. fence posts,
+ * windows or railroad ties. The user places a base point and a second point
+ * giving the spacing between copies, then moves the mouse along the array to
+ * set the number of copies. If the spacing is aimed through the active 
+ * vanishing point, the spacing and size of the copies diminish toward it.
+ * 
+ * * */
+ 
+function ToolDuplicateArray(uiObjects) {
+	ToolDuplicateArray.baseConstructor.call(this, 3, 2, false, uiObjects);
+	
+	this.vanishingPoint = null;       // Vanishing point of a perspective array
+}
+Util.extend(ToolDuplicateArray, ToolDuplicate);
+
+ToolDuplicateArray.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the base point, and display the spacing line
+		case 0:
+			if (this.captureSelection()) {
+				var c = new Coord2D(gx, gy);
+				
+				this.registerShape(Point.fromCoord(c).generate(), "base");
+				this.registerShape(Line.fromPoints(c, c).generate(), "vector_line", true);
+			}
+			break;
+		
+		// Step 1: Set the spacing, and display the extent of the array
+		case 1:
+			if (this.getArrayMatrices(1).length == 0) {
+				// Do not advance to next step if the spacing is degenerate
+				this.decrementStep();
+				break;
+			}
+			
+			var c = this.getKeyCoordFromStep(0);
+			
+			this.registerShape(Line.fromPoints(c, c).generate(), "array_line", true);
+			break;
+	}
+};
+
+ToolDuplicateArray.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var base = this.getKeyCoordFromStep(0);
+	var m = new Coord2D(gx, gy);
+	
+	switch (stepNum) {
+		
+		// Step 0: Update the spacing line and the single copy to match the 
+		// mouse location
+		case 0:
+			var l = this.getShape("vector_line");
+			var vp = this.layerManager.getActiveVanishingPoint();
+			
+			l.p2 = m;
+			this.vanishingPoint = null;
+			
+			if (this.checkModifierKeys([KeyCode.shift]) && !base.isEqual(m)) {
+				// Constrain the spacing line to angles of 45 degrees
+				l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+				l.p2 = l.getProjectedPoint(m);
+				this.lockMouseCoords(l.p2);
+				
+			} else if (this.checkModifierKeys([KeyCode.modConverge]) && vp && !vp.isEqual(base)) {
+				// Aim the spacing line through the active vanishing point
+				l.p2 = vp;
+				l.p2 = l.getProjectedPoint(m);
+				this.lockMouseCoords(l.p2);
+				this.vanishingPoint = vp;
+			}
+			
+			l.push();
+			
+			this.setCopies(this.getArrayMatrices(1));
+			
+			this.displayTip("Spacing: "+Util.roundToDecimal(l.getLength(), 2)+(this.vanishingPoint ? " (perspective)" : ""));
+			break;
+		
+		// Step 1: Update the number of copies to match the mouse location
+		// along the array
+		case 1:
+			var l = this.getShape("array_line");
+			var matrices = this.getArrayMatrices(this.getCountAt(m));
+			
+			l.p2 = matrices[matrices.length - 1].transformPoint(base);
+			l.push();
+			
+			this.setCopies(matrices);
+			
+			this.displayTip("Copies: "+matrices.length);
+			break;
+	}
+};
+
+// Returns the parameters of the array: the base point, the spacing vector
+// and, for a perspective array, the vanishing point and the factor k, such 
+// that copy n is scaled about the vanishing point by 1 / (1 + k * n)
+ToolDuplicateArray.prototype.getArrayParameters = function() {
+	var base = this.getKeyCoordFromStep(0);
+	var l = this.getShape("vector_line");
+	var params = {
+		base: base,
+		vector: new Coord2D(l.p2.x - base.x, l.p2.y - base.y),
+		vp: this.vanishingPoint,
+		k: 0
+	};
+	
+	if (params.vp) {
+		// Parameter of the spacing point along the line from the vanishing
+		// point to the base point
+		var s = this.getPerspectiveParameter(l.p2);
+		
+		params.k = s > 0 ? 1 / s - 1 : 0;
+	}
+	
+	return params;
+};
+
+// Returns the parameter s of the projection of p onto the line from the 
+// vanishing point (s = 0) to the base point (s = 1)
+ToolDuplicateArray.prototype.getPerspectiveParameter = function(p) {
+	var vp = this.vanishingPoint;
+	var base = this.getKeyCoordFromStep(0);
+	var dx = base.x - vp.x;
+	var dy = base.y - vp.y;
+	
+	return ((p.x - vp.x) * dx + (p.y - vp.y) * dy) / (dx * dx + dy * dy);
+};
+
+// Returns the number of copies reaching the given coordinate
+ToolDuplicateArray.prototype.getCountAt = function(c) {
+	var params = this.getArrayParameters();
+	var count;
+	
+	if (params.vp) {
+		var s = this.getPerspectiveParameter(c);
+		
+		// Copy n lies at parameter 1 / (1 + k * n)
+		count = s > 0 ? Math.round((1 / s - 1) / params.k) : ToolDuplicate.maxCopies;
+	} else {
+		var v = params.vector;
+		
+		count = Math.round(((c.x - params.base.x) * v.x + (c.y - params.base.y) * v.y) / (v.x * v.x + v.y * v.y));
+	}
+	
+	return Math.max(count, 1);
+};
+
+// Returns an array of up to 'count' Matrix2Ds, one per copy. A perspective 
+// array moving toward the viewer ends before it would pass behind the viewer.
+// Returns an empty array if the spacing is degenerate.
+ToolDuplicateArray.prototype.getArrayMatrices = function(count) {
+	var params = this.getArrayParameters();
+	var matrices = [];
+	
+	if (Util.equals(params.vector.x, 0) && Util.equals(params.vector.y, 0)) {
+		return matrices;
+	}
+	
+	if (params.vp) {
+		var vp = params.vp;
+		
+		if (Util.equals(params.k, 0)) {
+			// Spacing point lies at or beyond the vanishing point
+			return matrices;
+		}
+		
+		for (var i = 1; i <= count && i <= ToolDuplicate.maxCopies && 1 + params.k * i > Alberti.tolerance; i++) {
+			var s = 1 / (1 + params.k * i);
+			
+			matrices.push(Matrix2D.translate(vp.x, vp.y)
+				.multiply(Matrix2D.scale(s, s))
+				.multiply(Matrix2D.translate(-vp.x, -vp.y))
+			);
+		}
+	} else {
+		for (var i = 1; i <= count && i <= ToolDuplicate.maxCopies; i++) {
+			matrices.push(Matrix2D.translate(i * params.vector.x, i * params.vector.y));
+		}
+	}
+	
+	return matrices;
+};
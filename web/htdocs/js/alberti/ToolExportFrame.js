@@ -0,0 +1,101 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolExportFrame.js
+ * extends Tool
+ * 
+ * Tool for placing the document's export frame. Dragging in an empty part of
+ * the workspace draws a new frame from the initial corner, maintaining the
+ * aspect ratio of the current frame (or the default preset if the document 
+ * has no frame). Dragging inside the existing frame moves it.
+ * 
+ * * */
+ 
+function ToolExportFrame(uiObjects) {
+	ToolExportFrame.baseConstructor.call(this, 2, 2, true, uiObjects);
+	
+	this.frame = null;                // Frame being placed
+	this.moveFlag = false;            // Moving existing frame rather than drawing a new one?
+	this.originalOrigin = null;
+}
+Util.extend(ToolExportFrame, Tool);
+
+ToolExportFrame.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		case 0:
+			var p = new Coord2D(gx, gy);
+			var currentFrame = this.layerManager.exportFrame;
+			
+			if (currentFrame) {
+				this.frame = currentFrame.clone();
+				this.moveFlag = currentFrame.containsCoord(p);
+			} else {
+				this.frame = new ExportFrame();
+				this.moveFlag = false;
+			}
+			
+			this.originalOrigin = this.frame.origin.clone();
+			
+			if (!this.moveFlag) {
+				this.frame.fitToCorners(p, p);
+			}
+			
+			var frameRect = Rectangle.fromRect2D(this.frame.getRect()).generate();
+			this.registerShape(frameRect, "frame_rect");
+			break;
+	}
+};
+
+ToolExportFrame.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		case 0:
+			var p1 = this.getKeyCoordFromStep(0);
+			var p2 = new Coord2D(gx, gy);
+			var frameRect = this.getShape("frame_rect");
+			
+			if (this.moveFlag) {
+				this.frame.origin.x = this.originalOrigin.x + p2.x - p1.x;
+				this.frame.origin.y = this.originalOrigin.y + p2.y - p1.y;
+				this.displayTip("Move export frame");
+			} else {
+				this.frame.fitToCorners(p1, p2);
+				this.displayTip("Draw export frame ("+this.frame.getLabel()+")");
+			}
+			
+			frameRect.rect = this.frame.getRect();
+			frameRect.push();
+			break;
+	}
+};
+
+ToolExportFrame.prototype.complete = function(stepNum) {
+	var currentFrame = this.layerManager.exportFrame;
+	
+	// Ignore clicks that neither moved the frame nor drew a new one
+	if (this.frame.width > 0 && !(currentFrame
+		&& this.frame.origin.isEqual(currentFrame.origin) && this.frame.width == currentFrame.width)
+	) {
+		this.layerManager.setExportFrame(this.frame);
+	}
+	
+	this.frame = null;
+};
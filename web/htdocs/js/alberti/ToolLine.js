@@ -137,6 +137,20 @@ ToolLine.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
 				l.p2.y = l.p1.y + this.lastDeltaX;
 				this.lockMouseCoords(l.p2);
 				
+			} else if (this.checkModifierKeys([KeyCode.modConverge]) && this.layerManager.perspectiveSpace) {
+				
+				// Aim the line through the active vanishing point
+				var vp = this.layerManager.getActiveVanishingPoint();
+				
+				if (vp.isEqual(l.p1)) {
+					l.p2.x = gx;
+					l.p2.y = gy;
+				} else {
+					l.p2 = vp;
+					l.p2 = l.getProjectedPoint(new Coord2D(gx, gy));
+					this.lockMouseCoords(l.p2);
+				}
+				
 			} else {
 				l.p2.x = gx;
 				l.p2.y = gy;
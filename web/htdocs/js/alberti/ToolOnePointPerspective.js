@@ -0,0 +1,255 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolOnePointPerspective.js
+ * extends ToolPerspective
+ * 
+ * Tool for constructing a one-point perspective space and a receding floor 
+ * grid. The user places the central vanishing point, which is also the center
+ * of vision, then one of the distance points, which sets the horizon line and
+ * the viewing distance. The user then places the ground line, where the floor 
+ * meets the picture plane, with a click that marks the near corner of the 
+ * grid, and a second click along the ground line sets the size of a cell. 
+ * The final click sets the number of cells across and in depth. The depth of 
+ * each row is measured with diagonals converging at the distance points.
+ * 
+ * * */
+ 
+function ToolOnePointPerspective(uiObjects) {
+	ToolOnePointPerspective.baseConstructor.call(this, 5, 2, false, uiObjects);
+	this.grid = null;                 // Floor grid laid out in this.space
+}
+Util.extend(ToolOnePointPerspective, ToolPerspective);
+
+// Maximum number of cells across and in depth of a floor grid
+ToolOnePointPerspective.maxGridCells = 100;
+
+ToolOnePointPerspective.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the vanishing point
+		case 0:
+			this.grid = null;
+			this.registerShape(Point.fromCoord(new Coord2D(gx, gy)).generate(), "vp");
+			break;
+		
+		// Step 1: Place a distance point, and display the ground line
+		case 1:
+			var vp = this.getKeyCoordFromStep(0);
+			var dp = this.getKeyCoordFromStep(1);
+			
+			if (vp.isEqual(dp)) {
+				// Do not advance to next step if the points coincide
+				this.decrementStep();
+				break;
+			}
+			
+			this.space = PerspectiveSpace.fromOneVanishingPoint(vp, dp);
+			this.updateGuides();
+			
+			this.registerShape(Line.fromPoints(dp, dp).generate(), "ground_line");
+			break;
+		
+		// Step 2: Place the near corner of the grid on the ground line
+		case 2:
+			var corner = this.getKeyCoordFromStep(2);
+			
+			if (Util.equals(this.getGridCoords(corner).y, 0)) {
+				// Do not advance to next step if the ground line is the horizon
+				this.decrementStep();
+				break;
+			}
+			
+			this.registerShape(Line.fromPoints(corner, corner).generate(), "cell_line");
+			break;
+		
+		// Step 3: Set the cell size along the ground line
+		case 3:
+			var corner = this.getGridCoords(this.getKeyCoordFromStep(2));
+			var p = this.getGridCoords(this.getKeyCoordFromStep(3));
+			
+			if (Util.equals(p.x, corner.x)) {
+				// Do not advance to next step if the cell has no size
+				this.decrementStep();
+			}
+			break;
+		
+		// Step 4: Set the number of cells across and in depth
+		case 4:
+			this.layOutGrid(new Coord2D(gx, gy));
+			this.updateGuides();
+			break;
+	}
+};
+
+ToolOnePointPerspective.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Update the distance point and the guides to match the mouse
+		// location
+		case 0:
+			var vp = this.getKeyCoordFromStep(0);
+			var dp = new Coord2D(gx, gy);
+			
+			// Constrain the horizon line to the horizontal
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				dp.y = vp.y;
+				this.lockMouseCoords(dp);
+			}
+			
+			if (vp.isEqual(dp)) {
+				this.space = null;
+				this.removeGuides();
+				break;
+			}
+			
+			this.space = PerspectiveSpace.fromOneVanishingPoint(vp, dp);
+			this.updateGuides();
+			
+			this.displayTip("Viewing distance: "+Util.roundToDecimal(this.space.viewingDistance, 2));
+			break;
+		
+		// Step 1: Update the ground line, parallel to the horizon, to match
+		// the mouse location
+		case 1:
+			var radius = this.space.getConeOfVisionRadius();
+			var offset = this.getGridCoords(new Coord2D(gx, gy)).y;
+			var l = this.getShape("ground_line");
+			
+			l.p1 = this.getGridPoint(-radius, offset, 0);
+			l.p2 = this.getGridPoint(radius, offset, 0);
+			l.push();
+			
+			this.displayTip("Place near corner of grid");
+			break;
+		
+		// Step 2: Update the cell size, constraining the mouse to the ground
+		// line
+		case 2:
+			var corner = this.getGridCoords(this.getKeyCoordFromStep(2));
+			var p = this.getGridCoords(new Coord2D(gx, gy));
+			var l = this.getShape("cell_line");
+			
+			l.p2 = this.getGridPoint(p.x, corner.y, 0);
+			l.push();
+			this.lockMouseCoords(l.p2);
+			
+			this.displayTip("Cell size: "+Util.roundToDecimal(Math.abs(p.x - corner.x), 2));
+			break;
+		
+		// Step 3: Update the grid to match the mouse location
+		case 3:
+			this.layOutGrid(new Coord2D(gx, gy));
+			this.updateGuides();
+			
+			this.displayTip("Grid: "+this.grid.columns+" x "+this.grid.rows+" cells");
+			break;
+	}
+};
+
+ToolOnePointPerspective.prototype.complete = function(stepNum) {
+	ToolOnePointPerspective.superclass.complete.call(this, stepNum);
+	this.grid = null;
+};
+
+// Returns the coordinates of 'coord' relative to the center of vision, along
+// the horizon and perpendicular to it
+ToolOnePointPerspective.prototype.getGridCoords = function(coord) {
+	var cv = this.space.centerOfVision;
+	var h = this.space.getHorizonDirection();
+	var v = this.space.getVerticalDirection();
+	var dx = coord.x - cv.x, dy = coord.y - cv.y;
+	
+	return new Coord2D(dx * h.x + dy * h.y, dx * v.x + dy * v.y);
+};
+
+// Returns the projection of the point on the ground plane at offset 'x' along
+// the ground line, which lies 'offset' from the horizon, and at depth 'z' 
+// behind the picture plane
+ToolOnePointPerspective.prototype.getGridPoint = function(x, offset, z) {
+	var cv = this.space.centerOfVision;
+	var h = this.space.getHorizonDirection();
+	var v = this.space.getVerticalDirection();
+	var s = this.space.viewingDistance / (this.space.viewingDistance + z);
+	
+	return new Coord2D(
+		cv.x + s * (x * h.x + offset * v.x),
+		cv.y + s * (x * h.y + offset * v.y)
+	);
+};
+
+// Set this.grid from the corner and cell size placed by the user, with as 
+// many cells across and in depth as needed to reach 'coord'
+ToolOnePointPerspective.prototype.layOutGrid = function(coord) {
+	var corner = this.getGridCoords(this.getKeyCoordFromStep(2));
+	var cellSize = this.getGridCoords(this.getKeyCoordFromStep(3)).x - corner.x;
+	var d = this.space.viewingDistance;
+	var max = ToolOnePointPerspective.maxGridCells;
+	var p = this.getGridCoords(coord);
+	
+	// The ground plane projects to a scale of d / (d + z) at depth z, with 
+	// its horizon at scale zero
+	var minScale = d / (d + max * Math.abs(cellSize));
+	var s = Math.min(Math.max(p.y / corner.y, minScale), 1);
+	var depth = d / s - d;
+	
+	this.grid = {
+		x: corner.x,
+		offset: corner.y,
+		cellSize: cellSize,
+		columns: Math.min(Math.max(Math.round((p.x / s - corner.x) / cellSize), 1), max),
+		rows: Math.min(Math.max(Math.round(depth / Math.abs(cellSize)), 1), max)
+	};
+};
+
+// Adds the floor grid, if laid out, and the diagonals from its near corners 
+// to the distance points
+ToolOnePointPerspective.prototype.getGuideShapes = function(space) {
+	var shapes = ToolOnePointPerspective.superclass.getGuideShapes.call(this, space);
+	var g = this.grid;
+	
+	if (g) {
+		var depth = g.rows * Math.abs(g.cellSize);
+		var x2 = g.x + g.columns * g.cellSize;
+		
+		// Transversals, parallel to the ground line
+		for (var i = 0; i <= g.rows; i++) {
+			var z = i * Math.abs(g.cellSize);
+			shapes.push(Line.fromPoints(this.getGridPoint(g.x, g.offset, z), this.getGridPoint(x2, g.offset, z)));
+		}
+		
+		// Orthogonals, converging at the vanishing point
+		for (var i = 0; i <= g.columns; i++) {
+			var x = g.x + i * g.cellSize;
+			shapes.push(Line.fromPoints(this.getGridPoint(x, g.offset, 0), this.getGridPoint(x, g.offset, depth)));
+		}
+		
+		// Diagonals, passing through the corners of the cells
+		var dps = space.getDistancePoints();
+		var near = g.cellSize > 0 ? 0 : 1;
+		
+		shapes.push(
+			Line.fromPoints(this.getGridPoint(g.x, g.offset, 0), dps[1 - near]),
+			Line.fromPoints(this.getGridPoint(x2, g.offset, 0), dps[near])
+		);
+	}
+	
+	return shapes;
+};
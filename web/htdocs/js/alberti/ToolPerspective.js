@@ -0,0 +1,180 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ * 
+ * ToolPerspective.js
+ * extends Tool
+ * 
+ * Abstract perspective space construction tool. Inheriting tools build a 
+ * PerspectiveSpace (this.space) from the user's clicks and call 
+ * ToolPerspective::updateGuides to preview the guide shapes returned by 
+ * ToolPerspective::getGuideShapes. On completion, the guide shapes are baked 
+ * as ordinary shapes into a new layer beneath all others, where they provide
+ * snap points for further construction, and the space is stored with the 
+ * document.
+ * 
+ * * */
+ 
+function ToolPerspective(numSteps, minSteps, mouseupFlag, uiObjects) {
+	ToolPerspective.baseConstructor.call(this, numSteps, minSteps, mouseupFlag, uiObjects);
+	this.space = null;                // PerspectiveSpace under construction
+}
+Util.extend(ToolPerspective, Tool);
+
+// Register the shapes returned by ToolPerspective::getGuideShapes for the 
+// current space, replacing any previously registered guide shapes
+ToolPerspective.prototype.updateGuides = function() {
+	this.removeGuides();
+	
+	var shapes = this.getGuideShapes(this.space);
+	
+	for (var i = 0, len = shapes.length; i < len; i++) {
+		this.registerShape(shapes[i].generate(), "guide"+i);
+	}
+};
+
+ToolPerspective.prototype.removeGuides = function() {
+	for (var i = 0; this.getShape("guide"+i); i++) {
+		this.unregisterShape("guide"+i);
+	}
+};
+
+// Returns an array of ungenerated guide shapes for the given space. Inheriting
+// tools extend this method to add their vanishing lines. Guides common to all 
+// perspective spaces are the cone of vision, the horizon line spanning the
+// cone and the vanishing points, and the vertical axis through the center of
+// vision, which extends down to the station point.
+ToolPerspective.prototype.getGuideShapes = function(space) {
+	var cv = space.centerOfVision;
+	var foot = space.getHorizonFoot();
+	var h = space.getHorizonDirection();
+	var v = space.getVerticalDirection();
+	var radius = space.getConeOfVisionRadius();
+	var cone = new Circle();
+	
+	cone.center = cv.clone();
+	cone.radius = radius;
+	
+	// Extent of the horizon line, measured from the foot of the vertical axis
+	var min = -radius, max = radius;
+	
+	for (var i = 0, len = space.vanishingPoints.length; i < len; i++) {
+		var vp = space.vanishingPoints[i];
+		var t = (vp.x - foot.x) * h.x + (vp.y - foot.y) * h.y;
+		
+		min = Math.min(min, t);
+		max = Math.max(max, t);
+	}
+	
+	var horizon = Line.fromPoints(
+		new Coord2D(foot.x + min * h.x, foot.y + min * h.y),
+		new Coord2D(foot.x + max * h.x, foot.y + max * h.y)
+	);
+	
+	// The axis spans the cone of vision and the horizon
+	var top = Math.min((cv.x - foot.x) * v.x + (cv.y - foot.y) * v.y - radius, 0);
+	var axis = Line.fromPoints(
+		new Coord2D(foot.x + top * v.x, foot.y + top * v.y),
+		space.getStationPoint()
+	);
+	
+	return [cone, horizon, axis];
+};
+
+// Returns the lines of sight from the station point to the vanishing points 
+// on the horizon, which meet at a right angle
+ToolPerspective.prototype.getLinesOfSight = function(space) {
+	var sp = space.getStationPoint();
+	
+	return [
+		Line.fromPoints(sp, space.vanishingPoints[0]),
+		Line.fromPoints(sp, space.vanishingPoints[1])
+	];
+};
+
+// Returns lines converging at 'vp' that fan out across the cone of vision, 
+// above and below the center of vision
+ToolPerspective.prototype.getHorizontalVanishingLines = function(space, vp) {
+	var cv = space.centerOfVision;
+	var v = space.getVerticalDirection();
+	var radius = space.getConeOfVisionRadius();
+	
+	return this.getVanishingLines(space, vp, cv, 
+		new Coord2D(cv.x - radius * v.x, cv.y - radius * v.y), Alberti.perspectiveGuideCount
+	).concat(this.getVanishingLines(space, vp, cv, 
+		new Coord2D(cv.x + radius * v.x, cv.y + radius * v.y), Alberti.perspectiveGuideCount
+	));
+};
+
+// Returns an array of lines converging at 'vp', each passing through one of 
+// 'count' points spaced evenly along the given segment, from 'a' to 'b' 
+// (exclusive), and ending where it leaves the cone of vision. The points must
+// lie inside the cone of vision.
+ToolPerspective.prototype.getVanishingLines = function(space, vp, a, b, count) {
+	var c = space.centerOfVision;
+	var radius = space.getConeOfVisionRadius();
+	var lines = [];
+	
+	for (var i = 1; i <= count; i++) {
+		var q = new Coord2D(a.x + (b.x - a.x) * i / (count + 1), a.y + (b.y - a.y) * i / (count + 1));
+		var length = vp.distanceTo(q);
+		
+		if (length > 0) {
+			// Solve |vp + s*u - c| = radius for the far intersection, where u
+			// is the unit vector from vp toward q
+			var ux = (q.x - vp.x) / length, uy = (q.y - vp.y) / length;
+			var px = vp.x - c.x, py = vp.y - c.y;
+			var dot = ux * px + uy * py;
+			var s = -dot + Math.sqrt(Math.max(dot*dot - px*px - py*py + radius*radius, 0));
+			
+			lines.push(Line.fromPoints(vp, new Coord2D(vp.x + s * ux, vp.y + s * uy)));
+		}
+	}
+	
+	return lines;
+};
+
+// Create the layer receiving the baked guide shapes, beneath all other layers.
+// The current layer is left unchanged.
+ToolPerspective.prototype.createSpaceLayer = function() {
+	var currentLayer = this.layerManager.getCurrentLayer();
+	var layer = new Layer().generate();
+	
+	layer.setName(this.space.getType()+"-Point Perspective");
+	layer.setColor(Alberti.perspectiveLayerColor);
+	
+	this.layerManager.insertLayer(layer, this.layerManager.layers[0], true);
+	this.layerManager.switchToLayer(currentLayer);
+	
+	return layer;
+};
+
+ToolPerspective.prototype.complete = function(stepNum) {
+	if (this.space) {
+		this.bakeLayer = this.createSpaceLayer();
+		
+		for (var i = 0; this.getShape("guide"+i); i++) {
+			this.bakeShape("guide"+i);
+		}
+		
+		this.layerManager.setPerspectiveSpace(this.space);
+	}
+	
+	this.space = null;
+};
@@ -0,0 +1,98 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolPolyline.js
+ * extends Tool
+ * 
+ * Tool for drawing polylines, which are baked as connected Line shapes so 
+ * that each segment can be snapped to. Click successive vertices, then press
+ * enter (or right-click the last vertex) to finish. Clicking the first 
+ * vertex closes the path and finishes it.
+ * 
+ * * */
+ 
+function ToolPolyline(uiObjects) {
+	ToolPolyline.baseConstructor.call(this, -1, 2, false, uiObjects);
+}
+Util.extend(ToolPolyline, Tool);
+
+ToolPolyline.prototype.executeStep = function(stepNum, gx, gy) {
+	var c = new Coord2D(gx, gy);
+	
+	if (stepNum == 0) {
+		this.registerShape(Point.fromCoord(c).generate(), "start");
+		this.registerShape(Line.fromPoints(c, c).generate(), "segment0");
+		return;
+	}
+	
+	if (c.isEqual(this.getKeyCoordFromStep(stepNum - 1))) {
+		// Do not place a vertex on top of the previous one
+		this.decrementStep();
+		return;
+	}
+	
+	if (stepNum > 2 && c.isEqual(this.getKeyCoordFromStep(0))) {
+		// The path has been closed, so this is the final step
+		this.numSteps = stepNum + 1;
+		return;
+	}
+	
+	this.registerShape(Line.fromPoints(c, c).generate(), "segment"+stepNum);
+};
+
+// Update the current segment to match the mouse location
+ToolPolyline.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var l = this.getShape("segment"+stepNum);
+	var start = this.getKeyCoordFromStep(0);
+	var m = new Coord2D(gx, gy);
+	
+	if (!l) {
+		// The path has been closed
+		return;
+	}
+	
+	l.p2 = m;
+	
+	if (this.checkModifierKeys([KeyCode.shift]) && !l.p1.isEqual(m)) {
+		// Constrain the segment to angles of 45 degrees
+		l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+		l.p2 = l.getProjectedPoint(m);
+		this.lockMouseCoords(l.p2);
+		
+	} else if (stepNum > 1 && m.distanceTo(start) <= Alberti.snapRadius / this.masterGroup.scale) {
+		// Close the path when the mouse nears the first vertex
+		l.p2 = start;
+		this.lockMouseCoords(start);
+	}
+	
+	l.push();
+	
+	this.displayTip(l.p2.isEqual(start) ? "Close path" : "Length: "+Util.roundToDecimal(l.getLength(), 2));
+};
+
+// Bake the segments ending at placed vertices, leaving out the segment 
+// following the mouse
+ToolPolyline.prototype.complete = function(stepNum) {
+	for (var i = 0; i < stepNum; i++) {
+		this.bakeShape("segment"+i);
+	}
+	
+	this.numSteps = -1;
+};
@@ -0,0 +1,279 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolRectangle.js
+ * extends Tool
+ * 
+ * Tool for drawing rectangles, which are baked as four Line shapes. Press the
+ * mode key to cycle between three modes before placing the second corner:
+ * 
+ *    Axis-aligned: Click two opposite corners.
+ *    Rotated:      Click two corners along one edge, then click to set the 
+ *                  width of the rectangle.
+ *    Perspective:  Click two corners along one edge, then click to place the
+ *                  third corner. Each edge converges along one of the 
+ *                  principal directions of the document's PerspectiveSpace 
+ *                  (see PerspectiveSpace::getPrincipalLine), whichever is 
+ *                  nearest the mouse, and the fourth corner is found where the
+ *                  remaining edges meet.
+ * 
+ * * */
+ 
+function ToolRectangle(uiObjects) {
+	ToolRectangle.baseConstructor.call(this, 2, 2, false, uiObjects);
+	this.mode = ToolRectangle.modeAligned;
+	this.corners = null;
+	
+	// Indices of the principal directions of the first two edges, in 
+	// perspective mode
+	this.firstDirection = -1;
+	this.secondDirection = -1;
+}
+Util.extend(ToolRectangle, Tool);
+
+ToolRectangle.modeAligned = 0;
+ToolRectangle.modeRotated = 1;
+ToolRectangle.modePerspective = 2;
+
+ToolRectangle.modeNames = ["Axis-aligned", "Rotated", "Perspective"];
+
+// Set the mode, which determines the number of steps
+ToolRectangle.prototype.setMode = function(mode) {
+	this.mode = mode;
+	this.numSteps = this.minSteps = (mode == ToolRectangle.modeAligned ? 2 : 3);
+};
+
+ToolRectangle.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Display the edges, collapsed to the first corner
+		case 0:
+			var c = new Coord2D(gx, gy);
+			
+			for (var i = 0; i < 4; i++) {
+				this.registerShape(Line.fromPoints(c, c).generate(), "edge"+i);
+			}
+			
+			this.registerShape(Point.fromCoord(c).generate(), "corner");
+			break;
+		
+		// Step 1: Place the second corner, completing an axis-aligned 
+		// rectangle
+		case 1:
+			if (this.mode == ToolRectangle.modeAligned) {
+				break;
+			}
+			
+			if (this.corners[0].isEqual(this.corners[1]) 
+				|| (this.mode == ToolRectangle.modePerspective && this.firstDirection == -1)) {
+				// Do not advance to next step if the first edge has no length
+				this.decrementStep();
+			}
+			break;
+		
+		// Step 2: Place the third corner, completing the rectangle
+		case 2:
+			if (this.corners[1].isEqual(this.corners[2]) 
+				|| (this.mode == ToolRectangle.modePerspective && this.secondDirection == -1)) {
+				// Do not complete the rectangle if it has no width
+				this.decrementStep();
+			}
+			break;
+	}
+};
+
+ToolRectangle.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var a = this.getKeyCoordFromStep(0);
+	var m = new Coord2D(gx, gy);
+	
+	switch (stepNum) {
+		
+		// Step 0: Update the rectangle, or its first edge, to match the mouse
+		// location
+		case 0:
+			switch (this.mode) {
+				
+				case ToolRectangle.modeAligned:
+					if (this.checkModifierKeys([KeyCode.shift])) {
+						// Constrain the rectangle to a square
+						var size = Math.max(Math.abs(m.x - a.x), Math.abs(m.y - a.y));
+						m.x = a.x + (m.x < a.x ? -size : size);
+						m.y = a.y + (m.y < a.y ? -size : size);
+						this.lockMouseCoords(m);
+					}
+					
+					this.setCorners([a, new Coord2D(m.x, a.y), m, new Coord2D(a.x, m.y)]);
+					this.displayTip("Width: "+Util.roundToDecimal(Math.abs(m.x - a.x), 2)
+						+", Height: "+Util.roundToDecimal(Math.abs(m.y - a.y), 2));
+					break;
+				
+				case ToolRectangle.modeRotated:
+					if (this.checkModifierKeys([KeyCode.shift]) && !a.isEqual(m)) {
+						// Constrain the edge's angle to intervals of 45 degrees
+						var l = Line.fromPoints(a, m);
+						l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+						m = l.getProjectedPoint(m);
+						this.lockMouseCoords(m);
+					}
+					
+					this.setCorners([a, m, m, m]);
+					this.displayTip("Length: "+Util.roundToDecimal(a.distanceTo(m), 2));
+					break;
+				
+				case ToolRectangle.modePerspective:
+					this.firstDirection = this.getNearestDirection(a, m, -1);
+					
+					if (this.firstDirection != -1) {
+						m = this.layerManager.perspectiveSpace.getPrincipalLine(a, this.firstDirection).getProjectedPoint(m);
+						this.lockMouseCoords(m);
+					}
+					
+					this.setCorners([a, m, m, m]);
+					
+					if (this.layerManager.perspectiveSpace) {
+						this.displayTip("Length: "+Util.roundToDecimal(a.distanceTo(m), 2));
+					} else {
+						this.displayTip("No perspective space");
+					}
+					break;
+			}
+			break;
+		
+		// Step 1: Update the remaining corners to match the mouse location
+		case 1:
+			var b = this.getKeyCoordFromStep(1);
+			
+			switch (this.mode) {
+				
+				case ToolRectangle.modeRotated:
+					// Offset the first edge perpendicular to itself
+					var l = Line.fromPoints(b, new Coord2D(b.x - (b.y - a.y), b.y + (b.x - a.x)));
+					var c = l.getProjectedPoint(m);
+					
+					this.lockMouseCoords(c);
+					this.setCorners([a, b, c, new Coord2D(a.x + c.x - b.x, a.y + c.y - b.y)]);
+					this.displayTip("Width: "+Util.roundToDecimal(b.distanceTo(c), 2));
+					break;
+				
+				case ToolRectangle.modePerspective:
+					var space = this.layerManager.perspectiveSpace;
+					var c = m, d = m;
+					
+					this.secondDirection = this.firstDirection == -1 ? -1 : this.getNearestDirection(b, m, this.firstDirection);
+					
+					if (this.secondDirection != -1) {
+						c = space.getPrincipalLine(b, this.secondDirection).getProjectedPoint(m);
+						
+						// The fourth corner lies where the edges converging along the
+						// first two edges' directions from a and c meet
+						var ad = space.getPrincipalLine(a, this.secondDirection);
+						var cd = space.getPrincipalLine(c, this.firstDirection);
+						
+						d = (ad && cd && ad.getExtendedIntersection(cd)) || c;
+						this.lockMouseCoords(c);
+					}
+					
+					this.setCorners([a, b, c, d]);
+					this.displayTip("Place third corner");
+					break;
+			}
+			break;
+	}
+};
+
+ToolRectangle.prototype.complete = function(stepNum) {
+	var c = this.corners;
+	
+	// Twice the signed area of the rectangle
+	var area = 0;
+	
+	for (var i = 0; i < 4; i++) {
+		area += c[i].x * c[(i + 1) % 4].y - c[(i + 1) % 4].x * c[i].y;
+	}
+	
+	// Do not bake a rectangle without area
+	if (!Util.equals(area, 0)) {
+		for (var i = 0; i < 4; i++) {
+			this.bakeShape("edge"+i);
+		}
+	}
+};
+
+ToolRectangle.prototype.keydown = function(evt) {
+	// Cycle modes on the initial key press only, before the first edge is set
+	if (evt.keyCode == KeyCode.rectMode && this.constrainKeys.indexOf(evt.keyCode) == -1 && this.currentStep < 1) {
+		this.setMode((this.mode + 1) % ToolRectangle.modeNames.length);
+		
+		if (this.currentStep == -1) {
+			this.displayTip(ToolRectangle.modeNames[this.mode]+" rectangle", true);
+		}
+	}
+	
+	ToolRectangle.superclass.keydown.call(this, evt);
+};
+
+// Set the four corners (Coord2Ds) of the rectangle, in order around its 
+// perimeter, and update the edges accordingly
+ToolRectangle.prototype.setCorners = function(corners) {
+	this.corners = corners;
+	
+	for (var i = 0; i < 4; i++) {
+		var l = this.getShape("edge"+i);
+		
+		l.p1 = corners[i].clone();
+		l.p2 = corners[(i + 1) % 4].clone();
+		l.push();
+	}
+	
+	var p = this.getShape("corner");
+	p.coord = corners[0].clone();
+	p.push();
+};
+
+// Returns the index of the principal direction of the perspective space 
+// whose line through 'p' is nearest in angle to the direction from 'p' to 
+// 'q', skipping direction 'exclude'. Returns -1 if there is no perspective 
+// space, or if 'p' and 'q' coincide.
+ToolRectangle.prototype.getNearestDirection = function(p, q, exclude) {
+	var space = this.layerManager.perspectiveSpace;
+	var nearest = -1, minSine = Infinity;
+	
+	if (!space || p.isEqual(q)) {
+		return -1;
+	}
+	
+	var length = p.distanceTo(q);
+	
+	for (var i = 0; i < PerspectiveSpace.numPrincipalDirections; i++) {
+		var l = space.getPrincipalLine(p, i);
+		
+		if (i != exclude && l) {
+			// Sine of the angle between the line and the direction to q
+			var sine = Math.abs((l.p2.x - l.p1.x) * (q.y - p.y) - (l.p2.y - l.p1.y) * (q.x - p.x)) / (l.getLength() * length);
+			
+			if (sine < minSine) {
+				nearest = i;
+				minSine = sine;
+			}
+		}
+	}
+	
+	return nearest;
+};
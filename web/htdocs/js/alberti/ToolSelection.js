@@ -20,22 +20,44 @@
  *
  * ToolSelection.js
  * 
- * Tool for selecting Shapes.
+ * Tool for selecting Shapes. The defining points of the selected shapes (see
+ * Shape::getHandles) are marked with handles, which can be dragged to 
+ * reshape the shapes.
  * 
  * * */
  
 function ToolSelection(uiObjects) {
 	ToolSelection.baseConstructor.call(this, 2, 2, true, uiObjects);
+	this.keepsSelection = true;
+	
+	this.handleShapes = [];           // Selected shapes whose handles are displayed
+	this.handlePoints = [];           // Points marking the handles
+	this.editHandle = null;           // Handle being dragged, as {shape, index}
 }
 Util.extend(ToolSelection, Tool);
 
+// Handles are not displayed for selections larger than this
+ToolSelection.maxHandleShapes = 20;
+
 ToolSelection.prototype.executeStep = function(stepNum, gx, gy) {
 	switch (stepNum) {
 		
 		case 0:
+			var c = new Coord2D(gx, gy);
+			
+			// Clicking a handle reshapes its shape, unless shift is held to 
+			// modify the selection
+			this.editHandle = this.checkModifierKeys([KeyCode.shift]) ? null : this.pickHandle(c);
+			
+			if (this.editHandle) {
+				this.excludeSnapPoint = this.editHandle.shape.getHandles()[this.editHandle.index];
+				this.registerShape(this.editHandle.shape.clone().generate(), "edit_shape");
+				break;
+			}
+			
 			var selectRect = new Rectangle().generate();
 			
-			selectRect.rect = Rect2D.fromPoints(new Coord2D(gx, gy), new Coord2D(gx, gy));
+			selectRect.rect = Rect2D.fromPoints(c, c);
 			selectRect.set("id", "selectionBox");
 			
 			this.registerShape(selectRect, "select_rect");
@@ -47,6 +69,17 @@ ToolSelection.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
 	switch (stepNum) {
 		
 		case 0:
+			if (this.editHandle) {
+				// Reshape a copy of the shape, previewing the edit
+				var edited = this.editHandle.shape.clone().moveHandle(this.editHandle.index, new Coord2D(gx, gy));
+				
+				this.unregisterShape("edit_shape");
+				this.registerShape(edited.generate(), "edit_shape");
+				edited.displaySelected();
+				this.moveHandlePoints(this.editHandle.shape, edited.getHandles());
+				break;
+			}
+			
 			var selectRect = this.getShape("select_rect");
 			
 			var p1 = this.getKeyCoordFromStep(0);
@@ -60,6 +93,20 @@ ToolSelection.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
 };
 
 ToolSelection.prototype.complete = function(stepNum) {
+	if (this.editHandle) {
+		var shape = this.editHandle.shape;
+		var edited = this.unregisterShape("edit_shape");
+		
+		// Replace the shape only if it was reshaped
+		if (!edited.getHandles().every(function(h, i) {return h.isEqual(shape.getHandles()[i]);})) {
+			this.layerManager.replaceShape(shape, edited);
+		}
+		
+		this.editHandle = null;
+		this.updateHandles();
+		return;
+	}
+	
 	var selectRect = this.getShape("select_rect");
 	var shapes;
 	
@@ -82,8 +129,111 @@ ToolSelection.prototype.complete = function(stepNum) {
 	} else {
 		this.layerManager.setSelection(shapes);
 	}
+	
+	this.updateHandles();
+};
+
+ToolSelection.prototype.reset = function() {
+	ToolSelection.superclass.reset.call(this);
+	
+	// Put the handles of a cancelled edit back in place
+	if (this.editHandle) {
+		this.editHandle = null;
+		this.clearHandles();
+		this.updateHandles();
+	}
 };
 
 ToolSelection.prototype.onDeactivate = function() {
-	this.layerManager.setSelection([]);
+	this.editHandle = null;
+	this.clearHandles();
+};
+
+// Refresh the handles before handling mouse moves and key presses, as the 
+// selection may have changed outside of the tool (e.g. by undo)
+ToolSelection.prototype.invokeMouseMove = function(gx, gy) {
+	if (this.currentStep == -1) {
+		this.updateHandles();
+	}
+	
+	ToolSelection.superclass.invokeMouseMove.call(this, gx, gy);
+};
+
+// Display handles for the selected shapes, if they have changed
+ToolSelection.prototype.updateHandles = function() {
+	var shapes = this.layerManager.getSelectedShapes();
+	
+	if (shapes.length > ToolSelection.maxHandleShapes) {
+		shapes = [];
+	}
+	
+	if (shapes.equals(this.handleShapes)) {
+		return;
+	}
+	
+	this.clearHandles();
+	
+	for (var i = 0, sLen = shapes.length; i < sLen; i++) {
+		var handles = shapes[i].getHandles();
+		
+		for (var j = 0, hLen = handles.length; j < hLen; j++) {
+			var p = Point.fromCoord(handles[j]).generate();
+			
+			p.innerColor = "none";
+			p.push();
+			this.overlayGroup.attachChild(p);
+			this.handlePoints.push(p);
+		}
+	}
+	
+	this.handleShapes = shapes;
+};
+
+// Move the points marking the handles of the given shape to the given 
+// Coord2Ds, so that they follow the shape while it is being reshaped
+ToolSelection.prototype.moveHandlePoints = function(shape, handles) {
+	var offset = 0;
+	
+	for (var i = 0, sLen = this.handleShapes.length; i < sLen && this.handleShapes[i] !== shape; i++) {
+		offset += this.handleShapes[i].getHandles().length;
+	}
+	
+	for (var j = 0, hLen = handles.length; j < hLen; j++) {
+		var p = this.handlePoints[offset + j];
+		
+		p.coord.x = handles[j].x;
+		p.coord.y = handles[j].y;
+		p.push();
+	}
+};
+
+ToolSelection.prototype.clearHandles = function() {
+	for (var i = 0, hLen = this.handlePoints.length; i < hLen; i++) {
+		this.handlePoints[i].detach();
+	}
+	
+	this.handlePoints = [];
+	this.handleShapes = [];
+};
+
+// Returns the handle nearest the given Coord2D within the pick radius, as 
+// {shape, index}, or null if none found. Later (i.e. higher) shapes win ties.
+ToolSelection.prototype.pickHandle = function(coord) {
+	var radius = Alberti.handlePickRadius / this.masterGroup.scale;
+	var nearest = null;
+	
+	for (var i = 0, sLen = this.handleShapes.length; i < sLen; i++) {
+		var handles = this.handleShapes[i].getHandles();
+		
+		for (var j = 0, hLen = handles.length; j < hLen; j++) {
+			var d = coord.distanceTo(handles[j]);
+			
+			if (d <= radius) {
+				radius = d;
+				nearest = {shape: this.handleShapes[i], index: j};
+			}
+		}
+	}
+	
+	return nearest;
 };
@@ -0,0 +1,175 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolThreePointPerspective.js
+ * extends ToolPerspective
+ * 
+ * Tool for constructing a three-point perspective space. The user places the
+ * two vanishing points on the horizon, then the vertical vanishing point. The
+ * three vanishing points must form an acute triangle, whose orthocenter is 
+ * the center of vision. Lines converging at the horizontal vanishing points 
+ * are laid out across the cone of vision, as are verticals converging at the 
+ * vertical vanishing point.
+ * 
+ * * */
+ 
+function ToolThreePointPerspective(uiObjects) {
+	ToolThreePointPerspective.baseConstructor.call(this, 3, 3, false, uiObjects);
+}
+Util.extend(ToolThreePointPerspective, ToolPerspective);
+
+ToolThreePointPerspective.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the first vanishing point on the horizon
+		case 0:
+			var c = new Coord2D(gx, gy);
+			
+			this.registerShape(Point.fromCoord(c).generate(), "vp1");
+			this.registerShape(Line.fromPoints(c, c).generate(), "horizon_line");
+			break;
+		
+		// Step 1: Place the second vanishing point on the horizon, and display
+		// the remaining sides of the triangle of vanishing points
+		case 1:
+			var vp1 = this.getKeyCoordFromStep(0);
+			var vp2 = this.getKeyCoordFromStep(1);
+			
+			if (vp1.isEqual(vp2)) {
+				// Do not advance to next step if vanishing points coincide
+				this.decrementStep();
+				break;
+			}
+			
+			this.registerShape(Point.fromCoord(vp2).generate(), "vp2");
+			this.registerShape(Line.fromPoints(vp1, vp2).generate(), "side13");
+			this.registerShape(Line.fromPoints(vp2, vp2).generate(), "side23");
+			this.registerShape(Point.fromCoord(vp2).generate(), "vp3");
+			break;
+		
+		// Step 2: Place the vertical vanishing point
+		case 2:
+			var vp1 = this.getKeyCoordFromStep(0);
+			var vp2 = this.getKeyCoordFromStep(1);
+			var vp3 = new Coord2D(gx, gy);
+			
+			if (!PerspectiveSpace.isAcuteTriangle(vp1, vp2, vp3)) {
+				// Do not complete the space if the triangle is not acute
+				this.decrementStep();
+				break;
+			}
+			
+			this.space = PerspectiveSpace.fromThreeVanishingPoints(vp1, vp2, vp3);
+			this.updateGuides();
+			break;
+	}
+};
+
+ToolThreePointPerspective.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Update the horizon line to match the mouse location
+		case 0:
+			var l = this.getShape("horizon_line");
+			
+			l.p2.x = gx;
+			l.p2.y = gy;
+			
+			// Constrain the horizon line to the horizontal
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				l.p2.y = l.p1.y;
+				this.lockMouseCoords(l.p2);
+			}
+			
+			l.push();
+			
+			this.displayTip("Place second vanishing point");
+			break;
+		
+		// Step 1: Update the triangle of vanishing points and the guides to 
+		// match the mouse location
+		case 1:
+			var vp1 = this.getKeyCoordFromStep(0);
+			var vp2 = this.getKeyCoordFromStep(1);
+			var vp3 = new Coord2D(gx, gy);
+			
+			// Place the vertical vanishing point on the perpendicular bisector
+			// of the horizon, so that both horizontal vanishing points lie 
+			// equally far from the center of vision
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				var horizon = Line.fromPoints(vp1, vp2);
+				var mp = horizon.getMidpoint();
+				var bisector = Line.fromPoints(mp, new Coord2D(mp.x - (vp2.y - vp1.y), mp.y + (vp2.x - vp1.x)));
+				
+				vp3 = bisector.getProjectedPoint(vp3);
+				this.lockMouseCoords(vp3);
+			}
+			
+			var side13 = this.getShape("side13");
+			var side23 = this.getShape("side23");
+			var p = this.getShape("vp3");
+			
+			side13.p2 = vp3.clone();
+			side23.p2 = vp3.clone();
+			p.coord = vp3.clone();
+			
+			side13.push();
+			side23.push();
+			p.push();
+			
+			if (PerspectiveSpace.isAcuteTriangle(vp1, vp2, vp3)) {
+				this.space = PerspectiveSpace.fromThreeVanishingPoints(vp1, vp2, vp3);
+				this.updateGuides();
+				
+				this.displayTip("Viewing distance: "+Util.roundToDecimal(this.space.viewingDistance, 2));
+			} else {
+				this.space = null;
+				this.removeGuides();
+				
+				this.displayTip("The vanishing points must form an acute triangle");
+			}
+			break;
+	}
+};
+
+// Adds the lines of sight, the sides of the triangle of vanishing points, 
+// lines converging at the horizontal vanishing points, and verticals 
+// converging at the vertical vanishing point
+ToolThreePointPerspective.prototype.getGuideShapes = function(space) {
+	var vp1 = space.vanishingPoints[0];
+	var vp2 = space.vanishingPoints[1];
+	var vp3 = space.vanishingPoints[2];
+	var cv = space.centerOfVision;
+	var h = space.getHorizonDirection();
+	var radius = space.getConeOfVisionRadius();
+	
+	return ToolThreePointPerspective.superclass.getGuideShapes.call(this, space).concat(
+		this.getLinesOfSight(space),
+		[Line.fromPoints(vp1, vp3), Line.fromPoints(vp2, vp3)],
+		this.getHorizontalVanishingLines(space, vp1),
+		this.getHorizontalVanishingLines(space, vp2),
+		this.getVanishingLines(space, vp3, cv, 
+			new Coord2D(cv.x - radius * h.x, cv.y - radius * h.y), Alberti.perspectiveGuideCount
+		),
+		this.getVanishingLines(space, vp3, cv, 
+			new Coord2D(cv.x + radius * h.x, cv.y + radius * h.y), Alberti.perspectiveGuideCount
+		)
+	);
+};
@@ -0,0 +1,239 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolTransform.js
+ * extends ToolDuplicate
+ * 
+ * Tool for transforming the selected shapes in place. Press the mode key to
+ * cycle between five modes before placing the second point:
+ * 
+ *    Move:    Click a base point, then click its destination.
+ *    Rotate:  Click the pivot and a reference point, then click to set the
+ *             angle of rotation from the reference point.
+ *    Scale:   Click the base point and a reference point, then click to 
+ *             set the new location of the reference point. Scaling is 
+ *             uniform, about the base point.
+ *    Stretch: As above, scaling along the reference line only.
+ *    Mirror:  Click two points on the mirror line.
+ * 
+ * The transformed shapes are previewed as copies (see ToolDuplicate), and
+ * replace the originals on completion.
+ * 
+ * * */
+ 
+function ToolTransform(uiObjects) {
+	ToolTransform.baseConstructor.call(this, 2, 2, false, uiObjects);
+	this.mode = ToolTransform.modeMove;
+	this.transformMatrix = null;      // Transform being previewed, if any
+}
+Util.extend(ToolTransform, ToolDuplicate);
+
+ToolTransform.modeMove = 0;
+ToolTransform.modeRotate = 1;
+ToolTransform.modeScale = 2;
+ToolTransform.modeStretch = 3;
+ToolTransform.modeMirror = 4;
+
+ToolTransform.modeNames = ["Move", "Rotate", "Scale", "Stretch", "Mirror"];
+
+// Set the mode, which determines the number of steps
+ToolTransform.prototype.setMode = function(mode) {
+	this.mode = mode;
+	this.numSteps = this.minSteps = (mode == ToolTransform.modeMove || mode == ToolTransform.modeMirror ? 2 : 3);
+};
+
+ToolTransform.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the base point, and display the reference line
+		case 0:
+			if (this.captureSelection()) {
+				var c = new Coord2D(gx, gy);
+				
+				this.registerShape(Point.fromCoord(c).generate(), "base");
+				this.registerShape(Line.fromPoints(c, c).generate(), "reference_line", true);
+			}
+			break;
+		
+		// Step 1: Place the reference point, completing a move or mirror
+		case 1:
+			var base = this.getKeyCoordFromStep(0);
+			
+			if (base.isEqual(this.getKeyCoordFromStep(1))) {
+				// Do not advance to next step if the reference point is the
+				// base point
+				this.decrementStep();
+				break;
+			}
+			
+			if (this.numSteps > 2) {
+				this.registerShape(Line.fromPoints(base, base).generate(), "transform_line", true);
+			}
+			break;
+		
+		// Step 2: Set the angle or scale factor, completing the transform
+		case 2:
+			if (!this.transformMatrix) {
+				// Do not complete a transform that collapses the shapes
+				this.decrementStep();
+			}
+			break;
+	}
+};
+
+ToolTransform.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	var base = this.getKeyCoordFromStep(0);
+	var m = new Coord2D(gx, gy);
+	
+	switch (stepNum) {
+		
+		// Step 0: Update the reference line to match the mouse location, 
+		// previewing a move or mirror
+		case 0:
+			var l = this.getShape("reference_line");
+			
+			l.p2 = m;
+			
+			if (this.checkModifierKeys([KeyCode.shift]) && !base.isEqual(m)) {
+				// Constrain the reference line to angles of 45 degrees
+				l.setAngle(Util.roundToMultiple(l.getAngle(), quarterPi));
+				l.p2 = l.getProjectedPoint(m);
+				this.lockMouseCoords(l.p2);
+			}
+			
+			l.push();
+			
+			switch (this.mode) {
+				
+				case ToolTransform.modeMove:
+					this.setTransform(Matrix2D.translate(l.p2.x - base.x, l.p2.y - base.y));
+					this.displayTip("Distance: "+Util.roundToDecimal(l.getLength(), 2));
+					break;
+				
+				case ToolTransform.modeMirror:
+					this.setTransform(base.isEqual(l.p2) ? null : ToolTransform.getAboutLine(base, l.getAngle(), Matrix2D.scale(1, -1)));
+					this.displayTip("Mirror angle: "+Util.roundToDecimal(Util.radToDeg(l.getAngle()), 2)+"&#176;");
+					break;
+				
+				default:
+					this.displayTip("Place reference point");
+					break;
+			}
+			break;
+		
+		// Step 1: Update the rotation or scale to match the mouse location
+		case 1:
+			var ref = this.getKeyCoordFromStep(1);
+			var refAngle = base.angleTo(ref);
+			var l = this.getShape("transform_line");
+			
+			if (!l) {
+				// Move or mirror has completed
+				break;
+			}
+			
+			l.p2 = m;
+			
+			if (this.mode == ToolTransform.modeRotate) {
+				var a = base.angleToRelative(m, refAngle);
+				
+				// Angles beyond 180 degrees run counter-clockwise
+				a = a > pi ? a - twoPi : a;
+				
+				if (this.checkModifierKeys([KeyCode.shift]) && !base.isEqual(m)) {
+					// Constrain the rotation to intervals of 15 degrees
+					a = Util.roundToMultiple(a, pi / 12);
+					l.setAngle(refAngle + a);
+					l.p2 = l.getProjectedPoint(m);
+					this.lockMouseCoords(l.p2);
+				}
+				
+				l.push();
+				
+				this.setTransform(base.isEqual(m) ? null : ToolTransform.getAboutLine(base, 0, Matrix2D.rotate(a)));
+				this.displayTip("Angle: "+Util.roundToDecimal(Util.radToDeg(a), 2)+"&#176;");
+				
+			} else {
+				// Scale factor, from the projection of the mouse location onto
+				// the reference line
+				var dx = ref.x - base.x, dy = ref.y - base.y;
+				var s = ((m.x - base.x) * dx + (m.y - base.y) * dy) / (dx * dx + dy * dy);
+				
+				if (this.checkModifierKeys([KeyCode.shift])) {
+					// Constrain the scale factor to intervals of 0.25
+					s = Util.roundToMultiple(s, 0.25);
+				}
+				
+				l.p2 = new Coord2D(base.x + s * dx, base.y + s * dy);
+				this.lockMouseCoords(l.p2);
+				l.push();
+				
+				if (Util.equals(s, 0)) {
+					this.setTransform(null);
+				} else if (this.mode == ToolTransform.modeScale) {
+					this.setTransform(ToolTransform.getAboutLine(base, 0, Matrix2D.scale(s, s)));
+				} else {
+					this.setTransform(ToolTransform.getAboutLine(base, refAngle, Matrix2D.scale(s, 1)));
+				}
+				
+				this.displayTip("Scale: "+Util.roundToDecimal(s, 3));
+			}
+			break;
+	}
+};
+
+ToolTransform.prototype.keydown = function(evt) {
+	// Cycle modes on the initial key press only, before the reference point
+	// is set
+	if (evt.keyCode == KeyCode.transformMode && this.constrainKeys.indexOf(evt.keyCode) == -1 && this.currentStep < 1) {
+		this.setMode((this.mode + 1) % ToolTransform.modeNames.length);
+		this.setTransform(null);
+		this.displayTip(ToolTransform.modeNames[this.mode], true);
+	}
+	
+	ToolTransform.superclass.keydown.call(this, evt);
+};
+
+// Set the Matrix2D applied to the selected shapes, previewing the result. 
+// Pass null for none.
+ToolTransform.prototype.setTransform = function(matrix) {
+	this.transformMatrix = matrix;
+	this.setCopies(matrix ? [matrix] : []);
+};
+
+// Replace the selected shapes with their transformed copies
+ToolTransform.prototype.complete = function(stepNum) {
+	for (var i = 0; this.getShape("copy"+i); i++) {
+		this.layerManager.replaceShape(this.originals[i], this.unregisterShape("copy"+i));
+	}
+	
+	this.originals = [];
+	this.transformMatrix = null;
+};
+
+// Returns the given Matrix2D applied in the frame of a line through 'p' at
+// angle 'a', e.g. a scale along the line, or a reflection across it.
+ToolTransform.getAboutLine = function(p, a, matrix) {
+	return Matrix2D.translate(p.x, p.y)
+		.multiply(Matrix2D.rotate(a))
+		.multiply(matrix)
+		.multiply(Matrix2D.rotate(-a))
+		.multiply(Matrix2D.translate(-p.x, -p.y));
+};
@@ -0,0 +1,254 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolTrim.js
+ * extends Tool
+ * 
+ * Tool for trimming and extending shapes at their intersections with other
+ * visible shapes. Press the mode key to toggle between two modes:
+ * 
+ *    Trim:   Click the portion of a shape between two intersections (or 
+ *            between an intersection and an end) to remove it. Shapes 
+ *            without intersections are removed entirely.
+ *    Extend: Click a line near one of its ends to lengthen it to the next
+ *            intersecting shape.
+ * 
+ * The portion to be removed or added is previewed as the mouse hovers over 
+ * a shape. Trimmed circles and ellipses become arcs, and trimming the middle
+ * of a shape leaves two pieces; all changes to a shape are undone together.
+ * 
+ * * */
+ 
+function ToolTrim(uiObjects) {
+	ToolTrim.baseConstructor.call(this, 1, 1, false, uiObjects);
+	this.mode = ToolTrim.modeTrim;
+	
+	this.edit = null;                 // Edit to be made on the next click (see ToolTrim::getEdit)
+	this.previewShape = null;         // Shape previewing the edit
+}
+Util.extend(ToolTrim, Tool);
+
+ToolTrim.modeTrim = 0;
+ToolTrim.modeExtend = 1;
+
+ToolTrim.modeNames = ["Trim", "Extend"];
+
+// Intersections within this distance of a line's end are not extended to
+ToolTrim.extendTolerance = 1e-6;
+
+// Length of the ray along which lines are extended. Shapes further than this
+// from a line's end are not extended to.
+ToolTrim.extendRange = 1e6;
+
+ToolTrim.prototype.executeStep = function(stepNum, gx, gy) {
+	this.edit = this.getEdit(new Coord2D(gx, gy));
+	
+	if (!this.edit) {
+		this.decrementStep();
+		this.displayTip(this.mode == ToolTrim.modeTrim ? "Click a shape to trim" : "Click a line near its end", true);
+	}
+};
+
+// Preview the edit under the mouse while no step is in progress
+ToolTrim.prototype.invokeMouseMove = function(gx, gy) {
+	if (this.currentStep == -1) {
+		var edit = this.getEdit(new Coord2D(gx, gy));
+		this.setPreview(edit ? edit.preview : null);
+	}
+	
+	ToolTrim.superclass.invokeMouseMove.call(this, gx, gy);
+};
+
+ToolTrim.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {};
+
+ToolTrim.prototype.keydown = function(evt) {
+	// Toggle modes on the initial key press only
+	if (evt.keyCode == KeyCode.trimMode && this.constrainKeys.indexOf(evt.keyCode) == -1) {
+		this.mode = (this.mode + 1) % ToolTrim.modeNames.length;
+		this.setPreview(null);
+		this.displayTip(ToolTrim.modeNames[this.mode], true);
+	}
+	
+	ToolTrim.superclass.keydown.call(this, evt);
+};
+
+// Display the given un-generate()'ed shape as the preview, replacing any 
+// previous one. Pass null for none.
+ToolTrim.prototype.setPreview = function(shape) {
+	if (this.previewShape) {
+		this.previewShape.detach();
+		this.previewShape = null;
+	}
+	
+	if (shape) {
+		this.previewShape = shape.generate();
+		this.previewShape.push();
+		this.overlayGroup.attachChild(this.previewShape);
+	}
+};
+
+// Returns the edit resulting from a click at Coord2D 'coord' in the current 
+// mode, as {shape, pieces, preview}, where 'pieces' is an array of un-
+// generate()'ed shapes replacing 'shape', and 'preview' is the portion being 
+// removed or added. Returns null if there is nothing to edit at 'coord'.
+ToolTrim.prototype.getEdit = function(coord) {
+	var shape = this.layerManager.pickShapes(coord, Alberti.selectionPickRadius / this.masterGroup.scale, true);
+	
+	if (!shape || shape.getParameter(coord) === null) {
+		return null;
+	}
+	
+	return this.mode == ToolTrim.modeTrim ? this.getTrimEdit(shape, coord) : this.getExtendEdit(shape, coord);
+};
+
+ToolTrim.prototype.getTrimEdit = function(shape, coord) {
+	var t = shape.getParameter(coord);
+	var params = this.getIntersections(shape).map(function(p) {
+		return shape.getParameter(p);
+	}).sort(function(a, b) {
+		return a - b;
+	});
+	
+	// Discard coincident intersections
+	params = params.filter(function(p, i) {
+		return i == 0 || !Util.equals(p, params[i - 1]);
+	});
+	
+	if (shape.isClosed()) {
+		// Closed shapes are trimmed between the intersections either side of
+		// the click, wrapping around the shape's start. At least two are needed.
+		if (params.length < 2) {
+			return {shape: shape, pieces: [], preview: shape.clone()};
+		}
+		
+		var a = params.filter(function(p) {return p <= t;}).peek();
+		var b = params.filter(function(p) {return p > t;})[0];
+		
+		a = a !== undefined ? a : params.peek() - 1;
+		b = b !== undefined ? b : params[0] + 1;
+		
+		return {shape: shape, pieces: [shape.getPiece(b, a + 1)], preview: shape.getPiece(a, b)};
+	}
+	
+	// Open shapes keep the pieces before and after the trimmed portion
+	var a = 0, b = 1;
+	
+	for (var i = 0, pLen = params.length; i < pLen; i++) {
+		if (params[i] <= t) {
+			a = params[i];
+		} else {
+			b = params[i];
+			break;
+		}
+	}
+	
+	var pieces = [];
+	
+	if (!Util.equals(a, 0)) {
+		pieces.push(shape.getPiece(0, a));
+	}
+	
+	if (!Util.equals(b, 1)) {
+		pieces.push(shape.getPiece(b, 1));
+	}
+	
+	return {shape: shape, pieces: pieces, preview: shape.getPiece(a, b)};
+};
+
+// Lines are extended from the end nearer to the click, along a ray of length
+// ToolTrim.extendRange, to the nearest intersection
+ToolTrim.prototype.getExtendEdit = function(shape, coord) {
+	if (shape.shapeName != Line.shapeName) {
+		return null;
+	}
+	
+	var fromStart = shape.getParameter(coord) < 0.5;
+	var end = fromStart ? shape.p1 : shape.p2;
+	var other = fromStart ? shape.p2 : shape.p1;
+	var ratio = ToolTrim.extendRange / shape.getLength();
+	
+	var ray = Line.fromPoints(end, new Coord2D(
+		end.x + ratio * (end.x - other.x),
+		end.y + ratio * (end.y - other.y)
+	));
+	
+	var nearest = null;
+	var minDistance = Infinity;
+	var intersections = this.getIntersections(ray, shape);
+	
+	for (var i = 0, iLen = intersections.length; i < iLen; i++) {
+		var d = end.distanceTo(intersections[i]);
+		
+		if (d < minDistance && !Util.equals(d, 0, ToolTrim.extendTolerance)) {
+			nearest = intersections[i];
+			minDistance = d;
+		}
+	}
+	
+	if (!nearest) {
+		return null;
+	}
+	
+	return {
+		shape: shape,
+		pieces: [fromStart ? Line.fromPoints(nearest, shape.p2) : Line.fromPoints(shape.p1, nearest)],
+		preview: Line.fromPoints(end, nearest)
+	};
+};
+
+// Returns the intersections (Coord2D's) of the given shape with all visible
+// shapes other than itself, or than 'exclude' if given
+ToolTrim.prototype.getIntersections = function(shape, exclude) {
+	exclude = exclude || shape;
+	
+	var shapes = this.layerManager.getVisibleShapes().filter(function(s) {
+		return s != exclude;
+	});
+	
+	return this.layerManager.snapPoints.testIntersections(shape, shapes, SnapPoints.nopFlag)[1];
+};
+
+// Replace the edited shape with its pieces, the first one taking its place
+ToolTrim.prototype.complete = function(stepNum) {
+	var shape = this.edit.shape;
+	var pieces = this.edit.pieces;
+	var layer = this.layerManager.shapeIndex[shape.sid].layer;
+	
+	if (pieces.length == 0) {
+		this.layerManager.removeShape(shape);
+	} else {
+		this.layerManager.replaceShape(shape, pieces[0].generate());
+		
+		for (var i = 1, pLen = pieces.length; i < pLen; i++) {
+			this.layerManager.insertShape(pieces[i].generate(), layer);
+		}
+	}
+	
+	this.edit = null;
+};
+
+ToolTrim.prototype.reset = function() {
+	ToolTrim.superclass.reset.call(this);
+	this.setPreview(null);
+};
+
+ToolTrim.prototype.onDeactivate = function() {
+	this.setPreview(null);
+};
@@ -0,0 +1,133 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ToolTwoPointPerspective.js
+ * extends ToolPerspective
+ * 
+ * Tool for constructing a two-point perspective space. The user places the 
+ * two vanishing points, which define the horizon line, then the center of 
+ * vision along the horizon between them, which determines the station point
+ * and the 90 degree cone of vision. Lines converging at each vanishing point
+ * are laid out across the cone of vision.
+ * 
+ * * */
+ 
+function ToolTwoPointPerspective(uiObjects) {
+	ToolTwoPointPerspective.baseConstructor.call(this, 3, 3, false, uiObjects);
+}
+Util.extend(ToolTwoPointPerspective, ToolPerspective);
+
+ToolTwoPointPerspective.prototype.executeStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Place the first vanishing point
+		case 0:
+			var c = new Coord2D(gx, gy);
+			
+			this.registerShape(Point.fromCoord(c).generate(), "vp1");
+			this.registerShape(Line.fromPoints(c, c).generate(), "horizon_line");
+			break;
+		
+		// Step 1: Place the second vanishing point, and display the circle on 
+		// which the station point lies
+		case 1:
+			var vp1 = this.getKeyCoordFromStep(0);
+			var vp2 = this.getKeyCoordFromStep(1);
+			
+			if (vp1.isEqual(vp2)) {
+				// Do not advance to next step if vanishing points coincide
+				this.decrementStep();
+				break;
+			}
+			
+			var circle = new Circle().generate();
+			circle.center = new Coord2D((vp1.x + vp2.x) / 2, (vp1.y + vp2.y) / 2);
+			circle.radius = vp1.distanceTo(vp2) / 2;
+			
+			this.registerShape(Point.fromCoord(vp2).generate(), "vp2");
+			this.registerShape(circle, "station_circle", true);
+			this.registerShape(Point.fromCoord(vp2).generate(), "station_point");
+			break;
+		
+		// Step 2: Place the center of vision
+		case 2:
+			this.space = PerspectiveSpace.fromTwoVanishingPoints(
+				this.getKeyCoordFromStep(0), this.getKeyCoordFromStep(1), new Coord2D(gx, gy)
+			);
+			this.updateGuides();
+			break;
+	}
+};
+
+ToolTwoPointPerspective.prototype.mouseMoveDuringStep = function(stepNum, gx, gy) {
+	switch (stepNum) {
+		
+		// Step 0: Update the horizon line to match the mouse location
+		case 0:
+			var l = this.getShape("horizon_line");
+			
+			l.p2.x = gx;
+			l.p2.y = gy;
+			
+			// Constrain the horizon line to the horizontal
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				l.p2.y = l.p1.y;
+				this.lockMouseCoords(l.p2);
+			}
+			
+			l.push();
+			
+			this.displayTip("Place second vanishing point");
+			break;
+		
+		// Step 1: Update the center of vision and the guides to match the 
+		// mouse location
+		case 1:
+			var vp1 = this.getKeyCoordFromStep(0);
+			var vp2 = this.getKeyCoordFromStep(1);
+			var c = new Coord2D(gx, gy);
+			
+			// Center the center of vision between the vanishing points
+			if (this.checkModifierKeys([KeyCode.shift])) {
+				c = new Coord2D((vp1.x + vp2.x) / 2, (vp1.y + vp2.y) / 2);
+			}
+			
+			this.space = PerspectiveSpace.fromTwoVanishingPoints(vp1, vp2, c);
+			this.lockMouseCoords(this.space.centerOfVision);
+			this.updateGuides();
+			
+			var sp = this.getShape("station_point");
+			sp.coord = this.space.getStationPoint();
+			sp.push();
+			
+			this.displayTip("Viewing distance: "+Util.roundToDecimal(this.space.viewingDistance, 2));
+			break;
+	}
+};
+
+// Adds the lines of sight, and lines converging at each vanishing point above 
+// and below the horizon
+ToolTwoPointPerspective.prototype.getGuideShapes = function(space) {
+	return ToolTwoPointPerspective.superclass.getGuideShapes.call(this, space).concat(
+		this.getLinesOfSight(space),
+		this.getHorizontalVanishingLines(space, space.vanishingPoints[0]),
+		this.getHorizontalVanishingLines(space, space.vanishingPoints[1])
+	);
+};
@@ -225,3 +225,14 @@ UndoManager.prototype.setCleanState = function() {
 UndoManager.prototype.stateIsClean = function() {
 	return this.undoStack.peek() === this.cleanState;
 };
+
+// Mark the document as having unsaved changes until the next call to 
+// 'setCleanState', regardless of the contents of the undo stack.
+UndoManager.prototype.clearCleanState = function() {
+	this.cleanState = null;
+};
+
+// Returns the topmost undo action, or undefined if the undo stack is empty.
+UndoManager.prototype.getLastAction = function() {
+	return this.undoStack.peek();
+};
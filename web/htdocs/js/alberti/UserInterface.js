@@ -40,10 +40,13 @@
  * serves as the application controller and implements new-document, save-
  * document, and load-document handler methods (whose names must be provided 
  * in the last three args). The new-doc handler takes no arguments. The save 
- * handler must take a single string argument denoting the export format 
- * (supported formats listen in AlbertiDocument.js). The load handler must 
+ * handler must take a string argument denoting the export format (supported
+ * formats listed in AlbertiDocument.js), and an optional object argument 
+ * containing format-specific export options. The load handler must 
  * take a string argument containing the XML data of the document to load, and 
- * a string argument containing the filename of the document.
+ * a string argument containing the filename of the document. 'docServer' is
+ * the application's DocumentServer, or null if no document server is 
+ * configured. If present, documents are opened from the server.
  * 
  * When loading another document, UserInterface::prepareForDocument should be
  * called in order to update the interface with the contents of the new doc.
@@ -56,13 +59,14 @@ UserInterface.cursorDefault    = "cursorDefault";
 UserInterface.cursorZoomAndPan = "cursorZoomAndPan";
 UserInterface.cursorCrosshair  = "cursorCrosshair";
 
-function UserInterface(clipBoard, appController, newDocHandler, saveHandler, loadHandler) {
+function UserInterface(clipBoard, appController, newDocHandler, saveHandler, loadHandler, docServer) {
 	UserInterface.baseConstructor.call(this);
 	this.clipBoard = clipBoard;
 	this.appController = appController;
 	this.newDocHandler = newDocHandler;
 	this.saveHandler = saveHandler;
 	this.loadHandler = loadHandler;
+	this.docServer = docServer;
 	
 	this.toolTip = new ToolTip(document.getElementById("tooltip"));
 	
@@ -104,7 +108,7 @@ UserInterface.prototype.prepareForDocument = function(albertiDoc) {
 		this.hideHud();
 		this.ulSlider.show();
 		this.ulMenu.enableMenuItem("mi_remove_ul");       // Enable "Remove Underlay" menu item
-		this.ulSlider.setValue(1.0);                      // Reset slider to full opacity
+		this.ulSlider.setValue(this.underlayImage.opacity);  // Match slider to underlay opacity
 	} else {
 		this.showHud();
 		this.ulSlider.hide();
@@ -122,6 +126,7 @@ UserInterface.prototype.prepareForDocument = function(albertiDoc) {
 	
 	// Create layer manager delegate and connect it to layer panel controller
 	this.lmDelegate = new LayerManagerDelegate(albertiDoc.layerManager, this.lpController, this);
+	this.updateExportFrame();
 	this.lpController.setLayerManagerDelegate(this.lmDelegate);
 	
 	// Tell layer panel controller to populate layer panel with data
@@ -153,6 +158,11 @@ UserInterface.prototype.setTool = function(toolName) {
 	if (this.toolIndex[toolName] && toolName != this.currentTool) {
 		if (this.currentTool !== null) {
 			this.toolIndex[this.currentTool].tool.deactivate();
+			
+			// Clear the selection unless the new tool operates on it
+			if (!this.toolIndex[toolName].tool.keepsSelection) {
+				this.lmDelegate.setSelection([]);
+			}
 		}
 		
 		this.currentTool = toolName;
@@ -212,6 +222,12 @@ UserInterface.prototype.initSvg = function() {
 	// workspace group, and beneath the center HUD
 	this.underlayGroup = new Group(document.getElementById("underlay"));
 	
+	// Outline of the document's export frame, hidden if there is no frame
+	this.exportFrameRect = new Rectangle().generate();
+	this.exportFrameRect.set("id", "exportFrame");
+	this.exportFrameRect.set("display", "none");
+	this.underlayGroup.attachChild(this.exportFrameRect);
+	
 	// overlayGroup contains UI elements that should be rendered above the 
 	// workspace group
 	this.overlayGroup = new Group(document.getElementById("overlay"));
@@ -231,21 +247,47 @@ UserInterface.prototype.initToolSet = function() {
 	
 	this.toolIndex = {
 		selectionTool:     {tool: new ToolSelection(uiObjects),     cursor: UserInterface.cursorDefault},
+		transformTool:     {tool: new ToolTransform(uiObjects),     cursor: UserInterface.cursorCrosshair},
+		duplicatePointTool: {tool: new ToolDuplicateAboutPoint(uiObjects), cursor: UserInterface.cursorCrosshair},
+		duplicateArrayTool: {tool: new ToolDuplicateArray(uiObjects), cursor: UserInterface.cursorCrosshair},
+		trimTool:          {tool: new ToolTrim(uiObjects),          cursor: UserInterface.cursorCrosshair},
 		markerTool:        {tool: new ToolMarker(uiObjects),        cursor: UserInterface.cursorCrosshair},
 		lineTool:          {tool: new ToolLine(uiObjects),          cursor: UserInterface.cursorCrosshair },
+		polylineTool:      {tool: new ToolPolyline(uiObjects),      cursor: UserInterface.cursorCrosshair },
+		constructionTool:  {tool: new ToolConstructionLine(uiObjects), cursor: UserInterface.cursorCrosshair },
+		rectangleTool:     {tool: new ToolRectangle(uiObjects),     cursor: UserInterface.cursorCrosshair },
 		circularArcTool:   {tool: new ToolCircleArc(uiObjects),     cursor: UserInterface.cursorCrosshair },
+		circlePointsTool:  {tool: new ToolCirclePoints(uiObjects),  cursor: UserInterface.cursorCrosshair },
 		ellipticalArcTool: {tool: new ToolEllipticalArc(uiObjects), cursor: UserInterface.cursorCrosshair },
-		bezierTool:        {tool: new ToolBezier(uiObjects),        cursor: UserInterface.cursorCrosshair }
+		bezierTool:        {tool: new ToolBezier(uiObjects),        cursor: UserInterface.cursorCrosshair },
+		cubicBezierTool:   {tool: new ToolCubicBezier(uiObjects),   cursor: UserInterface.cursorCrosshair },
+		onePointTool:      {tool: new ToolOnePointPerspective(uiObjects), cursor: UserInterface.cursorCrosshair },
+		twoPointTool:      {tool: new ToolTwoPointPerspective(uiObjects), cursor: UserInterface.cursorCrosshair },
+		threePointTool:    {tool: new ToolThreePointPerspective(uiObjects), cursor: UserInterface.cursorCrosshair },
+		exportFrameTool:   {tool: new ToolExportFrame(uiObjects),   cursor: UserInterface.cursorCrosshair }
 	};
 	
 	// Map tool button id strings to above tool indices
 	this.tbButtonMap = {
 		select_tool_btn:   "selectionTool",
+		transform_tool_btn: "transformTool",
+		dup_pt_tool_btn:   "duplicatePointTool",
+		dup_arr_tool_btn:  "duplicateArrayTool",
+		trim_tool_btn:     "trimTool",
 		marker_tool_btn:   "markerTool",
 		line_tool_btn:     "lineTool",
+		polyline_tool_btn: "polylineTool",
+		cline_tool_btn:    "constructionTool",
+		rect_tool_btn:     "rectangleTool",
 		carc_tool_btn:     "circularArcTool",
+		cpts_tool_btn:     "circlePointsTool",
 		earc_tool_btn:     "ellipticalArcTool",
-		bez_tool_btn:      "bezierTool"
+		bez_tool_btn:      "bezierTool",
+		cbez_tool_btn:     "cubicBezierTool",
+		pp1_tool_btn:      "onePointTool",
+		pp2_tool_btn:      "twoPointTool",
+		pp3_tool_btn:      "threePointTool",
+		frame_tool_btn:    "exportFrameTool"
 	}
 	
 	// Map key codes to toolbar buttons
@@ -254,7 +296,11 @@ UserInterface.prototype.initToolSet = function() {
 		50: this.lineToolBtn,                       // '2'
 		51: this.circularArcToolBtn,                // '3'
 		52: this.ellipticalArcToolBtn,              // '4'
-		53: this.bezierToolBtn                      // '5'
+		53: this.bezierToolBtn,                     // '5'
+		54: this.rectangleToolBtn,                  // '6'
+		55: this.circlePointsToolBtn,               // '7'
+		56: this.transformToolBtn,                  // '8'
+		57: this.polylineToolBtn                    // '9'
 	}
 	
 	this.currentTool = null;
@@ -282,7 +328,8 @@ UserInterface.prototype.initAutoScale = function() {
 UserInterface.prototype.initFileImporters = function() {
 	// Create file importer for loading Alberti documents, and one for loading underlay images, passing self as controller
 	this.docImporter = new FileImporter(
-		document.getElementById("fi"), "image/svg+xml", true, this.appController, "handleOpenDocument", "svg"
+		document.getElementById("fi"), "image/svg+xml,."+AlbertiDocument.packageExtension, true, this.appController, 
+		"handleOpenDocument", "svg|"+AlbertiDocument.packageExtension, AlbertiDocument.packageExtension
 	);
 	
 	this.ulImgImporter = new FileImporter(
@@ -292,6 +339,14 @@ UserInterface.prototype.initFileImporters = function() {
 		this,
 		"handleImportUlImage", "jpg|jpeg|png|tiff|tif|gif"
 	);
+	
+	this.svgImporter = new FileImporter(
+		document.getElementById("svgi"), "image/svg+xml", true, this, "handleImportSvg", "svg"
+	);
+	
+	this.dxfImporter = new FileImporter(
+		document.getElementById("dxfi"), "image/vnd.dxf,application/dxf", true, this.appController, "handleImportDxf", "dxf"
+	);
 };
 
 UserInterface.prototype.initLayerPanel = function() {
@@ -362,6 +417,22 @@ UserInterface.prototype.initToolBar = function() {
 		this, "handleToolBar", false, "Selection Tool [1]", "", true
 	).enable();
 	
+	this.transformToolBtn = new GuiButton("transform_tool_btn", document.getElementById("transform_tool_btn"), 
+		this, "handleToolBar", false, "Transform Tool [8]", "", true
+	).enable();
+	
+	this.duplicatePointToolBtn = new GuiButton("dup_pt_tool_btn", document.getElementById("dup_pt_tool_btn"), 
+		this, "handleToolBar", false, "Duplicate About Point Tool", "", true
+	).enable();
+	
+	this.duplicateArrayToolBtn = new GuiButton("dup_arr_tool_btn", document.getElementById("dup_arr_tool_btn"), 
+		this, "handleToolBar", false, "Duplicate Array Tool", "", true
+	).enable();
+	
+	this.trimToolBtn = new GuiButton("trim_tool_btn", document.getElementById("trim_tool_btn"), 
+		this, "handleToolBar", false, "Trim/Extend Tool", "", true
+	).enable();
+	
 	this.markerToolBtn = new GuiButton("marker_tool_btn", document.getElementById("marker_tool_btn"), 
 		this, "handleToolBar", false, "Marker Tool", "", true
 	).enable();
@@ -370,10 +441,26 @@ UserInterface.prototype.initToolBar = function() {
 		this, "handleToolBar", false, "Line Tool [2]", "", true
 	).enable();
 	
+	this.polylineToolBtn = new GuiButton("polyline_tool_btn", document.getElementById("polyline_tool_btn"), 
+		this, "handleToolBar", false, "Polyline Tool [9]", "", true
+	).enable();
+	
+	this.constructionToolBtn = new GuiButton("cline_tool_btn", document.getElementById("cline_tool_btn"), 
+		this, "handleToolBar", false, "Construction Line Tool", "", true
+	).enable();
+	
+	this.rectangleToolBtn = new GuiButton("rect_tool_btn", document.getElementById("rect_tool_btn"), 
+		this, "handleToolBar", false, "Rectangle Tool [6]", "", true
+	).enable();
+	
 	this.circularArcToolBtn = new GuiButton("carc_tool_btn", document.getElementById("carc_tool_btn"), 
 		this, "handleToolBar", false, "Circular Arc Tool [3]", "", true
 	).enable();
 	
+	this.circlePointsToolBtn = new GuiButton("cpts_tool_btn", document.getElementById("cpts_tool_btn"), 
+		this, "handleToolBar", false, "Circle Through Points Tool [7]", "", true
+	).enable();
+	
 	this.ellipticalArcToolBtn = new GuiButton("earc_tool_btn", document.getElementById("earc_tool_btn"), 
 		this, "handleToolBar", false, "Perspective Arc Tool [4]", "", true
 	).enable();
@@ -382,13 +469,46 @@ UserInterface.prototype.initToolBar = function() {
 		this, "handleToolBar", false, "Bezier Tool [5]", "", true
 	).enable();
 	
+	this.cubicBezierToolBtn = new GuiButton("cbez_tool_btn", document.getElementById("cbez_tool_btn"), 
+		this, "handleToolBar", false, "Cubic Bezier Tool", "", true
+	).enable();
+	
+	this.onePointToolBtn = new GuiButton("pp1_tool_btn", document.getElementById("pp1_tool_btn"), 
+		this, "handleToolBar", false, "One-Point Perspective Tool", "", true
+	).enable();
+	
+	this.twoPointToolBtn = new GuiButton("pp2_tool_btn", document.getElementById("pp2_tool_btn"), 
+		this, "handleToolBar", false, "Two-Point Perspective Tool", "", true
+	).enable();
+	
+	this.threePointToolBtn = new GuiButton("pp3_tool_btn", document.getElementById("pp3_tool_btn"), 
+		this, "handleToolBar", false, "Three-Point Perspective Tool", "", true
+	).enable();
+	
+	this.exportFrameToolBtn = new GuiButton("frame_tool_btn", document.getElementById("frame_tool_btn"), 
+		this, "handleToolBar", false, "Export Frame Tool", "", true
+	).enable();
+	
 	this.tbButtonFamily = new GuiButtonFamily();
 	this.tbButtonFamily.addButton(this.selectToolBtn);
+	this.tbButtonFamily.addButton(this.transformToolBtn);
+	this.tbButtonFamily.addButton(this.duplicatePointToolBtn);
+	this.tbButtonFamily.addButton(this.duplicateArrayToolBtn);
+	this.tbButtonFamily.addButton(this.trimToolBtn);
 	this.tbButtonFamily.addButton(this.markerToolBtn);
 	this.tbButtonFamily.addButton(this.lineToolBtn);
+	this.tbButtonFamily.addButton(this.polylineToolBtn);
+	this.tbButtonFamily.addButton(this.constructionToolBtn);
+	this.tbButtonFamily.addButton(this.rectangleToolBtn);
 	this.tbButtonFamily.addButton(this.circularArcToolBtn);
+	this.tbButtonFamily.addButton(this.circlePointsToolBtn);
 	this.tbButtonFamily.addButton(this.ellipticalArcToolBtn);
 	this.tbButtonFamily.addButton(this.bezierToolBtn);
+	this.tbButtonFamily.addButton(this.cubicBezierToolBtn);
+	this.tbButtonFamily.addButton(this.onePointToolBtn);
+	this.tbButtonFamily.addButton(this.twoPointToolBtn);
+	this.tbButtonFamily.addButton(this.threePointToolBtn);
+	this.tbButtonFamily.addButton(this.exportFrameToolBtn);
 	
 	this.tbButtonFamily.toggleButton(this.lineToolBtn);
 };
@@ -421,6 +541,101 @@ UserInterface.prototype.updateNavBar = function() {
 
 UserInterface.prototype.initModals = function() {
 	this.aboutBox = new Modal(document.getElementById("about_box"), document.getElementById("abt_cb"));
+	
+	this.pngExportDialog = new ModalDialog(
+		document.getElementById("png_export_box"), document.getElementById("png_cb"),
+		document.getElementById("png_export_btn"), this, "handlePngExportDialog"
+	);
+	
+	// Last-used PNG export options
+	this.pngExportOptions = {
+		scale:           Alberti.pngExportScale,
+		dpi:             Alberti.pngExportDpi,
+		useFrameSize:    false,
+		includeUnderlay: true,
+		includeConstruction: Alberti.exportConstructionLayers
+	};
+	
+	this.pdfExportDialog = new ModalDialog(
+		document.getElementById("pdf_export_box"), document.getElementById("pdf_cb"),
+		document.getElementById("pdf_export_btn"), this, "handlePdfExportDialog"
+	);
+	
+	// Last-used PDF export options
+	this.pdfExportOptions = {
+		units:             Alberti.pdfExportUnits,
+		scale:             Alberti.pdfExportScale,
+		useFrameSize:      true,
+		pageSize:          Alberti.pdfExportPageSize,
+		landscape:         false,
+		margin:            Alberti.pdfExportMargin,
+		tile:              true,
+		overlap:           Alberti.pdfExportOverlap,
+		registrationMarks: true,
+		includeConstruction: Alberti.exportConstructionLayers
+	};
+	
+	this.exportFrameDialog = new ModalDialog(
+		document.getElementById("frame_box"), document.getElementById("frame_cb"),
+		document.getElementById("frame_ok_btn"), this, "handleExportFrameDialog"
+	);
+	
+	this.serverOpenDialog = new ModalDialog(
+		document.getElementById("server_open_box"), document.getElementById("server_open_cb"),
+		document.getElementById("server_open_btn"), this, "handleServerOpenDialog"
+	);
+	
+	// Documents and revisions listed in the server open dialog
+	this.serverDocuments = [];
+	
+	this.recoveryDialog = new ModalDialog(
+		document.getElementById("recovery_box"), document.getElementById("recovery_cb"),
+		document.getElementById("recovery_btn"), this, "handleRecoveryDialog"
+	);
+	
+	this.recoveryDiscardBtn = new GuiButton("recovery_discard_btn", document.getElementById("recovery_discard_btn"),
+		this, "handleRecoveryDiscard", false, "", "", false
+	).enable();
+	
+	// Controller and handlers invoked when a snapshot is chosen in the 
+	// recovery dialog, or when the snapshots are discarded
+	this.recoveryController = null;
+	this.recoveryHandler = null;
+	this.recoveryDiscardHandler = null;
+	
+	// Populate frame size menu with presets
+	var presetSelect = document.getElementById("frame_preset");
+	
+	for (var key in ExportFrame.presets) {
+		presetSelect.appendChild(new Option(ExportFrame.presets[key].label, key));
+	}
+	presetSelect.appendChild(new Option("Custom", ExportFrame.customPreset));
+	
+	// Populate PDF page size menu with presets of physical size
+	var pageSizeSelect = document.getElementById("pdf_page_size");
+	
+	for (var key in ExportFrame.presets) {
+		if (ExportFrame.presets[key].units) {
+			pageSizeSelect.appendChild(new Option(ExportFrame.presets[key].label, key));
+		}
+	}
+	pageSizeSelect.appendChild(new Option("Fit to drawing", PdfExporter.fitPage));
+};
+
+// Updates the export frame outline and menu items to reflect the document's
+// current export frame
+UserInterface.prototype.updateExportFrame = function() {
+	var frame = this.lmDelegate.exportFrame;
+	
+	if (frame) {
+		this.exportFrameRect.rect = frame.getRect();
+		this.exportFrameRect.push();
+		this.exportFrameRect.set("display", "inline");
+		this.fileMenu.enableMenuItem("mi_remove_frame");
+	} else {
+		this.exportFrameRect.set("display", "none");
+		this.fileMenu.disableMenuItem("mi_remove_frame");
+	}
 };
 
 // If shapesAreSelected is true, enables appropriate clip board menu items,
@@ -429,9 +644,11 @@ UserInterface.prototype.updateClippingMenuItems = function(shapesAreSelected) {
 	if (shapesAreSelected) {
 		this.editMenu.enableMenuItem("mi_cut");
 		this.editMenu.enableMenuItem("mi_delete");
+		this.editMenu.enableMenuItem("mi_split");
 	} else {
 		this.editMenu.disableMenuItem("mi_cut");
 		this.editMenu.disableMenuItem("mi_delete");
+		this.editMenu.disableMenuItem("mi_split");
 	}
 };
 
@@ -446,9 +663,158 @@ UserInterface.prototype.discardUnsavedChanges = function() {
 	return true;
 };
 
-UserInterface.prototype.handleImportUlImage = function(imgDataUrl) {
+// Prompt the user to open a document, either from the document server or from
+// a local file
+UserInterface.prototype.promptOpenDocument = function() {
+	if (this.docServer) {
+		this.docServer.list(this, "handleServerDocumentList");
+	} else {
+		this.docImporter.prompt();
+	}
+};
+
+// Lists the documents saved on the server, along with their revisions, in the
+// server open dialog
+UserInterface.prototype.handleServerDocumentList = function(documents) {
+	if (documents.length == 0) {
+		alert("There are no documents saved on the server.");
+		return;
+	}
+	
+	var select = document.getElementById("server_doc");
+	this.serverDocuments = [];
+	
+	while (select.firstChild) {
+		select.removeChild(select.firstChild);
+	}
+	
+	for (var i = 0, len = documents.length; i < len; i++) {
+		var doc = documents[i];
+		var group = document.createElement("optgroup");
+		group.label = doc.name;
+		
+		this.addServerDocumentOption(group, doc.name, null, "Current ("+doc.modified.toLocaleString()+")");
+		
+		for (var j = 0, revLen = doc.revisions.length; j < revLen; j++) {
+			this.addServerDocumentOption(group, doc.name, doc.revisions[j].id, doc.revisions[j].modified.toLocaleString());
+		}
+		
+		select.appendChild(group);
+	}
+	
+	this.serverOpenDialog.show({document: 0});
+};
+
+UserInterface.prototype.addServerDocumentOption = function(group, name, revision, label) {
+	group.appendChild(new Option(label, this.serverDocuments.length));
+	this.serverDocuments.push({name: name, revision: revision});
+};
+
+UserInterface.prototype.handleServerOpenDialog = function(values) {
+	var selected = this.serverDocuments[values.document];
+	
+	if (selected) {
+		this.docServer.load(selected.name, selected.revision, this, "handleServerDocumentLoad");
+	}
+};
+
+UserInterface.prototype.handleServerDocumentLoad = function(documentXml, name) {
+	this.appController[this.loadHandler](documentXml, name);
+};
+
+// Offer to restore one of the given autosave snapshots (see Autosave::list).
+// The controller's handler is invoked with the id of the chosen snapshot, 
+// and its discard handler is invoked if the user discards the snapshots.
+UserInterface.prototype.promptRecovery = function(snapshots, controller, handler, discardHandler) {
+	var select = document.getElementById("recovery_snapshot");
+	var groups = {};
+	
+	this.recoveryController = controller;
+	this.recoveryHandler = handler;
+	this.recoveryDiscardHandler = discardHandler;
+	
+	while (select.firstChild) {
+		select.removeChild(select.firstChild);
+	}
+	
+	// Group snapshots by document
+	for (var i = 0, len = snapshots.length; i < len; i++) {
+		var snapshot = snapshots[i];
+		var group = groups[snapshot.docId];
+		
+		if (!group) {
+			group = groups[snapshot.docId] = document.createElement("optgroup");
+			group.label = snapshot.filename ? snapshot.filename : "Untitled";
+			select.appendChild(group);
+		}
+		
+		group.appendChild(new Option(snapshot.time.toLocaleString(), snapshot.id));
+	}
+	
+	this.recoveryDialog.show({snapshot: snapshots[0].id});
+};
+
+UserInterface.prototype.handleRecoveryDialog = function(values) {
+	if (values.snapshot !== "") {
+		this.recoveryController[this.recoveryHandler](parseInt(values.snapshot, 10));
+	}
+};
+
+UserInterface.prototype.handleRecoveryDiscard = function(button, evt) {
+	if (confirm("Are you sure you want to permanently discard all unsaved work from previous sessions?")) {
+		this.recoveryDialog.hide();
+		this.recoveryController[this.recoveryDiscardHandler]();
+	}
+};
+
+// Convert an SVG document created by another application into layers of 
+// Alberti shapes, added to the current document as a single undo-able action
+UserInterface.prototype.handleImportSvg = function(svgXml, filename) {
+	try {
+		var importer = new SvgImporter(svgXml, filename.replace(/\.svg$/i, ""));
+		var layers = importer.importLayers();
+	} catch (e) {
+		alert(e);
+		return;
+	}
+	
+	var summary = importer.getSummary();
+	var numShapes = 0;
+	
+	if (layers.length == 0) {
+		alert("No supported shapes were found in "+filename+"."+(summary ? "\n\n"+summary : ""));
+		return;
+	}
+	
+	this.umDelegate.recordStart();
+	
+	for (var i = 0, len = layers.length; i < len; i++) {
+		var layer = this.lmDelegate.newLayer(layers[i].name);
+		
+		for (var j = 0, numLayerShapes = layers[i].shapes.length; j < numLayerShapes; j++) {
+			this.lmDelegate.insertShape(layers[i].shapes[j].generate(), layer);
+		}
+		
+		numShapes += layers[i].shapes.length;
+	}
+	
+	this.umDelegate.recordStop();
+	
+	if (summary) {
+		alert("Imported "+numShapes+" shape(s) into "+layers.length+" layer(s).\n\n"+summary);
+	}
+};
+
+UserInterface.prototype.handleImportUlImage = function(imgDataUrl, filename) {
+	// An underlay image stored next to the document keeps its saved opacity
+	// and placement when restored
+	if (!this.underlayImage.isMissing()) {
+		this.underlayImage.opacity = 1;                 // Set underlay image to fully opaque on import
+		this.underlayImage.resetPlacement();
+	}
+	
 	this.underlayImage.setSourceToDataUrl(imgDataUrl);
-	this.underlayImage.opacity = 1;                     // Set underlay image to fully opaque on import
+	this.underlayImage.filename = filename;
 	this.zap.updateUnderlayImage();                     // Update underlay image to match current zoom & pan
 	this.underlayImage.show();
 
@@ -456,7 +822,7 @@ UserInterface.prototype.handleImportUlImage = function(imgDataUrl) {
 
 	this.ulMenu.enableMenuItem("mi_remove_ul");         // Enable "Remove Underlay" menu item
 	this.ulSlider.show();                               // Show the underlay opacity slider
-	this.ulSlider.setValue(1.0);                        // Reset slider to full opacity
+	this.ulSlider.setValue(this.underlayImage.opacity); // Match slider to underlay opacity
 };
 
 UserInterface.prototype.handleMenu = function(itemId) {
@@ -479,7 +845,7 @@ UserInterface.prototype.handleMenu = function(itemId) {
 		// Open document
 		case "mi_open_doc":
 			if (this.discardUnsavedChanges()) {
-				this.docImporter.prompt();                         // Prompt the user to open a file
+				this.promptOpenDocument();
 			}
 			break;
 		
@@ -488,6 +854,69 @@ UserInterface.prototype.handleMenu = function(itemId) {
 			this.appController[this.saveHandler](AlbertiDocument.exportTypeSvg);
 			break;
 		
+		// Save document under a new filename
+		case "mi_save_as":
+			this.appController[this.saveHandler](AlbertiDocument.exportTypeSvg, {saveAs: true});
+			break;
+		
+		// Save document and underlay image as a package
+		case "mi_save_package":
+			this.appController[this.saveHandler](AlbertiDocument.exportTypeSvg, {saveAsPackage: true});
+			break;
+		
+		// Export document as PNG
+		case "mi_export_png":
+			var exportFrame = this.lmDelegate.exportFrame;
+			
+			this.pngExportDialog.show(this.pngExportOptions);
+			this.pngExportDialog.enableField("includeUnderlay", !this.underlayImage.isHidden());
+			this.pngExportDialog.enableField("useFrameSize", exportFrame && exportFrame.hasPhysicalSize());
+			this.pngExportDialog.enableField("includeConstruction", this.lmDelegate.getConstructionLayer() !== null);
+			break;
+		
+		// Export document as PDF
+		case "mi_export_pdf":
+			var exportFrame = this.lmDelegate.exportFrame;
+			
+			this.pdfExportDialog.show(this.pdfExportOptions);
+			this.pdfExportDialog.enableField("useFrameSize", exportFrame && exportFrame.hasPhysicalSize());
+			this.pdfExportDialog.enableField("includeConstruction", this.lmDelegate.getConstructionLayer() !== null);
+			break;
+		
+		// Export document as DXF
+		case "mi_export_dxf":
+			this.appController[this.saveHandler](AlbertiDocument.exportTypeDxf);
+			break;
+		
+		// Set export frame numerically
+		case "mi_export_frame":
+			var frame = this.lmDelegate.exportFrame;
+			
+			// Without a frame, default to one spanning the document's contents
+			if (!frame) {
+				var bbox = this.lmDelegate.getBoundingBox();
+				
+				frame = new ExportFrame();
+				frame.origin = new Coord2D(bbox.left, bbox.top);
+				frame.width = bbox.right > bbox.left ? bbox.right - bbox.left : Alberti.defaultExportFrameWidth;
+			}
+			
+			this.exportFrameDialog.show({
+				preset:         frame.preset,
+				landscape:      frame.isLandscape(),
+				physicalWidth:  frame.physicalWidth,
+				physicalHeight: frame.physicalHeight,
+				units:          frame.units,
+				x:              frame.origin.x,
+				y:              frame.origin.y,
+				width:          frame.width
+			});
+			break;
+		
+		case "mi_remove_frame":
+			this.lmDelegate.setExportFrame(null);
+			break;
+		
 		case "mi_undo":
 			this.umDelegate.undo();
 			break;
@@ -525,6 +954,10 @@ UserInterface.prototype.handleMenu = function(itemId) {
 			this.lmDelegate.deleteSelectedShapes();
 			break;
 		
+		case "mi_split":
+			this.lmDelegate.splitSelectedShapes();
+			break;
+		
 		case "mi_select_all":
 			this.lmDelegate.setSelection(this.lmDelegate.getShapesInCurrentLayer());
 			break;
@@ -533,8 +966,20 @@ UserInterface.prototype.handleMenu = function(itemId) {
 			this.ulImgImporter.prompt();
 			break;
 		
+		case "mi_import_svg":
+			this.svgImporter.prompt();
+			break;
+		
+		// Open a DXF drawing as a new document
+		case "mi_import_dxf":
+			if (this.discardUnsavedChanges()) {
+				this.dxfImporter.prompt();
+			}
+			break;
+		
 		case "mi_remove_ul":
 			this.underlayImage.hide();
+			this.underlayImage.filename = null;               // Stop referencing the underlay file
 			this.ulMenu.disableMenuItem("mi_remove_ul");      // Disable "Remove Underlay" menu item
 			this.ulSlider.hide();                             // Hide the underlay opacity slider
 			this.showHud();
@@ -554,6 +999,92 @@ UserInterface.prototype.handleMenu = function(itemId) {
 	}
 };
 
+UserInterface.prototype.handlePngExportDialog = function(values) {
+	var scale = parseFloat(values.scale);
+	var dpi = parseFloat(values.dpi);
+	
+	if (!(scale > 0) || !(dpi > 0)) {
+		alert("Scale and resolution must be positive numbers.");
+		return;
+	}
+	
+	this.pngExportOptions = {
+		scale:           scale,
+		dpi:             dpi,
+		useFrameSize:    values.useFrameSize,
+		includeUnderlay: values.includeUnderlay,
+		includeConstruction: values.includeConstruction
+	};
+	
+	this.appController[this.saveHandler](AlbertiDocument.exportTypePng, this.pngExportOptions);
+};
+
+UserInterface.prototype.handlePdfExportDialog = function(values) {
+	var scale = parseFloat(values.scale);
+	var margin = parseFloat(values.margin);
+	var overlap = parseFloat(values.overlap);
+	
+	if (!(scale > 0) || !(margin >= 0) || !(overlap >= 0)) {
+		alert("Scale must be a positive number, and margin and overlap must not be negative.");
+		return;
+	}
+	
+	this.pdfExportOptions = {
+		units:             values.units,
+		scale:             scale,
+		useFrameSize:      values.useFrameSize,
+		pageSize:          values.pageSize,
+		landscape:         values.landscape,
+		margin:            margin,
+		tile:              values.tile,
+		overlap:           overlap,
+		registrationMarks: values.registrationMarks,
+		includeConstruction: values.includeConstruction
+	};
+	
+	this.appController[this.saveHandler](AlbertiDocument.exportTypePdf, this.pdfExportOptions);
+};
+
+UserInterface.prototype.handleExportFrameDialog = function(values) {
+	var frame = new ExportFrame();
+	var x = parseFloat(values.x);
+	var y = parseFloat(values.y);
+	var width = parseFloat(values.width);
+	
+	if (isNaN(x) || isNaN(y) || !(width > 0)) {
+		alert("Origin must be a pair of numbers, and width must be a positive number.");
+		return;
+	}
+	
+	if (values.preset == ExportFrame.customPreset) {
+		var pWidth = parseFloat(values.physicalWidth);
+		var pHeight = parseFloat(values.physicalHeight);
+		
+		if (!(pWidth > 0) || !(pHeight > 0)) {
+			alert("Custom width and height must be positive numbers.");
+			return;
+		}
+		
+		// Orient the custom size according to the landscape checkbox
+		if (values.landscape != (pWidth > pHeight) && pWidth != pHeight) {
+			var tmp = pWidth;
+			pWidth = pHeight;
+			pHeight = tmp;
+		}
+		
+		frame.preset = ExportFrame.customPreset;
+		frame.setPhysicalSize(pWidth, pHeight, values.units);
+	} else {
+		var preset = ExportFrame.presets[values.preset];
+		frame.applyPreset(values.preset, values.landscape != (preset.width > preset.height));
+	}
+	
+	frame.origin = new Coord2D(x, y);
+	frame.width = width;
+	
+	this.lmDelegate.setExportFrame(frame);
+};
+
 UserInterface.prototype.handleNavBar = function(button) {
 	switch (button.getId()) {
 		
@@ -616,6 +1147,12 @@ UserInterface.prototype.keydown = function(evt) {
 			case KeyCode.autoPan:
 				this.nextMarkerBtn.click();
 				break;
+			
+			// Cycle to the next vanishing point
+			case KeyCode.nextVp:
+				this.lmDelegate.nextVanishingPoint();
+				this.displayActiveVanishingPoint();
+				break;
 		
 			// Delete shape(s)
 			case KeyCode.del:
@@ -678,6 +1215,12 @@ UserInterface.prototype.keydown = function(evt) {
 				this.prevMarkerBtn.click();
 				break;
 			
+			// Cycle to the previous vanishing point
+			case KeyCode.nextVp:
+				this.lmDelegate.previousVanishingPoint();
+				this.displayActiveVanishingPoint();
+				break;
+			
 			// Redo
 			case KeyCode.undoRedo:
 				this.handleMenu("mi_redo");
@@ -695,14 +1238,25 @@ UserInterface.prototype.keydown = function(evt) {
 
 			// Open document
 			case KeyCode.load:
-				if (this.discardUnsavedChanges()) {
-					this.docImporter.prompt();                         // Prompt the user to open a file
-				}
+				this.handleMenu("mi_open_doc");
 				break;
 		}
 	}
 };
 
+// Display the active vanishing point in the tool tip
+UserInterface.prototype.displayActiveVanishingPoint = function() {
+	var space = this.lmDelegate.perspectiveSpace;
+	
+	if (space) {
+		var vp = this.lmDelegate.getActiveVanishingPoint();
+		this.toolTip.setText("Vanishing point "+(this.lmDelegate.activeVanishingPoint + 1)+" of "+space.getType()
+			+" ("+Util.roundToDecimal(vp.x, 2)+", "+Util.roundToDecimal(vp.y, 2)+")", true);
+	} else {
+		this.toolTip.setText("No perspective space", true);
+	}
+};
+
 UserInterface.prototype.keyup = function(evt) {
 	switch(evt.keyCode) {
 		case KeyCode.manPan:
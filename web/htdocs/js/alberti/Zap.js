@@ -46,6 +46,10 @@ Zap.zoomTransitionAccel = -1.0;            // Transition animation acceleration
 Zap.maxWheelEvtPerSec = 30;
 Zap.wheelEvtRefreshMs = Math.round(1000 / Zap.maxWheelEvtPerSec);
 
+// Construction lines are rendered this far (in pixels) beyond the edges of 
+// the window (see Zap::updateViewport)
+Zap.viewportMargin = 200;
+
 function Zap(masterGroup, autoScale, layerManager, underlayImage, toolTip) {
 	Zap.baseConstructor.call(this);
 	this.masterGroup = masterGroup;
@@ -66,6 +70,7 @@ function Zap(masterGroup, autoScale, layerManager, underlayImage, toolTip) {
 	
 	this.masterGroup.scale = Zap.zoomFactors[this.zoomLevel];
 	this.masterGroup.push();
+	this.updateViewport();
 	
 	// The underlay image is scaled and translated separately with hardware-acceleration.
 	this.updateUnderlayImage();
@@ -77,6 +82,7 @@ function Zap(masterGroup, autoScale, layerManager, underlayImage, toolTip) {
 	
 	this.registerListener("mousewheel", Alberti.svgRoot, false);          // opera, safari, ie9
 	this.registerListener("DOMMouseScroll", Alberti.svgRoot, false);      // mozilla
+	this.registerListener("resize", window, false);                      // Keep construction lines filling the window
 }
 Util.extend(Zap, DragHandler);
 
@@ -125,6 +131,7 @@ Zap.prototype.zoomRelative = function(zoomLevel, x, y) {
 			this.autoScale.update(this.masterGroup.scale);
 			this.layerManager.snapPoints.setSnapRadiusScale(this.masterGroup.scale);
 			this.masterGroup.push();
+			this.updateViewport();
 			this.lastPanPosition.x = -this.masterGroup.position.x / z;
 			this.lastPanPosition.y = -this.masterGroup.position.y / z;
 			this.underlayImage.update();
@@ -165,11 +172,13 @@ Zap.prototype.panTo = function(coord, savePosition) {
 		!this.underlayImage.isHidden() ?
 			function() {
 				this.masterGroup.push();
+				this.updateViewport();
 				this.underlayImage.update();
 			}.bindTo(this)
 			:
 			function() {
 				this.masterGroup.push();
+				this.updateViewport();
 			}.bindTo(this)
 	);
 	
@@ -212,6 +221,21 @@ Zap.prototype.updateUnderlayImage = function() {
 	this.underlayImage.update();
 };
 
+// Clip construction lines to the visible region of the workspace, plus a 
+// margin (see ConstructionLine.viewport)
+Zap.prototype.updateViewport = function() {
+	var scale = this.masterGroup.scale;
+	var left = -Alberti.halfOriginalWindowWidth - this.masterGroup.position.x - Zap.viewportMargin;
+	var top = -Alberti.halfOriginalWindowHeight - this.masterGroup.position.y - Zap.viewportMargin;
+	
+	ConstructionLine.viewport = new Rect2D(left / scale, top / scale,
+		(left + window.innerWidth + 2 * Zap.viewportMargin) / scale,
+		(top + window.innerHeight + 2 * Zap.viewportMargin) / scale
+	);
+	
+	this.layerManager.updateConstructionLines();
+};
+
 Zap.prototype.updateMagnificationTooltip = function(scale) {
 	this.toolTip.setText("Magnification: "+Util.roundToDecimal((scale * 100), 1)+"%", true, true);
 };
@@ -238,10 +262,15 @@ Zap.prototype.DOMMouseScroll = function(evt) {
 	}
 };
 
+Zap.prototype.resize = function(evt) {
+	this.updateViewport();
+};
+
 // Center the coordinate space in the window
 Zap.prototype.center = function() {
 	this.masterGroup.position.x = this.masterGroup.position.y = 0;
 	this.masterGroup.push();
+	this.updateViewport();
 };
 
 // Start capturing mouse input. Has no effect if called while panning is 
@@ -297,6 +326,7 @@ Zap.prototype.onDragBegin = function(evt) {
 Zap.prototype.onDrag = function(dx, dy, evt) {
 	this.masterGroup.translateRelative(dx, dy);
 	this.masterGroup.push();
+	this.updateViewport();
 	
 	var z = Zap.zoomFactors[this.zoomLevel];
 	
@@ -41,6 +41,7 @@ function LayerManagerDelegate(layerManager, lpController, ui) {
 	this.mapMethod("xorSelection", null, "shapeSelectionDelegate");
 	this.mapMethod("addMarker", null, "addMarkerDelegate");
 	this.mapMethod("removeMarker", null, "removeMarkerDelegate");
+	this.mapMethod("setExportFrame", null, "setExportFrameDelegate");
 }
 Util.extend(LayerManagerDelegate, Delegate);
 
@@ -101,3 +102,7 @@ LayerManagerDelegate.prototype.addMarkerDelegate = function(marker) {
 LayerManagerDelegate.prototype.removeMarkerDelegate = function(marker) {
 	this.ui.updateNavBar();
 };
+
+LayerManagerDelegate.prototype.setExportFrameDelegate = function(frame) {
+	this.ui.updateExportFrame();
+};
@@ -0,0 +1,152 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ModalDialog.js
+ * extends Modal
+ * 
+ * A modal popup box containing a form. 
+ * 
+ * USAGE
+ * 
+ * 'popupDiv' and 'closeBoxDiv' are as described in Modal.js. 'submitElt' is 
+ * an element within the popup that submits the form when clicked. 
+ * 'controller' is a reference to a controller object, and 'action' is the
+ * name of the controller method invoked upon submission. The action method 
+ * is passed an object mapping the name of each input and select element in 
+ * the popup to its value. Checkbox values are booleans, all other values are
+ * strings. Hitting the enter/return key also submits the form.
+ * 
+ * ModalDialog::show optionally accepts an object of the same format, used
+ * to populate the form before it is displayed.
+ * 
+ * While the dialog is shown, it absorbs all key events so that typing into 
+ * its fields does not trigger hotkeys.
+ * 
+ * * */
+
+function ModalDialog(popupDiv, closeBoxDiv, submitElt, controller, action) {
+	ModalDialog.baseConstructor.call(this, popupDiv, closeBoxDiv);
+	this.submitElt = submitElt;
+	this.controller = controller;
+	this.action = action;
+}
+Util.extend(ModalDialog, Modal);
+
+ModalDialog.prototype.show = function(values) {
+	if (values) {
+		this.setValues(values);
+	}
+	
+	ModalDialog.superclass.show.call(this);
+	
+	// Listen for key events in the capture phase in order to absorb them
+	this.unregisterListener("keydown", window, false);
+	this.registerListener("keydown", window, true);
+	this.registerListener("click", this.submitElt, false);
+	
+	// Focus the first field
+	var fields = this.getFields();
+	if (fields.length > 0) {
+		fields[0].focus();
+	}
+};
+
+ModalDialog.prototype.hide = function() {
+	this.unregisterListener("keydown", window, true);
+	this.unregisterListener("click", this.submitElt, false);
+	
+	ModalDialog.superclass.hide.call(this);
+};
+
+// Returns an array of the dialog's input and select elements
+ModalDialog.prototype.getFields = function() {
+	var inputs = this.popupDiv.getElementsByTagName("input");
+	var selects = this.popupDiv.getElementsByTagName("select");
+	
+	return Array.prototype.slice.call(inputs).concat(Array.prototype.slice.call(selects));
+};
+
+// Returns an object mapping field names to values
+ModalDialog.prototype.getValues = function() {
+	var values = {};
+	var fields = this.getFields();
+	
+	for (var i = 0, len = fields.length; i < len; i++) {
+		var field = fields[i];
+		values[field.name] = (field.type == "checkbox") ? field.checked : field.value;
+	}
+	
+	return values;
+};
+
+// Populate fields with the values in the given object
+ModalDialog.prototype.setValues = function(values) {
+	var fields = this.getFields();
+	
+	for (var i = 0, len = fields.length; i < len; i++) {
+		var field = fields[i];
+		
+		if (values[field.name] !== undefined) {
+			if (field.type == "checkbox") {
+				field.checked = values[field.name] ? true : false;
+			} else {
+				field.value = values[field.name];
+			}
+		}
+	}
+};
+
+// Enable or disable the field with the given name
+ModalDialog.prototype.enableField = function(name, enableFlag) {
+	var fields = this.getFields();
+	
+	for (var i = 0, len = fields.length; i < len; i++) {
+		if (fields[i].name == name) {
+			fields[i].disabled = !enableFlag;
+		}
+	}
+};
+
+ModalDialog.prototype.submit = function() {
+	var values = this.getValues();
+	
+	this.hide();
+	this.controller[this.action](values);
+};
+
+ModalDialog.prototype.click = function(evt) {
+	this.submit();
+};
+
+ModalDialog.prototype.keydown = function(evt) {
+	switch (evt.keyCode) {
+		case KeyCode.esc:
+			this.hide();
+			break;
+		
+		case KeyCode.enter:
+			this.submit();
+			evt.preventDefault();
+			break;
+	}
+	
+	// Absorb the key event
+	evt.stopPropagation();
+};
@@ -46,6 +46,11 @@
  * rather than circle. The search radius must be no larger than half the 
  * SpatialHash instance's bucket width.
  * 
+ * searchRect(rect)
+ * 
+ * Returns an array of Coord2D's within the given Rect2D, or empty array if 
+ * none found. The rectangle may be of any size.
+ * 
  * insert(coord)
  * 
  * Inserts a Coord2D. insert() does not clone the input coord, so you should 
@@ -138,6 +143,33 @@ SpatialHash.prototype.search = function(queryCoord, radius) {
 	return nearNodes;
 }
 
+SpatialHash.prototype.searchRect = function(rect) {
+	var nodes = [];
+	
+	// Buckets extend half a bucket width either side of their centers
+	var left = rect.left - this.halfBucketWidth, right = rect.right + this.halfBucketWidth;
+	var top = rect.top - this.halfBucketWidth, bottom = rect.bottom + this.halfBucketWidth;
+	
+	for (var index in this.buckets) {
+		var center = index.split(",");
+		var bx = parseFloat(center[0]), by = parseFloat(center[1]);
+		
+		if (bx >= left && bx <= right && by >= top && by <= bottom) {
+			var bucket = this.buckets[index];
+			
+			for (var i = 0, bLen = bucket.nodes.length; i < bLen; i++) {
+				var node = bucket.nodes[i];
+				
+				if (node.x >= rect.left && node.x <= rect.right && node.y >= rect.top && node.y <= rect.bottom) {
+					nodes.push(node.clone());
+				}
+			}
+		}
+	}
+	
+	return nodes;
+};
+
 SpatialHash.prototype.insert = function(coord) {
 	var fastIndex = this.getLookupIndex(coord);
 	var nodeInfo = this.fastLookup[fastIndex];
@@ -168,11 +168,54 @@ var Util = {
 	    return decodeURIComponent(escape(window.atob(str)));
 	},
 	
+	// Escape XML special characters in the given string for use in text or
+	// attribute values
+	escapeXml: function(str) {
+		return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+	},
+	
+	// Returns the CRC-32 checksum of the given binary string (i.e. a string 
+	// whose character codes are all bytes), as used by the PNG and ZIP formats.
+	crc32: function(str) {
+		if (!Util.crcTable) {
+			Util.crcTable = [];
+			
+			for (var n = 0; n < 256; n++) {
+				var c = n;
+				
+				for (var k = 0; k < 8; k++) {
+					c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+				}
+				
+				Util.crcTable[n] = c;
+			}
+		}
+		
+		var crc = -1;
+		
+		for (var i = 0, len = str.length; i < len; i++) {
+			crc = (crc >>> 8) ^ Util.crcTable[(crc ^ str.charCodeAt(i)) & 0xff];
+		}
+		
+		return (crc ^ -1) >>> 0;
+	},
+	
+	// Lookup table for Util::crc32, generated on first use
+	crcTable: null,
+	
 	// Convert rgb string of form "rgb(r, g, b)" to hex string of form 
 	// "#rrggbb". Returns original string if conversion failed.
 	rgbToHex: function(rgbString) {
 		var tokens = rgbString.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/)
-		return tokens ? "#"+tokens.slice(1).map(function(x) {return parseInt(x).toString(16)}).join("") : rgbString;
+		return tokens ? "#"+tokens.slice(1).map(function(x) {return ("0"+parseInt(x).toString(16)).slice(-2)}).join("") : rgbString;
+	},
+	
+	// Convert color string of form "#rrggbb" or "rgb(r, g, b)" to an array of
+	// the form [r, g, b], with components in the range 0-255. Returns null if
+	// conversion failed.
+	hexToRgb: function(colorString) {
+		var tokens = Util.rgbToHex(colorString).match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+		return tokens ? tokens.slice(1).map(function(x) {return parseInt(x, 16)}) : null;
 	},
 	
 	// Package a value, be it a string describing quantity and units, or a 
@@ -267,6 +310,18 @@ var Util = {
 		return (a < b ? a + twoPi - b : a - b);
 	},
 	
+	// Returns the angle swept from polar angle a to polar angle b, running 
+	// clockwise if 'direction' is positive, counter-clockwise otherwise
+	sweepAngle: function(a, b, direction) {
+		var da = (b - a) % twoPi;
+		
+		if (da * direction < 0) {
+			da += direction > 0 ? twoPi : -twoPi;
+		}
+		
+		return da;
+	},
+	
 	// Returns 0 is x is zero, 1 if x is positive, -1 if x is negative
 	sign: function(x) {
 		return x > 0 ? 1 : (x < 0 ? -1 : 0);
@@ -0,0 +1,173 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * ZipArchive.js
+ * 
+ * Reads and writes ZIP archives, operating on binary strings (i.e. strings
+ * whose character codes are all bytes). Entries are stored uncompressed,
+ * which suits the already-compressed image formats bundled in Alberti 
+ * packages.
+ * 
+ * REQUIRES
+ * 
+ * Util.js
+ * 
+ * USAGE
+ * 
+ * Create an instance of ZipArchive, add entries with addFile(name, binary),
+ * then call asBinary() to get the archive as a binary string.
+ * 
+ * ZipArchive.read(binary)
+ * 
+ * Returns an object mapping each entry name in the given archive to its
+ * contents as a binary string. Throws if the archive contains compressed
+ * entries.
+ * 
+ * * */
+ 
+function ZipArchive() {
+	this.files = [];
+}
+
+// ZIP record signatures
+ZipArchive.localHeaderSignature = 0x04034b50;
+ZipArchive.centralHeaderSignature = 0x02014b50;
+ZipArchive.endSignature = 0x06054b50;
+
+// General purpose flag indicating that entry names are UTF-8 encoded
+ZipArchive.utf8Flag = 0x0800;
+
+// Add an entry with the given name and binary string contents
+ZipArchive.prototype.addFile = function(name, binary) {
+	this.files.push({ name: name, data: binary });
+};
+
+// Returns the archive as a binary string
+ZipArchive.prototype.asBinary = function() {
+	var local = [], central = [];
+	var offset = 0, centralSize = 0;
+	var dosTime = ZipArchive.getDosDateTime(new Date());
+	
+	for (var i = 0, len = this.files.length; i < len; i++) {
+		var file = this.files[i];
+		var name = unescape(encodeURIComponent(file.name));
+		
+		// Version needed, flags, method (stored), time, date, CRC-32 and sizes
+		var common = ZipArchive.uint16(10) + ZipArchive.uint16(ZipArchive.utf8Flag) + ZipArchive.uint16(0) + 
+			ZipArchive.uint16(dosTime.time) + ZipArchive.uint16(dosTime.date) + 
+			ZipArchive.uint32(Util.crc32(file.data)) + ZipArchive.uint32(file.data.length) + 
+			ZipArchive.uint32(file.data.length) + ZipArchive.uint16(name.length) + ZipArchive.uint16(0);
+		
+		var header = ZipArchive.uint32(ZipArchive.localHeaderSignature) + common + name;
+		local.push(header, file.data);
+		
+		// Central directory entry adds creator version, comment length, disk 
+		// number, attributes and local header offset
+		var entry = ZipArchive.uint32(ZipArchive.centralHeaderSignature) + ZipArchive.uint16(20) + common + 
+			ZipArchive.uint16(0) + ZipArchive.uint16(0) + ZipArchive.uint16(0) + ZipArchive.uint32(0) + 
+			ZipArchive.uint32(offset) + name;
+		central.push(entry);
+		
+		offset += header.length + file.data.length;
+		centralSize += entry.length;
+	}
+	
+	var end = ZipArchive.uint32(ZipArchive.endSignature) + ZipArchive.uint16(0) + ZipArchive.uint16(0) + 
+		ZipArchive.uint16(this.files.length) + ZipArchive.uint16(this.files.length) + 
+		ZipArchive.uint32(centralSize) + ZipArchive.uint32(offset) + ZipArchive.uint16(0);
+	
+	return local.join("") + central.join("") + end;
+};
+
+// Returns an object mapping entry names to binary string contents
+ZipArchive.read = function(binary) {
+	// Find the end of central directory record, which may be followed by a
+	// comment of up to 65535 bytes
+	var endOffset = -1;
+	
+	for (var i = binary.length - 22, min = Math.max(0, i - 65535); i >= min; i--) {
+		if (ZipArchive.readUint32(binary, i) == ZipArchive.endSignature) {
+			endOffset = i;
+			break;
+		}
+	}
+	
+	Util.assert(endOffset >= 0, "The file is not a valid ZIP archive.");
+	
+	var count = ZipArchive.readUint16(binary, endOffset + 10);
+	var pos = ZipArchive.readUint32(binary, endOffset + 16);
+	var files = {};
+	
+	for (var j = 0; j < count; j++) {
+		Util.assert(ZipArchive.readUint32(binary, pos) == ZipArchive.centralHeaderSignature, 
+			"The ZIP archive's central directory is corrupt.");
+		
+		var flags = ZipArchive.readUint16(binary, pos + 8);
+		var method = ZipArchive.readUint16(binary, pos + 10);
+		var size = ZipArchive.readUint32(binary, pos + 20);
+		var nameLength = ZipArchive.readUint16(binary, pos + 28);
+		var extraLength = ZipArchive.readUint16(binary, pos + 30);
+		var commentLength = ZipArchive.readUint16(binary, pos + 32);
+		var localOffset = ZipArchive.readUint32(binary, pos + 42);
+		var name = binary.substr(pos + 46, nameLength);
+		
+		if (flags & ZipArchive.utf8Flag) {
+			name = decodeURIComponent(escape(name));
+		}
+		
+		Util.assert(method === 0, "The ZIP archive entry '"+name+"' is compressed, which is not supported.");
+		
+		// The local header's name and extra field lengths may differ from the
+		// central directory's
+		var dataOffset = localOffset + 30 + ZipArchive.readUint16(binary, localOffset + 26) + 
+			ZipArchive.readUint16(binary, localOffset + 28);
+		files[name] = binary.substr(dataOffset, size);
+		
+		pos += 46 + nameLength + extraLength + commentLength;
+	}
+	
+	return files;
+};
+
+// Returns the MS-DOS time and date fields for the given Date
+ZipArchive.getDosDateTime = function(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+		date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+	};
+};
+
+// Little-endian encoding of unsigned integers as binary strings
+ZipArchive.uint16 = function(n) {
+	return String.fromCharCode(n & 0xff, (n >>> 8) & 0xff);
+};
+
+ZipArchive.uint32 = function(n) {
+	return String.fromCharCode(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+};
+
+ZipArchive.readUint16 = function(binary, offset) {
+	return binary.charCodeAt(offset) | (binary.charCodeAt(offset + 1) << 8);
+};
+
+ZipArchive.readUint32 = function(binary, offset) {
+	return (binary.charCodeAt(offset) | (binary.charCodeAt(offset + 1) << 8) | 
+		(binary.charCodeAt(offset + 2) << 16) | (binary.charCodeAt(offset + 3) << 24)) >>> 0;
+};
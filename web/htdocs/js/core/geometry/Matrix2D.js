@@ -0,0 +1,212 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * Matrix2D.js
+ * 
+ * A 2D affine transformation matrix, in the form used by SVG:
+ * 
+ *    | a  c  e |
+ *    | b  d  f |
+ *    | 0  0  1 |
+ * 
+ * USAGE
+ * 
+ * The constructor takes the six matrix values a-f. With no arguments, the 
+ * identity matrix is created. Matrix2D::multiply returns the product of two 
+ * matrices; the product A.multiply(B) applies B first, then A (matching the 
+ * order of SVG transform lists). Matrix2D.parse converts the value of an SVG
+ * 'transform' attribute into a Matrix2D.
+ * 
+ * * */
+
+function Matrix2D(a, b, c, d, e, f) {
+	if (arguments.length > 0) {
+		this.a = a; this.b = b;
+		this.c = c; this.d = d;
+		this.e = e; this.f = f;
+	} else {
+		this.a = 1; this.b = 0;
+		this.c = 0; this.d = 1;
+		this.e = 0; this.f = 0;
+	}
+}
+
+Matrix2D.translate = function(tx, ty) {
+	return new Matrix2D(1, 0, 0, 1, tx, ty);
+};
+
+Matrix2D.scale = function(sx, sy) {
+	return new Matrix2D(sx, 0, 0, sy, 0, 0);
+};
+
+// Rotation by angle 'a' (radians) about the origin
+Matrix2D.rotate = function(a) {
+	return new Matrix2D(cos(a), sin(a), -sin(a), cos(a), 0, 0);
+};
+
+Matrix2D.skewX = function(a) {
+	return new Matrix2D(1, 0, tan(a), 1, 0, 0);
+};
+
+Matrix2D.skewY = function(a) {
+	return new Matrix2D(1, tan(a), 0, 1, 0, 0);
+};
+
+// Returns the product of this matrix and matrix 'm'
+Matrix2D.prototype.multiply = function(m) {
+	return new Matrix2D(
+		this.a * m.a + this.c * m.b,
+		this.b * m.a + this.d * m.b,
+		this.a * m.c + this.c * m.d,
+		this.b * m.c + this.d * m.d,
+		this.a * m.e + this.c * m.f + this.e,
+		this.b * m.e + this.d * m.f + this.f
+	);
+};
+
+Matrix2D.prototype.determinant = function() {
+	return this.a * this.d - this.b * this.c;
+};
+
+// Returns true if the matrix preserves shapes, i.e. consists only of 
+// translation, rotation, uniform scaling and reflection.
+Matrix2D.prototype.isSimilarity = function() {
+	var scale = Math.sqrt(Math.abs(this.determinant()));
+	var tolerance = 1e-9 * scale;
+	
+	return (Util.equals(this.a, this.d, tolerance) && Util.equals(this.b, -this.c, tolerance))
+		|| (Util.equals(this.a, -this.d, tolerance) && Util.equals(this.b, this.c, tolerance));
+};
+
+// Returns the transformed Coord2D
+Matrix2D.prototype.transformPoint = function(p) {
+	return new Coord2D(
+		this.a * p.x + this.c * p.y + this.e,
+		this.b * p.x + this.d * p.y + this.f
+	);
+};
+
+// Returns the ellipse resulting from transforming the ellipse with the given
+// center (Coord2D), radii and x-axis rotation, as an object with 'center', 
+// 'rx', 'ry' and 'xrot' properties. Circles may become ellipses and vice
+// versa.
+Matrix2D.prototype.transformEllipse = function(center, rx, ry, xrot) {
+	// The linear part of the transform applied to the ellipse's unit circle
+	// parameterization yields matrix [p q; r s]. Its singular value 
+	// decomposition gives the radii and rotation of the resulting ellipse.
+	var p = (this.a * cos(xrot) + this.c * sin(xrot)) * rx;
+	var q = (this.c * cos(xrot) - this.a * sin(xrot)) * ry;
+	var r = (this.b * cos(xrot) + this.d * sin(xrot)) * rx;
+	var s = (this.d * cos(xrot) - this.b * sin(xrot)) * ry;
+	
+	var E = (p + s) / 2, F = (p - s) / 2;
+	var G = (r + q) / 2, H = (r - q) / 2;
+	var Q = Math.sqrt(E*E + H*H);
+	var R = Math.sqrt(F*F + G*G);
+	
+	return {
+		center: this.transformPoint(center),
+		rx:     Q + R,
+		ry:     Math.abs(Q - R),
+		xrot:   (Math.atan2(H, E) + Math.atan2(G, F)) / 2
+	};
+};
+
+// Returns the start and delta angles of an arc after transformation, as an 
+// object with 'sa' and 'da' properties. The arc has the given center, start
+// and end points (Coord2Ds) and delta angle 'da', all before transformation.
+// Angles are polar angles about the transformed center. Reflections reverse
+// the arc's direction.
+Matrix2D.prototype.transformArc = function(center, start, end, da) {
+	var c = this.transformPoint(center);
+	var sa = c.angleTo(this.transformPoint(start));
+	
+	if (this.determinant() < 0) {
+		da = -da;
+	}
+	
+	// Full sweeps have coincident endpoints, so preserve their delta angle
+	if (!Util.equals(Math.abs(da), twoPi)) {
+		var a = c.angleToRelative(this.transformPoint(end), sa);
+		da = da > 0 ? a : a - twoPi;
+	}
+	
+	return {sa: sa, da: da};
+};
+
+// Returns a Matrix2D equivalent to the given SVG transform attribute value.
+// Throws an error string if the value cannot be parsed.
+Matrix2D.parse = function(transform) {
+	var m = new Matrix2D();
+	var regex = /\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?/g;
+	var match;
+	var consumed = 0;
+	
+	while ((match = regex.exec(transform)) !== null) {
+		Util.assert(match.index == consumed, "Invalid transform '"+transform+"'.");
+		consumed = regex.lastIndex;
+		
+		var args = match[2].trim().split(/[\s,]+/);
+		
+		for (var i = 0; i < args.length; i++) {
+			args[i] = parseFloat(args[i]);
+			Util.assert(!isNaN(args[i]), "Invalid transform '"+transform+"'.");
+		}
+		
+		switch (match[1]) {
+			case "matrix":
+				Util.assert(args.length == 6, "Invalid transform '"+transform+"'.");
+				m = m.multiply(new Matrix2D(args[0], args[1], args[2], args[3], args[4], args[5]));
+				break;
+			
+			case "translate":
+				m = m.multiply(Matrix2D.translate(args[0], args.length > 1 ? args[1] : 0));
+				break;
+			
+			case "scale":
+				m = m.multiply(Matrix2D.scale(args[0], args.length > 1 ? args[1] : args[0]));
+				break;
+			
+			case "rotate":
+				var a = Util.degToRad(args[0]);
+				
+				if (args.length == 3) {
+					m = m.multiply(Matrix2D.translate(args[1], args[2]))
+						.multiply(Matrix2D.rotate(a))
+						.multiply(Matrix2D.translate(-args[1], -args[2]));
+				} else {
+					m = m.multiply(Matrix2D.rotate(a));
+				}
+				break;
+			
+			case "skewX":
+				m = m.multiply(Matrix2D.skewX(Util.degToRad(args[0])));
+				break;
+			
+			case "skewY":
+				m = m.multiply(Matrix2D.skewY(Util.degToRad(args[0])));
+				break;
+		}
+	}
+	
+	Util.assert(transform.substring(consumed).trim() === "", "Invalid transform '"+transform+"'.");
+	
+	return m;
+};
@@ -0,0 +1,146 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DocumentMigratorTest.js
+ * 
+ * Checks for DocumentMigrator. Open test/DocumentMigrator.xhtml in a browser
+ * to run them; each check is listed with its result.
+ * 
+ * * */
+
+var DocumentMigratorTest = {
+	
+	// Returns a parsed document with the given root attributes and shape nodes
+	createDocument: function(rootAttributes, shapes) {
+		var xml = '<svg xmlns="'+Alberti.svgns+'" xmlns:berti="'+Alberti.customns+'" '+rootAttributes+'>'
+			+'<g id="workspace"><g id="layer1">'+shapes+'</g></g></svg>';
+		
+		return new DOMParser().parseFromString(xml, "text/xml");
+	},
+	
+	checks: [
+		
+		// A document saved before format versioning has the conic coefficients
+		// of its elliptical shapes added or normalized, and is stamped with the
+		// current format version
+		["upgrades an old-format document", function() {
+			var doc = DocumentMigratorTest.createDocument('berti:version="0.1.0"',
+				'<ellipse cx="10" cy="20" rx="30" ry="15" transform="rotate(0, 10, 20)" berti:cx="10" berti:cy="20" '
+				+'berti:rx="30" berti:ry="15" berti:xrot="0"/>'
+				+'<ellipse cx="10" cy="20" rx="30" ry="15" transform="rotate(0, 10, 20)" berti:cx="10" berti:cy="20" '
+				+'berti:rx="30" berti:ry="15" berti:xrot="0" berti:a="1.5e-10" berti:b="0" berti:c="6e-10" '
+				+'berti:d="-1.5e-9" berti:f="-1.2e-8" berti:g="-5.7e-8"/>'
+			);
+			
+			DocumentMigrator.migrate(doc);
+			
+			var nodes = DocumentMigrator.getShapeNodes(doc);
+			var coeffs = EllipticalShape.getConicCoefficients(new Coord2D(10, 20), 30, 15, 0);
+			
+			Util.assert(DocumentMigrator.getFormatVersion(doc) == DocumentMigrator.formatVersion,
+				"Document was not stamped with the current format version"
+			);
+			
+			for (var i = 0; i < nodes.length; i++) {
+				Util.assert(parseFloat(nodes[i].getAttributeNS(Alberti.customns, "a")) == coeffs[0]
+					&& parseFloat(nodes[i].getAttributeNS(Alberti.customns, "g")) == coeffs[5],
+					"Ellipse "+i+" was not given normalized conic coefficients"
+				);
+			}
+		}],
+		
+		// The conic equation of an ellipse drawn in a rectangle is satisfied at
+		// the midpoints of the rectangle's sides, and its left-hand side 
+		// evaluates to -1 at the center of the rectangle
+		["normalizes projected ellipse coefficients", function() {
+			var q = [new Coord2D(150, 50), new Coord2D(110, 130), new Coord2D(-50, 50), new Coord2D(-10, -30)];
+			var e = EllipticalShape.projectToQuad({center: new Coord2D(0, 0)}, q[0], q[1], q[2], q[3]);
+			var points = [new Coord2D(50, 50)];
+			
+			for (var i = 0; i < 4; i++) {
+				var next = q[(i + 1) % 4];
+				points.push(new Coord2D((q[i].x + next.x) / 2, (q[i].y + next.y) / 2));
+			}
+			
+			for (var i = 0; i < points.length; i++) {
+				var x = points[i].x, y = points[i].y, k = e.coeffs;
+				var value = k[0]*x*x + 2*k[1]*x*y + k[2]*y*y + 2*k[3]*x + 2*k[4]*y + k[5];
+				
+				Util.assert(Math.abs(value - (i == 0 ? -1 : 0)) < 1e-9,
+					"Conic equation evaluates to "+value+" at ("+x+", "+y+")"
+				);
+			}
+		}],
+		
+		// A document saved in a newer format is refused with a message naming
+		// the release that saved it
+		["refuses a newer-format document", function() {
+			var doc = DocumentMigratorTest.createDocument(
+				'berti:version="9.9.9" berti:format="'+(DocumentMigrator.formatVersion + 1)+'"', ''
+			);
+			var message = null;
+			
+			try {
+				DocumentMigrator.migrate(doc);
+			} catch (e) {
+				message = e;
+			}
+			
+			Util.assert(typeof message == "string", "Migration did not fail with a message");
+			Util.assert(message.indexOf("saved by a newer version of Alberti (v9.9.9") != -1,
+				"Unexpected message: "+message
+			);
+		}]
+	],
+	
+	// Run all checks, returning an array of {name, error} results, where 
+	// 'error' is null for checks that passed
+	run: function() {
+		var results = [];
+		
+		for (var i = 0, len = DocumentMigratorTest.checks.length; i < len; i++) {
+			var check = DocumentMigratorTest.checks[i];
+			
+			try {
+				check[1]();
+				results.push({name: check[0], error: null});
+			} catch (e) {
+				results.push({name: check[0], error: String(e)});
+			}
+		}
+		
+		return results;
+	},
+	
+	// Run all checks and list their results in the page
+	report: function() {
+		var list = document.getElementById("results");
+		var results = DocumentMigratorTest.run();
+		
+		for (var i = 0, len = results.length; i < len; i++) {
+			var item = document.createElement("li");
+			
+			item.className = results[i].error ? "fail" : "pass";
+			item.textContent = (results[i].error ? "FAIL: " : "PASS: ")+results[i].name
+				+(results[i].error ? " ("+results[i].error+")" : "");
+			list.appendChild(item);
+		}
+	}
+};
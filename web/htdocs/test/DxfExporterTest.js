@@ -0,0 +1,292 @@
+/*  
+ *  Copyright (C) 2011, Alaric Holloway <alaric.holloway@gmail.com>
+ *  
+ *  This file is part of Alberti.
+ *
+ *  Alberti is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  Alberti is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with Alberti.  If not, see <http://www.gnu.org/licenses/>.
+ *  
+ * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * * *
+ *
+ * DxfExporterTest.js
+ * 
+ * Checks for DxfExporter. Open test/DxfExporter.xhtml in a browser to run 
+ * them; each check is listed with its result. The structural checks mirror 
+ * what CAD applications require of AutoCAD 2004 files; exported files were
+ * also verified to open with libdxfrw, the DXF library used by LibreCAD.
+ * 
+ * * */
+
+var DxfExporterTest = {
+	
+	// Returns a stand-in for an AlbertiDocument with the given layers, as
+	// DxfExporter only reads the layers of the document's LayerManager
+	createDocument: function(layers) {
+		for (var i = 0, len = layers.length; i < len; i++) {
+			layers[i].isHidden = function() {
+				return this.hidden;
+			};
+			layers[i].isConstruction = function() {
+				return this.construction ? true : false;
+			};
+		}
+		
+		return {layerManager: {layers: layers}};
+	},
+	
+	// Returns a document containing one shape of each exported kind
+	createSampleDocument: function() {
+		var arc = new CircleArc();
+		arc.center = new Coord2D(5, 5);
+		arc.radius = 3;
+		arc.sa = 0.3;
+		arc.da = 1.2;
+		
+		var circle = new Circle();
+		circle.center = new Coord2D(-10, 4);
+		circle.radius = 7;
+		
+		var ellipse = new Ellipse();
+		ellipse.center = new Coord2D(50, 60);
+		ellipse.rx = 20;
+		ellipse.ry = 10;
+		ellipse.xrot = 0.4;
+		
+		var point = new Point();
+		point.coord = new Coord2D(3, 4);
+		
+		// A ray through a point at unit distance, as DXF stores its direction
+		var ray = ConstructionLine.fromPoints(new Coord2D(1, 2), new Coord2D(1.6, 2.8), true);
+		
+		return DxfExporterTest.createDocument([
+			{name: "Walls", color: "#ff0000", hidden: false, shapes: [
+				Line.fromPoints(new Coord2D(0, 0), new Coord2D(100, 50)), arc, circle, point, ray
+			]},
+			{name: "Notes", color: "#123456", hidden: true, shapes: [
+				ellipse, Bezier.fromPoints(new Coord2D(0, 0), new Coord2D(10, -20), new Coord2D(30, 0)),
+				CubicBezier.fromPoints(new Coord2D(0, 0), new Coord2D(10, -20), new Coord2D(20, 20), new Coord2D(30, 0))
+			]}
+		]);
+	},
+	
+	// Returns the start, middle and end points of a circular arc
+	getArcPoints: function(arc) {
+		var points = [];
+		
+		for (var i = 0; i <= 2; i++) {
+			var angle = arc.sa + arc.da * i / 2;
+			points.push(new Coord2D(arc.center.x + arc.radius * Math.cos(angle), arc.center.y + arc.radius * Math.sin(angle)));
+		}
+		
+		return points;
+	},
+	
+	// Returns the records of the given document exported as DXF
+	exportRecords: function(doc) {
+		return DxfImporter.parseRecords(new DxfExporter(doc).asDxf());
+	},
+	
+	checks: [
+		
+		// All sections are present, in order, and the TABLES section holds 
+		// every symbol table
+		["writes all sections and tables", function() {
+			var records = DxfExporterTest.exportRecords(DxfExporterTest.createSampleDocument());
+			var sections = [];
+			var tables = [];
+			
+			for (var i = 0, len = records.length; i < len; i++) {
+				if (records[i].type == "SECTION") {
+					sections.push(records[i].getValue(2));
+				} else if (records[i].type == "TABLE") {
+					tables.push(records[i].getValue(2));
+				}
+			}
+			
+			Util.assert(sections.join() == "HEADER,CLASSES,TABLES,BLOCKS,ENTITIES,OBJECTS",
+				"Unexpected sections: "+sections.join()
+			);
+			Util.assert(tables.join() == "VPORT,LTYPE,LAYER,STYLE,VIEW,UCS,APPID,DIMSTYLE,BLOCK_RECORD",
+				"Unexpected tables: "+tables.join()
+			);
+		}],
+		
+		// Handles are unique and below the handle seed, every owner handle 
+		// refers to an object in the file, and entities are owned by the 
+		// model space block record
+		["links objects to their owners", function() {
+			var records = DxfExporterTest.exportRecords(DxfExporterTest.createSampleDocument());
+			var handles = {"0": "none"};
+			var seed = 0;
+			var modelSpace = null;
+			var section = null;
+			
+			for (var i = 0, len = records.length; i < len; i++) {
+				var record = records[i];
+				var handle = record.getValue(record.type == "DIMSTYLE" ? 105 : 5);
+				
+				if (record.type == "SECTION" && record.getValue(2) == "HEADER") {
+					seed = parseInt(record.groups[record.groups.length - 1].value, 16);
+				} else if (handle !== null) {
+					Util.assert(!handles[handle], "Handle "+handle+" is used twice");
+					Util.assert(parseInt(handle, 16) < seed, "Handle "+handle+" is not below the handle seed");
+					handles[handle] = record.type;
+				}
+				
+				if (record.type == "BLOCK_RECORD" && record.getValue(2) == "*Model_Space") {
+					modelSpace = handle;
+				}
+			}
+			
+			for (var i = 0, len = records.length; i < len; i++) {
+				var record = records[i];
+				var owner = record.getValue(330);
+				
+				if (record.type == "SECTION") {
+					section = record.getValue(2);
+				} else if (record.type != "ENDSEC" && record.type != "ENDTAB") {
+					Util.assert(owner !== null && handles[owner], record.type+" record has no valid owner");
+					Util.assert(section != "ENTITIES" || owner == modelSpace, record.type+" entity is not in model space");
+				}
+			}
+		}],
+		
+		// Layers refer to a linetype that is defined
+		["defines the layer linetype", function() {
+			var records = DxfExporterTest.exportRecords(DxfExporterTest.createSampleDocument());
+			var lineTypes = [];
+			
+			for (var i = 0, len = records.length; i < len; i++) {
+				if (records[i].type == "LTYPE") {
+					lineTypes.push(records[i].getValue(2).toUpperCase());
+				}
+			}
+			
+			for (var i = 0, len = records.length; i < len; i++) {
+				if (records[i].type == "LAYER") {
+					Util.assert(lineTypes.indexOf(records[i].getValue(6).toUpperCase()) != -1,
+						"Layer "+records[i].getValue(2)+" refers to undefined linetype "+records[i].getValue(6)
+					);
+				}
+			}
+		}],
+		
+		// Construction layers are only exported when asked for
+		["leaves out construction layers", function() {
+			var doc = DxfExporterTest.createSampleDocument();
+			
+			doc.layerManager.layers[1].construction = true;
+			
+			Util.assert(new DxfImporter(new DxfExporter(doc).asDxf()).importLayers().length == 1,
+				"Construction layer was exported"
+			);
+			Util.assert(new DxfImporter(new DxfExporter(doc, true).asDxf()).importLayers().length == 2,
+				"Construction layer was left out"
+			);
+		}],
+		
+		// Importing the exported file restores the layers and shapes
+		["round-trips through DxfImporter", function() {
+			var doc = DxfExporterTest.createSampleDocument();
+			var layers = new DxfImporter(new DxfExporter(doc).asDxf()).importLayers();
+			var original = doc.layerManager.layers;
+			
+			Util.assert(layers.length == original.length, "Imported "+layers.length+" layers");
+			
+			for (var i = 0, len = layers.length; i < len; i++) {
+				Util.assert(layers[i].name == original[i].name && layers[i].color == original[i].color
+					&& layers[i].hidden == original[i].hidden,
+					"Layer "+original[i].name+" was not restored"
+				);
+				Util.assert(layers[i].shapes.length == original[i].shapes.length,
+					"Layer "+original[i].name+" has "+layers[i].shapes.length+" shapes"
+				);
+				
+				for (var j = 0, numShapes = layers[i].shapes.length; j < numShapes; j++) {
+					var shape = layers[i].shapes[j];
+					var originalShape = original[i].shapes[j];
+					
+					Util.assert(shape.shapeName == originalShape.shapeName,
+						"Shape "+originalShape.shapeName+" was imported as "+shape.shapeName
+					);
+					
+					for (var property in {p1: 1, p2: 1, p3: 1, p4: 1, center: 1, coord: 1}) {
+						if (originalShape[property]) {
+							Util.assert(shape[property].distanceTo(originalShape[property]) < 1e-5,
+								"Shape "+originalShape.shapeName+" has moved"
+							);
+						}
+					}
+					
+					for (var property in {radius: 1, rx: 1, ry: 1, xrot: 1}) {
+						if (typeof originalShape[property] == "number") {
+							Util.assert(Math.abs(shape[property] - originalShape[property]) < 1e-5,
+								"Property "+property+" of shape "+originalShape.shapeName+" was not restored"
+							);
+						}
+					}
+					
+					Util.assert(shape.ray === originalShape.ray, "Ray of shape "+originalShape.shapeName+" was not restored");
+					
+					// Arcs may come back running the other way round
+					if (shape.shapeName == CircleArc.shapeName) {
+						var points = DxfExporterTest.getArcPoints(shape);
+						var originalPoints = DxfExporterTest.getArcPoints(originalShape);
+						
+						if (points[0].distanceTo(originalPoints[0]) > 1e-5) {
+							points.reverse();
+						}
+						
+						for (var k = 0; k < points.length; k++) {
+							Util.assert(points[k].distanceTo(originalPoints[k]) < 1e-5, "Arc was not restored");
+						}
+					}
+				}
+			}
+		}]
+	],
+	
+	// Run all checks, returning an array of {name, error} results, where 
+	// 'error' is null for checks that passed
+	run: function() {
+		var results = [];
+		
+		for (var i = 0, len = DxfExporterTest.checks.length; i < len; i++) {
+			var check = DxfExporterTest.checks[i];
+			
+			try {
+				check[1]();
+				results.push({name: check[0], error: null});
+			} catch (e) {
+				results.push({name: check[0], error: String(e)});
+			}
+		}
+		
+		return results;
+	},
+	
+	// Run all checks and list their results in the page
+	report: function() {
+		var list = document.getElementById("results");
+		var results = DxfExporterTest.run();
+		
+		for (var i = 0, len = results.length; i < len; i++) {
+			var item = document.createElement("li");
+			
+			item.className = results[i].error ? "fail" : "pass";
+			item.textContent = (results[i].error ? "FAIL: " : "PASS: ")+results[i].name
+				+(results[i].error ? " ("+results[i].error+")" : "");
+			list.appendChild(item);
+		}
+	}
+};